@@ -5,310 +5,456 @@
  *
  * A simple wrapper around Docker to run Antora builds. The user controls
  * all configuration via command-line arguments and the playbook file.
+ * With --native, Antora runs directly on the host instead, for CI runners
+ * (or containers) that already have Antora, KiCad and Blender installed.
+ *
+ * This file parses the command line; builds, watch mode, the preview server
+ * and the cache commands are implemented in lib/.
  *
  * @see https://docs.antora.org
  */
 
-const { execSync } = require('child_process')
 const fs = require('fs')
 const path = require('path')
+const { CONFIG_FILE, loadConfig, mergeMounts, printMergedConfig, findGitRoot } = require('./lib/config')
+const { runBuild } = require('./lib/runner')
+const { runWatch } = require('./lib/watch')
+const { DEFAULT_PORT, serveSite } = require('./lib/serve')
 
 // Parse command line arguments
 const args = process.argv.slice(2)
-const options = {
-  playbook: null,         // Required: playbook file to use
-  cwd: process.cwd(),     // Working directory
-  mounts: [],             // Additional volume mounts (src:dest)
-  clean: false,           // Clean before build
-  forceCollector: false,  // Force collector execution
-  dryRun: false,          // Dry run (cache check only)
-  skipPull: false,        // Skip docker pull
-  verbose: false,         // Verbose output
-  dockerImage: 'ghcr.io/carr-james/eurorack-docker:latest'  // Docker image to use
+
+// Subcommands: cache maintenance (eurorack-build cache ...) and the preview server don't build
+if (args[0] === 'cache') {
+  runCacheCommand(args.slice(1))
+} else if (args[0] === 'serve') {
+  runServeCommand(args.slice(1))
+} else {
+  runBuildCommand(args)
 }
 
-// Parse arguments
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i]
-  if (arg === '--playbook' && args[i + 1]) {
-    options.playbook = args[++i]
-  } else if (arg === '--cwd' && args[i + 1]) {
-    options.cwd = path.resolve(process.cwd(), args[++i])
-  } else if (arg === '--mount' && args[i + 1]) {
-    options.mounts.push(args[++i])
-  } else if (arg === '--clean') {
-    options.clean = true
-  } else if (arg === '--force-collector') {
-    options.forceCollector = true
-  } else if (arg === '--dry-run') {
-    options.dryRun = true
-  } else if (arg === '--skip-pull') {
-    options.skipPull = true
-  } else if (arg === '--docker-image' && args[i + 1]) {
-    options.dockerImage = args[++i]
-  } else if (arg === '--verbose' || arg === '-v') {
-    options.verbose = true
-  } else if (arg === '--help' || arg === '-h') {
-    showHelp()
-    process.exit(0)
-  } else {
-    console.error(`Unknown option: ${arg}`)
-    console.error('Use --help for usage information')
+/**
+ * Parse build options and run the build
+ */
+function runBuildCommand (args) {
+  const defaults = {
+    playbook: null, // Required: playbook file to use
+    cwd: process.cwd(), // Working directory
+    mounts: [], // Additional volume mounts (src:dest)
+    clean: false, // Clean before build
+    forceCollector: [], // Force collector execution (component/key patterns)
+    dryRun: false, // Dry run (cache check only)
+    runner: 'docker', // Where Antora runs: docker or native (see createRunner)
+    skipPull: false, // Skip docker pull
+    watch: false, // Rebuild on changes
+    serve: false, // Serve the site after building
+    port: DEFAULT_PORT, // Preview server port
+    verbose: false, // Verbose output
+    dockerImage: 'ghcr.io/carr-james/eurorack-docker:latest', // Docker image to use
+  }
+
+  // Flags given on the command line; they override the config file
+  const flags = { mounts: [], forceCollector: [] }
+  let profile = null
+  let printConfig = false
+
+  // Parse arguments
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--playbook' && args[i + 1]) {
+      flags.playbook = args[++i]
+    } else if (arg === '--cwd' && args[i + 1]) {
+      flags.cwd = path.resolve(process.cwd(), args[++i])
+    } else if (arg === '--mount' && args[i + 1]) {
+      flags.mounts.push(args[++i])
+    } else if (arg === '--clean') {
+      flags.clean = true
+    } else if (arg === '--force-collector') {
+      // Optional pattern such as quad-vca-mixer/renders; without one every entry is forced
+      flags.forceCollector.push(args[i + 1] && !args[i + 1].startsWith('-') ? args[++i] : 'true')
+    } else if (arg === '--dry-run') {
+      flags.dryRun = true
+    } else if (arg === '--native') {
+      flags.runner = 'native'
+    } else if (arg === '--watch') {
+      flags.watch = true
+    } else if (arg === '--serve') {
+      flags.serve = true
+    } else if (arg === '--port' && args[i + 1]) {
+      flags.port = parsePort(args[++i])
+    } else if (arg === '--skip-pull') {
+      flags.skipPull = true
+    } else if (arg === '--docker-image' && args[i + 1]) {
+      flags.dockerImage = args[++i]
+    } else if (arg === '--profile' && args[i + 1]) {
+      profile = args[++i]
+    } else if (arg === '--print-config') {
+      printConfig = true
+    } else if (arg === '--verbose' || arg === '-v') {
+      flags.verbose = true
+    } else if (arg === '--help' || arg === '-h') {
+      showHelp()
+      process.exit(0)
+    } else {
+      console.error(`Unknown option: ${arg}`)
+      console.error('Use --help for usage information')
+      process.exit(1)
+    }
+  }
+
+  // Merge defaults, config file, profile and flags (later ones win)
+  const cwd = flags.cwd || defaults.cwd
+  let config
+  try {
+    config = loadConfig(cwd, findGitRoot(cwd) || cwd, profile)
+  } catch (error) {
+    console.error(`Error: ${error.message}`)
     process.exit(1)
   }
-}
+  if (flags.mounts.length === 0) delete flags.mounts
+  if (flags.forceCollector.length === 0) delete flags.forceCollector
+  const options = { ...defaults, ...config.options, ...flags, cwd }
+  options.mounts = mergeMounts(config.options.mounts || [], flags.mounts || [])
 
-// Require playbook
-if (!options.playbook) {
-  console.error('Error: --playbook is required')
-  console.error('Usage: eurorack-build --playbook <file> [options]')
-  console.error('Use --help for more information')
-  process.exit(1)
-}
+  if (printConfig) {
+    printMergedConfig(config, options)
+    process.exit(0)
+  }
 
-// Change to working directory
-process.chdir(options.cwd)
+  // Require playbook
+  if (!options.playbook) {
+    console.error(`Error: --playbook is required (or a playbook setting in ${CONFIG_FILE})`)
+    console.error('Usage: eurorack-build --playbook <file> [options]')
+    console.error('Use --help for more information')
+    process.exit(1)
+  }
 
-// Find git repository root
-const gitRoot = findGitRoot(options.cwd)
-if (!gitRoot) {
-  console.error('Error: Not in a git repository')
-  console.error('Antora requires a git repository for local builds')
-  process.exit(1)
-}
+  if ((options.watch || options.serve) && options.dryRun) {
+    console.error(`Error: --${options.watch ? 'watch' : 'serve'} and --dry-run cannot be combined`)
+    process.exit(1)
+  }
 
-// Build context
-const context = {
-  playbook: options.playbook,
-  gitRoot,
-  workDir: path.relative(gitRoot, options.cwd) || '.',
-  buildDir: 'build'
-}
+  // Change to working directory
+  process.chdir(options.cwd)
 
-if (options.verbose) {
-  console.log('Build context:', JSON.stringify(context, null, 2))
-  console.log('Options:', JSON.stringify(options, null, 2))
-}
+  // Find git repository root
+  const gitRoot = findGitRoot(options.cwd)
+  if (!gitRoot) {
+    console.error('Error: Not in a git repository')
+    console.error('Antora requires a git repository for local builds')
+    process.exit(1)
+  }
 
-// Run build
-try {
-  runBuild(context, options)
-} catch (error) {
-  console.error('Build failed:', error.message)
-  process.exit(1)
-}
+  // Build context
+  const context = {
+    playbook: options.playbook,
+    gitRoot,
+    workDir: path.relative(gitRoot, options.cwd) || '.',
+    buildDir: 'build',
+  }
 
-/**
- * Find git repository root by walking up directory tree
- */
-function findGitRoot(startPath) {
-  let currentPath = startPath
-  while (currentPath !== path.parse(currentPath).root) {
-    if (fs.existsSync(path.join(currentPath, '.git'))) {
-      return currentPath
+  if (options.verbose) {
+    console.log('Build context:', JSON.stringify(context, null, 2))
+    console.log('Options:', JSON.stringify(options, null, 2))
+  }
+
+  // Run build
+  const run = async () => {
+    if (options.watch) {
+      runWatch(context, options)
+    } else {
+      await runBuild(context, options)
+      if (options.serve) {
+        serveSite(path.join(options.cwd, context.buildDir, 'site'), { port: options.port })
+      }
     }
-    currentPath = path.dirname(currentPath)
   }
-  return null
+  run().catch((error) => {
+    console.error('Build failed:', error.message)
+    process.exit(1)
+  })
 }
 
 /**
- * Run Docker build
+ * Serve the preview of an existing site (eurorack-build serve)
  */
-function runBuild(context, options) {
-  const { playbook, gitRoot, workDir, buildDir } = context
-
-  console.log('==================================')
-  console.log('Building Antora Documentation')
-  console.log('==================================')
-  console.log()
-  console.log(`Playbook: ${playbook}`)
-  console.log(`Git root: ${gitRoot}`)
-  console.log(`Work dir: ${workDir}`)
-  console.log()
-
-  // Check playbook exists
-  const playbookPath = workDir !== '.'
-    ? path.join(gitRoot, workDir, playbook)
-    : path.join(gitRoot, playbook)
-
-  if (!fs.existsSync(playbookPath)) {
-    throw new Error(`Playbook not found: ${playbookPath}`)
+function runServeCommand (args) {
+  const options = {
+    cwd: process.cwd(), // Working directory
+    dir: null, // Site directory (default: build/site below --cwd)
+    port: null, // Port (default: config file or DEFAULT_PORT)
   }
 
-  // Clean if requested
-  if (options.clean) {
-    console.log('Cleaning build artifacts...')
-    const cachePath = workDir !== '.'
-      ? path.join(gitRoot, workDir, '.cache')
-      : path.join(gitRoot, '.cache')
-    const buildPath = workDir !== '.'
-      ? path.join(gitRoot, workDir, buildDir)
-      : path.join(gitRoot, buildDir)
-
-    if (fs.existsSync(cachePath)) {
-      execSync(`rm -rf "${cachePath}"`, { stdio: 'inherit' })
-    }
-    if (fs.existsSync(buildPath)) {
-      execSync(`rm -rf "${buildPath}"`, { stdio: 'inherit' })
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--cwd' && args[i + 1]) {
+      options.cwd = path.resolve(process.cwd(), args[++i])
+    } else if (arg === '--dir' && args[i + 1]) {
+      options.dir = args[++i]
+    } else if (arg === '--port' && args[i + 1]) {
+      options.port = parsePort(args[++i])
+    } else if (arg === '--help' || arg === '-h') {
+      showHelp()
+      process.exit(0)
+    } else {
+      console.error(`Unknown option for serve: ${arg}`)
+      console.error('Use --help for usage information')
+      process.exit(1)
     }
-    console.log()
   }
 
-  // Pull Docker image
-  if (!options.skipPull) {
-    console.log(`Pulling Docker image: ${options.dockerImage}`)
-    execSync(`docker pull ${options.dockerImage}`, { stdio: 'inherit' })
-    console.log()
-  }
-
-  // Build volume mounts
-  // Always mount git root to /work
-  const volumes = [`"${gitRoot}:/work"`]
-
-  // Add user-specified mounts
-  if (options.mounts.length > 0) {
-    console.log('Additional mounts:')
-    for (const mount of options.mounts) {
-      const [src, dest] = mount.split(':')
-      if (!src || !dest) {
-        throw new Error(`Invalid mount format: ${mount} (expected src:dest)`)
-      }
-      const absoluteSrc = path.resolve(src)
-      if (!fs.existsSync(absoluteSrc)) {
-        console.warn(`Warning: Mount source does not exist: ${absoluteSrc}`)
-      }
-      volumes.push(`"${absoluteSrc}:${dest}"`)
-      console.log(`  ${absoluteSrc} → ${dest}`)
+  if (options.port === null) {
+    try {
+      options.port = loadConfig(options.cwd, findGitRoot(options.cwd) || options.cwd, null).options.port || DEFAULT_PORT
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      process.exit(1)
     }
-    console.log()
   }
 
-  console.log('Building site in Docker container...')
-
-  // Build environment variables
-  const envVars = [
-    `LOCAL_USER_ID=$(id -u)`,
-    `LOCAL_GROUP_ID=$(id -g)`
-  ]
+  const siteDir = path.resolve(options.cwd, options.dir || path.join('build', 'site'))
+  if (!fs.existsSync(siteDir)) {
+    console.error(`Error: Site not found: ${siteDir}`)
+    console.error('Build it first with eurorack-build --playbook <file>')
+    process.exit(1)
+  }
+  serveSite(siteDir, { port: options.port })
+}
 
-  if (options.forceCollector) {
-    envVars.push('FORCE_COLLECTOR=true')
+function parsePort (value) {
+  const port = Number(value)
+  if (!/^\d+$/.test(value) || port > 65535) {
+    console.error(`Error: invalid port: ${value}`)
+    process.exit(1)
   }
+  return port
+}
 
-  if (options.dryRun) {
-    envVars.push('DRY_RUN=true')
+/**
+ * Run a collector cache subcommand (eurorack-build cache <command> ...)
+ */
+function runCacheCommand (args) {
+  const command = args[0]
+  const options = {
+    bundle: null, // Bundle file to export to or import from
+    cwd: process.cwd(), // Directory the default cache location is relative to
+    playbook: null, // Playbook whose collector cache settings apply (default: from the config file)
+    cacheDir: null, // Collector cache directory (default: as for builds)
+    select: [], // Entries to export, clear or verify (component/key patterns)
+    allVersions: false, // Export every cached version, not only the latest
+    conflict: 'skip', // How imports handle outputs that are already cached
+    gc: {}, // Retention limits for prune (COLLECTOR_CACHE_GC_* variables)
+    dryRun: false, // Report what prune or clear would remove without removing it
+    repair: false, // Quarantine corrupt outputs found by verify
+    json: false, // Print status as JSON
+    verbose: false, // Verbose output
   }
+  const commands = ['status', 'prune', 'clear', 'verify', 'export', 'import']
 
-  // Pass through BLENDER_SAMPLES if set in environment
-  if (process.env.BLENDER_SAMPLES) {
-    envVars.push(`BLENDER_SAMPLES=${process.env.BLENDER_SAMPLES}`)
+  if (command === '--help' || command === '-h') {
+    showHelp()
+    process.exit(0)
+  }
+  if (!commands.includes(command)) {
+    console.error(`Unknown cache command: ${command || '(none)'}`)
+    console.error(`Usage: eurorack-build cache <${commands.join('|')}> [options]`)
+    process.exit(1)
   }
 
-  // Build docker command
-  const volumeArgs = volumes.map(v => `-v ${v}`).join(' \\\n    ')
-  const envArgs = envVars.map(e => `-e ${e}`).join(' \\\n    ')
-
-  // Docker working directory
-  const dockerWorkDir = workDir !== '.' ? `/work/${workDir}` : '/work'
-
-  const dockerCmd = `docker run --rm \\
-    ${volumeArgs} \\
-    -w ${dockerWorkDir} \\
-    ${envArgs} \\
-    ${options.dockerImage} \\
-    bash -c "
-        set -e
-
-        echo 'Installing dependencies as root...'
-        if [ ! -d node_modules ]; then
-            npm install --no-package-lock
-        else
-            echo 'Dependencies already installed'
-        fi
-
-        echo 'Switching to user \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID...'
-
-        # Create a user with the same UID/GID as the host user if it doesn't exist
-        # This ensures file ownership matches the host
-        if ! getent passwd \\$LOCAL_USER_ID >/dev/null 2>&1; then
-            groupadd -g \\$LOCAL_GROUP_ID builduser 2>/dev/null || true
-            useradd -u \\$LOCAL_USER_ID -g \\$LOCAL_GROUP_ID -m -s /bin/bash builduser 2>/dev/null || true
-        fi
-
-        echo 'Running Antora as host user...'
-        su-exec \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID npx antora ${playbook} || \\
-        gosu \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID npx antora ${playbook} || \\
-        runuser -u builduser -- npx antora ${playbook}
-
-        echo 'Fixing ownership of installed dependencies...'
-        chown -R \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID node_modules .cache 2>/dev/null || true
-    "`
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--cwd' && args[i + 1]) {
+      options.cwd = path.resolve(process.cwd(), args[++i])
+    } else if (arg === '--playbook' && args[i + 1]) {
+      options.playbook = args[++i]
+    } else if (arg === '--cache-dir' && args[i + 1]) {
+      options.cacheDir = args[++i]
+    } else if (arg === '--select' && ['export', 'verify'].includes(command) && args[i + 1]) {
+      options.select.push(args[++i])
+    } else if (arg === '--all-versions' && command === 'export') {
+      options.allVersions = true
+    } else if (arg === '--conflict' && command === 'import' && args[i + 1]) {
+      options.conflict = args[++i]
+    } else if (arg === '--max-age' && command === 'prune' && args[i + 1]) {
+      options.gc.COLLECTOR_CACHE_GC_MAX_AGE = args[++i]
+    } else if (arg === '--max-size' && command === 'prune' && args[i + 1]) {
+      options.gc.COLLECTOR_CACHE_GC_MAX_SIZE = args[++i]
+    } else if (arg === '--keep-last' && command === 'prune' && args[i + 1]) {
+      options.gc.COLLECTOR_CACHE_GC_KEEP_LAST = args[++i]
+    } else if (arg === '--dry-run' && ['prune', 'clear'].includes(command)) {
+      options.dryRun = true
+    } else if (arg === '--repair' && command === 'verify') {
+      options.repair = true
+    } else if (arg === '--json' && command === 'status') {
+      options.json = true
+    } else if (arg === '--verbose' || arg === '-v') {
+      options.verbose = true
+    } else if (!arg.startsWith('-') && command === 'clear') {
+      options.select.push(arg)
+    } else if (!arg.startsWith('-') && ['export', 'import'].includes(command) && !options.bundle) {
+      options.bundle = path.resolve(process.cwd(), arg)
+    } else {
+      console.error(`Unknown option for cache ${command}: ${arg}`)
+      console.error('Use --help for usage information')
+      process.exit(1)
+    }
+  }
 
-  if (options.verbose) {
-    console.log()
-    console.log('Docker command:')
-    console.log(dockerCmd)
-    console.log()
+  if (['export', 'import'].includes(command) && !options.bundle) {
+    console.error(`Error: cache ${command} requires a bundle file`)
+    console.error(`Usage: eurorack-build cache ${command} <bundle> [options]`)
+    process.exit(1)
+  }
+  if (command === 'clear' && options.select.length === 0) {
+    console.error('Error: cache clear requires the entries to clear')
+    console.error("Usage: eurorack-build cache clear <component>/<key>... (e.g. quad-vca-mixer/renders or '*')")
+    process.exit(1)
   }
 
-  // Execute build
-  execSync(dockerCmd, { stdio: 'inherit', shell: '/bin/bash' })
-
-  // Check if build succeeded
-  const sitePath = workDir !== '.'
-    ? path.join(gitRoot, workDir, buildDir, 'site')
-    : path.join(gitRoot, buildDir, 'site')
-
-  if (fs.existsSync(sitePath)) {
-    console.log()
-    console.log('==================================')
-    console.log('✓ Build successful!')
-    console.log('==================================')
-    console.log()
-    console.log('To view the documentation:')
-    console.log(`  cd ${buildDir}/site && python3 -m http.server 8000`)
-    console.log('  Then open: http://localhost:8000')
-    console.log()
-  } else {
-    throw new Error('Build directory not created - build may have failed')
+  // Without --playbook, the playbook of the project config applies
+  if (!options.playbook) {
+    try {
+      options.playbook = loadConfig(options.cwd, findGitRoot(options.cwd) || options.cwd, null).options.playbook || null
+    } catch (error) {
+      console.error(`Error: ${error.message}`)
+      process.exit(1)
+    }
   }
+
+  // Loaded here so builds don't depend on the extension modules
+  const { runCache } = require('./lib/cache')
+  runCache(command, options).catch((error) => {
+    console.error(`Cache ${command} failed: ${error.message}`)
+    process.exit(1)
+  })
 }
 
 /**
  * Show help message
  */
-function showHelp() {
+function showHelp () {
   console.log(`
 Antora Build Tool with Docker
 
-A simple wrapper to run Antora in Docker.
+A simple wrapper to run Antora in Docker (or, with --native, on the host).
 
 Usage: eurorack-build --playbook <file> [options]
+       eurorack-build serve [options]
+       eurorack-build cache <status|prune|clear|verify> [options]
+       eurorack-build cache <export|import> <bundle> [options]
 
 Required:
-  --playbook <file>         Playbook file to use (e.g., antora-playbook.yml)
+  --playbook <file>         Playbook file to use (e.g., antora-playbook.yml),
+                            unless set in the config file
 
 Options:
   --cwd <path>              Working directory (default: current directory)
 
+  --profile <name>          Use a profile of the config file (e.g., local, ci)
+
+  --print-config            Print the options merged from the config file,
+                            profile and flags, then exit
+
   --mount <src>:<dest>      Additional volume mount (can be used multiple times)
                             Example: --mount ../ui:/ui --mount ../comp:/comp
 
   --clean                   Clean .cache and build directories before building
 
-  --force-collector         Set FORCE_COLLECTOR=true environment variable
+  --force-collector [pattern]
+                            Force collectors to rerun. Without a pattern every
+                            entry is forced; patterns are component/key with *
+                            wildcards (e.g. quad-vca-mixer/renders or '*/ibom').
+                            Can be used multiple times
+
+  --dry-run                 Check the collector cache without building; writes
+                            build/collector-cache/dry-run-plan.json
 
-  --dry-run                 Set DRY_RUN=true environment variable
+  --watch                   Rebuild when files in the working directory, mount
+                            sources or local content sources change. Reuses the
+                            container (or host setup) and the collector cache;
+                            --force-collector applies to the first build only
+
+  --serve                   Serve the site after building; with --watch, open
+                            pages reload after every rebuild
+
+  --port <port>             Preview server port (default: 8000)
+
+  --native                  Run Antora on the host instead of in Docker. Needs
+                            Node.js, KiCad and Blender installed; --mount,
+                            --skip-pull and --docker-image don't apply
 
   --skip-pull               Skip docker pull step
 
   --docker-image <image>    Docker image to use (default: ghcr.io/carr-james/eurorack-docker:latest)
 
-  --verbose, -v             Show verbose output including docker command
+  --verbose, -v             Show verbose output including the build command
 
   --help, -h                Show this help message
 
+Serve command:
+  serve                     Serve an existing build/site for local preview,
+                            honoring Antora's redirect files
+    --dir <path>            Site directory (default: build/site below --cwd)
+    --port <port>           Port (default: 8000)
+
+Cache commands:
+  cache status              List cached entries with their versions, sizes and
+                            ages, and whether the hashes of the sources on disk
+                            and of the last build are cached
+    --json                  Print the status as JSON
+
+  cache prune               Remove dangling pointers, unreferenced outputs and
+                            versions beyond the retention limits
+    --max-age <age>         Remove versions older than this (e.g. 30d)
+    --max-size <size>       Evict the oldest outputs beyond this size (e.g. 2GB)
+    --keep-last <n>         Keep only the n latest versions of every entry
+    --dry-run               Report what would be removed
+
+  cache clear <pattern>...  Remove every cached version of the entries, given as
+                            component/key with * wildcards
+    --dry-run               Report what would be removed
+
+  cache verify              Check cached outputs against their manifests; fails
+                            if any are corrupt or missing
+    --select <pattern>      Entries to verify (default: all)
+    --repair                Quarantine corrupt outputs and remove their pointers
+
+  cache export <bundle>     Package cached collector outputs into a .tar.gz bundle
+    --select <pattern>      Entries to export as component/key with * wildcards
+                            (default: all). Can be used multiple times
+    --all-versions          Export every cached version of an entry, not only
+                            the most recent one
+
+  cache import <bundle>     Verify a bundle and merge it into the collector cache
+    --conflict <policy>     What to do with outputs that are already cached:
+                            skip (default), overwrite or fail
+
+  --playbook <file>         Playbook whose collector cache settings (cache and
+                            report directories, retention limits) apply
+                            (default: the playbook of the config file)
+  --cache-dir <path>        Collector cache directory (default: as resolved by the
+                            extension from the playbook, or
+                            .cache/antora/collector-cache below --cwd)
+
+Config file:
+  Defaults for the options above are read from the nearest .eurorackbuildrc.yml
+  (or the "eurorack-build" key of a package.json) between --cwd and the git
+  root. Flags override the config file; --mount adds to configured mounts.
+
+    playbook: antora-playbook.yml
+    default_profile: local
+    profiles:
+      local:
+        playbook: local-playbook.yml
+        mounts:
+          - ../eurorack-docs-ui:/eurorack-docs-ui
+      ci:
+        runner: native
+
+  Settings: playbook, mounts, clean, force_collector, dry_run, runner (docker
+  or native), skip_pull, docker_image, serve, port, verbose. Paths are
+  relative to the config file.
+
 Examples:
   # Basic build
   eurorack-build --playbook antora-playbook.yml
@@ -328,11 +474,37 @@ Examples:
     --clean \\
     --force-collector
 
+  # Rerender one board's renders, keeping all other cached outputs
+  eurorack-build --playbook antora-playbook.yml \\
+    --force-collector quad-vca-mixer/renders
+
+  # CI runner with the toolchain installed
+  eurorack-build --playbook antora-playbook.yml --native
+
+  # Build with the ci profile of .eurorackbuildrc.yml
+  eurorack-build --profile ci
+
+  # Rebuild on every change while editing, with a livereloading preview
+  eurorack-build --playbook local-playbook.yml --watch --serve \\
+    --mount ../eurorack-docs-ui:/eurorack-docs-ui
+
+  # Preview the last build on another port
+  eurorack-build serve --port 8080
+
   # Dry run to check collector cache status
   eurorack-build --playbook antora-playbook.yml --dry-run
 
+  # Drop one board's cached renders, then check the rest of the cache
+  eurorack-build cache clear quad-vca-mixer/renders
+  eurorack-build cache verify
+
+  # Carry one board's cached outputs to an offline machine
+  eurorack-build cache export --select 'quad-vca-mixer/*' collector-cache.tar.gz
+  eurorack-build cache import collector-cache.tar.gz
+
 Notes:
   - The git repository root is always mounted to /work in the container
+  - With --native, playbook paths refer to host directories
   - Working directory is relative to git root
   - Use your playbook to configure Antora behavior (not this script)
   - Additional mounts should use absolute paths (or paths relative to cwd)
@@ -0,0 +1,203 @@
+/**
+ * Collector cache subcommands (eurorack-build cache ...)
+ *
+ * The maintenance itself is done by the collector cache extension modules,
+ * loaded by the commands that need them so builds don't depend on them.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { readCacheSettings } = require('./config')
+
+/**
+ * Run a collector cache subcommand with the options parsed from the command line
+ *
+ * @param {string} command - status, prune, clear, verify, export or import
+ * @param {object} options - Options of the command (see runCacheCommand in eurorack-build.js)
+ * @returns {Promise} Rejected if the command fails
+ */
+async function runCache (command, options) {
+  const { parseEntryPatterns } = require('../../extensions/collector-cache-config')
+
+  const logger = {
+    debug: (message) => options.verbose && console.log(`  ${message}`),
+    info: (message) => console.log(`  ${message}`),
+    warn: (message) => console.warn(`  Warning: ${message}`),
+    error: (message) => console.error(`  Error: ${message}`),
+  }
+
+  const settings = readCacheSettings(options.playbook && path.resolve(options.cwd, options.playbook), options.cwd)
+  const cacheRoot = options.cacheDir ? path.resolve(options.cwd, options.cacheDir) : playbookCacheRoot(settings)
+  if (!options.json) console.log(`Collector cache: ${cacheRoot}`)
+  // Only an import may create the cache; anything else on a missing directory is likely a wrong path
+  if (command !== 'import' && !fs.existsSync(cacheRoot)) {
+    throw new Error(`No collector cache at ${cacheRoot}`)
+  }
+
+  if (command === 'status') {
+    await printCacheStatus(cacheRoot, settings, options, logger)
+  } else if (command === 'prune') {
+    pruneCache(cacheRoot, settings, options, logger)
+  } else if (command === 'clear') {
+    const { clearEntries } = require('../../extensions/collector-cache-maintenance')
+    const { formatBytes } = require('../../extensions/collector-cache-fs')
+    const result = clearEntries(cacheRoot, parseEntryPatterns(options.select), { logger, dryRun: options.dryRun })
+    console.log(`${options.dryRun ? 'Would remove' : 'Removed'} ${result.pointersRemoved} pointer(s) and ` +
+      `${result.outputsRemoved} output(s), ${formatBytes(result.bytesFreed)}`)
+  } else if (command === 'verify') {
+    await verifyCacheOutputs(cacheRoot, options, logger)
+  } else if (command === 'export') {
+    const { exportBundle } = require('../../extensions/collector-cache-bundle')
+    const { entries, files } = await exportBundle(cacheRoot, options.bundle, {
+      patterns: options.select,
+      allVersions: options.allVersions,
+      logger,
+    })
+    console.log(`Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} (${files} files) ` +
+      `to ${options.bundle}`)
+  } else {
+    const { importBundle } = require('../../extensions/collector-cache-bundle')
+    const { imported, skipped } = await importBundle(cacheRoot, options.bundle, { conflict: options.conflict, logger })
+    console.log(`Imported ${imported.length} entr${imported.length === 1 ? 'y' : 'ies'} from ${options.bundle}` +
+      (skipped.length > 0 ? `, kept ${skipped.length} already cached` : ''))
+  }
+}
+
+/**
+ * Print the entries of the collector cache (eurorack-build cache status)
+ *
+ * The current column compares the content hash of the sources on disk (for
+ * components in local content sources) with the cached versions, the last
+ * build column does the same for the content hash of the last build (from the
+ * stats.json report of the playbook's report directory).
+ */
+async function printCacheStatus (cacheRoot, settings, options, logger) {
+  const { cacheStatus, currentContentHashes, formatAge } = require('../../extensions/collector-cache-maintenance')
+  const { formatBytes } = require('../../extensions/collector-cache-fs')
+  const { resolveReportDir } = require('../../extensions/collector-cache-config')
+  const current = await currentContentHashes(cacheRoot, settings.components, {
+    sourceHash: settings.extensionConfig.sourceHash,
+    logger,
+  })
+  const reportDir = resolveReportDir(settings.dir, settings.extensionConfig)
+  const status = cacheStatus(cacheRoot, { reportDir, current })
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2))
+    return
+  }
+
+  console.log()
+  if (status.entries.length === 0) {
+    console.log('  No cached entries')
+  } else {
+    const describeHash = (hash) => {
+      if (!hash) return '-'
+      if (hash.reason) return `(${hash.reason})`
+      const shown = hash.contentHash ? hash.contentHash.substring(0, 12) : '(no hash)'
+      return `${shown} ${hash.cached ? 'cached' : 'not cached'}`
+    }
+    const rows = status.entries.map((entry) => {
+      const latest = entry.versions[0]
+      return [
+        `${entry.component}/${entry.key}`,
+        String(entry.versions.length),
+        latest ? latest.contentHash.substring(0, 12) + (latest.dirty ? ' (dirty)' : '') : '-',
+        latest ? formatAge(latest.age) : '-',
+        formatBytes(entry.size),
+        describeHash(entry.current),
+        describeHash(entry.lastBuild),
+      ]
+    })
+    const header = ['Entry', 'Versions', 'Latest', 'Age', 'Size', 'Current', 'Last build']
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)))
+    const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()
+    console.log(`  ${formatRow(header)}`)
+    rows.forEach((row) => console.log(`  ${formatRow(row)}`))
+  }
+
+  const { totals } = status
+  console.log()
+  console.log(`${totals.entries} entr${totals.entries === 1 ? 'y' : 'ies'}, ${totals.versions} cached version(s), ` +
+    `${formatBytes(totals.bytes)} on disk` +
+    (totals.dirtyBytes > 0 ? ` (${formatBytes(totals.dirtyBytes)} from dirty worktrees)` : '') +
+    (totals.quarantined > 0 ? `, ${totals.quarantined} quarantined` : ''))
+  if (status.lastBuild) console.log(`Last build: ${status.lastBuild.generated}`)
+}
+
+/**
+ * Collector cache directory of a playbook (eurorack-build cache)
+ *
+ * Resolved as the extension does, from COLLECTOR_CACHE_DIR, the `cacheDir` of
+ * the components in local content sources and the extension config. When these
+ * name several existing directories, --cache-dir has to choose one.
+ */
+function playbookCacheRoot (settings) {
+  const { locateCacheRoot } = require('../../extensions/collector-cache-config')
+  const { dir, extensionConfig, components } = settings
+  const roots = [...new Set([
+    locateCacheRoot(dir, extensionConfig, {}).cacheRoot,
+    ...components.map((component) => locateCacheRoot(dir, extensionConfig, component.config).cacheRoot),
+  ])]
+  if (roots.length === 1) return roots[0]
+
+  const existing = roots.filter((root) => fs.existsSync(root))
+  if (existing.length === 1) return existing[0]
+  const candidates = (existing.length > 0 ? existing : roots).join(', ')
+  throw new Error(`The playbook uses several collector cache directories (${candidates}), choose one with --cache-dir`)
+}
+
+/**
+ * Collect garbage in the collector cache (eurorack-build cache prune)
+ *
+ * Retention limits are those of the playbook's `gc` extension config, unless
+ * --max-age, --max-size and --keep-last (which take the place of the
+ * COLLECTOR_CACHE_GC_* variables) override them; the dirty worktree namespace
+ * is pruned with its own maximum age as after builds.
+ */
+function pruneCache (cacheRoot, settings, options, logger) {
+  const { collectGarbage, resolveGcPolicy } = require('../../extensions/collector-cache-gc')
+  const { resolveDirtyPolicy, dirtyCacheRoot, dirtyGcPolicy } = require('../../extensions/collector-cache-dirty')
+  const env = { ...process.env, ...options.gc }
+  const policy = resolveGcPolicy(settings.extensionConfig.gc, env)
+
+  collectGarbage(cacheRoot, policy, { logger, dryRun: options.dryRun })
+  const dirtyRoot = dirtyCacheRoot(cacheRoot)
+  if (fs.existsSync(dirtyRoot)) {
+    collectGarbage(dirtyRoot, dirtyGcPolicy(policy, resolveDirtyPolicy(settings.extensionConfig.dirty, env)), {
+      logger,
+      dryRun: options.dryRun,
+    })
+  }
+}
+
+/**
+ * Verify cached outputs against their manifests (eurorack-build cache verify)
+ *
+ * Fails if outputs are corrupt or missing, unless --repair removed them.
+ */
+function verifyCacheOutputs (cacheRoot, options, logger) {
+  const { verifyCache } = require('../../extensions/collector-cache-maintenance')
+  const { parseEntryPatterns } = require('../../extensions/collector-cache-config')
+
+  return verifyCache(cacheRoot, { patterns: parseEntryPatterns(options.select), repair: options.repair, logger })
+    .then((results) => {
+      const count = (status) => results.filter((result) => result.status === status).length
+      for (const result of results.filter((r) => r.status === 'corrupt' || r.status === 'missing')) {
+        console.log(`  ${result.status.toUpperCase()} ${result.entries.join(', ')} ` +
+          `(${result.contentHash.substring(0, 12)}...${result.dirty ? ', dirty' : ''}): ${result.reason}` +
+          (result.repaired ? ' - removed' : ''))
+      }
+      console.log(`Verified ${results.length} output(s): ${count('ok')} ok, ${count('corrupt')} corrupt, ` +
+        `${count('missing')} missing, ${count('unverified')} without a manifest`)
+
+      const broken = results.filter((result) => !result.repaired && ['corrupt', 'missing'].includes(result.status))
+      if (broken.length > 0) {
+        throw new Error(`${broken.length} cached output(s) failed verification - rerun with --repair to remove them`)
+      }
+    })
+}
+
+module.exports = {
+  runCache,
+}
@@ -0,0 +1,239 @@
+/**
+ * Project config of eurorack-build and the collector cache settings of playbooks
+ *
+ * The project config (.eurorackbuildrc.yml or an "eurorack-build" key in
+ * package.json) holds defaults for the build options; the collector cache
+ * settings of a playbook are read the way the extension reads them, so the
+ * commands find the same cache and report directories as builds.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+// Project config: .eurorackbuildrc.yml or an "eurorack-build" key in package.json
+const CONFIG_FILE = '.eurorackbuildrc.yml'
+const PACKAGE_CONFIG_KEY = 'eurorack-build'
+
+// Config keys and the options they set
+const CONFIG_KEYS = {
+  playbook: 'playbook',
+  mounts: 'mounts',
+  clean: 'clean',
+  force_collector: 'forceCollector',
+  dry_run: 'dryRun',
+  runner: 'runner',
+  skip_pull: 'skipPull',
+  docker_image: 'dockerImage',
+  serve: 'serve',
+  port: 'port',
+  verbose: 'verbose',
+}
+
+/**
+ * Find and load the project config
+ *
+ * The nearest .eurorackbuildrc.yml or package.json with an "eurorack-build" key
+ * from the working directory up to the git root is used. Both hold the same
+ * settings (see CONFIG_KEYS) and named profiles that override them:
+ *
+ *   playbook: antora-playbook.yml
+ *   default_profile: local
+ *   profiles:
+ *     local:
+ *       playbook: local-playbook.yml
+ *       mounts: [../eurorack-docs-ui:/eurorack-docs-ui]
+ *     ci:
+ *       runner: native
+ *
+ * Playbook and mount paths are relative to the directory of the config file.
+ *
+ * @returns {object} { file, profile, options } - file is null if there is no config
+ */
+function loadConfig (cwd, stopPath, profile) {
+  const found = findConfig(cwd, stopPath)
+  if (!found) {
+    if (profile) throw new Error(`Profile ${profile} requested but no ${CONFIG_FILE} found`)
+    return { file: null, profile: null, options: {} }
+  }
+
+  const { file, dir, data } = found
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${file}: expected a mapping of settings`)
+  }
+  const { profiles = {}, default_profile: defaultProfile, ...settings } = data
+  const selected = profile || defaultProfile || null
+  if (selected && !Object.prototype.hasOwnProperty.call(profiles, selected)) {
+    const available = Object.keys(profiles).join(', ') || 'none'
+    throw new Error(`${file}: unknown profile ${selected} (available: ${available})`)
+  }
+
+  const base = configOptions(settings, file, dir, cwd)
+  const overrides = selected ? configOptions(profiles[selected] || {}, `${file} (profile ${selected})`, dir, cwd) : {}
+  const options = { ...base, ...overrides }
+  if (base.mounts || overrides.mounts) {
+    options.mounts = mergeMounts(base.mounts || [], overrides.mounts || [])
+  }
+  return { file, profile: selected, options }
+}
+
+/**
+ * Find the nearest config file between a directory and the git root
+ */
+function findConfig (startPath, stopPath) {
+  let currentPath = startPath
+  while (true) {
+    const configPath = path.join(currentPath, CONFIG_FILE)
+    if (fs.existsSync(configPath)) {
+      // Loaded here so commands without a config file don't need js-yaml
+      const yaml = require('js-yaml')
+      try {
+        return { file: configPath, dir: currentPath, data: yaml.safeLoad(fs.readFileSync(configPath, 'utf8')) }
+      } catch (error) {
+        throw new Error(`${configPath}: ${error.message}`)
+      }
+    }
+    const packagePath = path.join(currentPath, 'package.json')
+    if (fs.existsSync(packagePath)) {
+      let pkg
+      try {
+        pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'))
+      } catch (error) {
+        throw new Error(`${packagePath}: ${error.message}`)
+      }
+      if (pkg[PACKAGE_CONFIG_KEY]) {
+        return { file: `${packagePath} (${PACKAGE_CONFIG_KEY})`, dir: currentPath, data: pkg[PACKAGE_CONFIG_KEY] }
+      }
+    }
+    if (currentPath === stopPath || currentPath === path.parse(currentPath).root) {
+      return null
+    }
+    currentPath = path.dirname(currentPath)
+  }
+}
+
+/**
+ * Validate config settings and turn them into options
+ */
+function configOptions (settings, source, configDir, cwd) {
+  const options = {}
+  for (const [key, value] of Object.entries(settings)) {
+    const option = CONFIG_KEYS[key]
+    if (!option) {
+      throw new Error(`${source}: unknown setting ${key} (expected one of ${Object.keys(CONFIG_KEYS).join(', ')})`)
+    }
+    if (option === 'playbook' || option === 'dockerImage') {
+      if (typeof value !== 'string') throw new Error(`${source}: ${key} must be a string`)
+      // Playbooks are passed to Antora relative to the working directory
+      options[option] = option === 'playbook' ? path.relative(cwd, path.resolve(configDir, value)) : value
+    } else if (option === 'port') {
+      if (!Number.isInteger(value) || value < 0 || value > 65535) {
+        throw new Error(`${source}: port must be a port number`)
+      }
+      options.port = value
+    } else if (option === 'runner') {
+      if (value !== 'docker' && value !== 'native') throw new Error(`${source}: runner must be docker or native`)
+      options.runner = value
+    } else if (option === 'mounts') {
+      if (!Array.isArray(value) || value.some((mount) => typeof mount !== 'string' || !mount.includes(':'))) {
+        throw new Error(`${source}: mounts must be a list of src:dest`)
+      }
+      options.mounts = value.map((mount) => {
+        const separator = mount.indexOf(':')
+        return `${path.resolve(configDir, mount.substring(0, separator))}${mount.substring(separator)}`
+      })
+    } else if (option === 'forceCollector') {
+      // true forces every entry, like --force-collector without a pattern
+      const patterns = value === true ? ['true'] : value === false ? [] : [].concat(value)
+      if (patterns.some((pattern) => typeof pattern !== 'string')) {
+        throw new Error(`${source}: force_collector must be true or a list of component/key patterns`)
+      }
+      options.forceCollector = patterns
+    } else {
+      if (typeof value !== 'boolean') throw new Error(`${source}: ${key} must be true or false`)
+      options[option] = value
+    }
+  }
+  return options
+}
+
+/**
+ * Merge mount lists; a later mount replaces an earlier one with the same destination
+ */
+function mergeMounts (...lists) {
+  const mounts = new Map()
+  for (const mount of [].concat(...lists)) {
+    mounts.set(mount.substring(mount.indexOf(':') + 1), mount)
+  }
+  return [...mounts.values()]
+}
+
+/**
+ * Print the merged build options by config key
+ */
+function printMergedConfig (config, options) {
+  console.log(config.file ? `# Config: ${config.file}` : `# Config: none (no ${CONFIG_FILE} found)`)
+  if (config.profile) console.log(`# Profile: ${config.profile}`)
+  console.log(`# Working directory: ${options.cwd}`)
+  const merged = {}
+  for (const [key, option] of Object.entries(CONFIG_KEYS)) {
+    merged[key] = options[option]
+  }
+  if (merged.force_collector.includes('true')) merged.force_collector = true
+  console.log(JSON.stringify(merged, null, 2))
+}
+
+/**
+ * Find git repository root by walking up directory tree
+ */
+function findGitRoot (startPath) {
+  let currentPath = startPath
+  while (currentPath !== path.parse(currentPath).root) {
+    if (fs.existsSync(path.join(currentPath, '.git'))) {
+      return currentPath
+    }
+    currentPath = path.dirname(currentPath)
+  }
+  return null
+}
+
+/**
+ * Directory the collector cache extension writes its reports to, resolved from
+ * the playbook as the extension does
+ */
+function collectorReportDir (context) {
+  const { resolveReportDir } = require('../../extensions/collector-cache-config')
+  const playbookPath = path.join(context.gitRoot, context.workDir, context.playbook)
+  let extensionConfig = {}
+  try {
+    extensionConfig = readCacheSettings(playbookPath).extensionConfig
+  } catch (error) {
+    // Antora reports an unreadable playbook; the default report directory applies
+  }
+  return resolveReportDir(path.dirname(playbookPath), extensionConfig)
+}
+
+/**
+ * Collector cache settings of a playbook (see readPlaybookConfig)
+ *
+ * Without a playbook the defaults apply, relative to defaultDir.
+ */
+function readCacheSettings (playbookPath, defaultDir) {
+  const { readPlaybookConfig } = require('../../extensions/collector-cache-config')
+  if (!playbookPath) return { dir: defaultDir, data: {}, extensionConfig: {}, components: [] }
+  try {
+    return readPlaybookConfig(playbookPath)
+  } catch (error) {
+    throw new Error(`Could not read playbook ${playbookPath}: ${error.message}`)
+  }
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_KEYS,
+  loadConfig,
+  mergeMounts,
+  printMergedConfig,
+  findGitRoot,
+  collectorReportDir,
+  readCacheSettings,
+}
@@ -0,0 +1,435 @@
+/**
+ * Builds: the checks before and after Antora runs, and the runners that run it
+ *
+ * Antora runs in the eurorack-docker image (docker runner) or on the host
+ * (native runner); both get the collector environment built from the options.
+ */
+
+const { execSync, execFileSync, spawn } = require('child_process')
+const fs = require('fs')
+const path = require('path')
+const { collectorReportDir } = require('./config')
+
+/**
+ * Print the build header, check the playbook and clean if requested
+ */
+function prepareBuild (context, options) {
+  const { playbook, gitRoot, workDir, buildDir } = context
+
+  console.log('==================================')
+  console.log('Building Antora Documentation')
+  console.log('==================================')
+  console.log()
+  console.log(`Playbook: ${playbook}`)
+  console.log(`Git root: ${gitRoot}`)
+  console.log(`Work dir: ${workDir}`)
+  console.log()
+
+  // Check playbook exists
+  const playbookPath = workDir !== '.'
+    ? path.join(gitRoot, workDir, playbook)
+    : path.join(gitRoot, playbook)
+
+  if (!fs.existsSync(playbookPath)) {
+    throw new Error(`Playbook not found: ${playbookPath}`)
+  }
+
+  // Clean if requested
+  if (options.clean) {
+    console.log('Cleaning build artifacts...')
+    const cachePath = workDir !== '.'
+      ? path.join(gitRoot, workDir, '.cache')
+      : path.join(gitRoot, '.cache')
+    const buildPath = workDir !== '.'
+      ? path.join(gitRoot, workDir, buildDir)
+      : path.join(gitRoot, buildDir)
+
+    if (fs.existsSync(cachePath)) {
+      execSync(`rm -rf "${cachePath}"`, { stdio: 'inherit' })
+    }
+    if (fs.existsSync(buildPath)) {
+      execSync(`rm -rf "${buildPath}"`, { stdio: 'inherit' })
+    }
+    console.log()
+  }
+}
+
+/**
+ * Run build
+ *
+ * @returns {Promise} Resolved once the build has finished and its output was checked
+ */
+async function runBuild (context, options) {
+  const { gitRoot, workDir, buildDir } = context
+
+  prepareBuild(context, options)
+
+  const runner = createRunner(options.runner)
+  const env = collectorEnv(options)
+  runner.prepare(context, options)
+  await runner.run(context, options, env)
+
+  // Dry run stops before the site is generated; report the collector plan instead
+  if (options.dryRun) {
+    printDryRunPlan(path.join(collectorReportDir(context), 'dry-run-plan.json'))
+    return
+  }
+
+  // Check if build succeeded
+  const sitePath = workDir !== '.'
+    ? path.join(gitRoot, workDir, buildDir, 'site')
+    : path.join(gitRoot, buildDir, 'site')
+
+  if (fs.existsSync(sitePath)) {
+    console.log()
+    console.log('==================================')
+    console.log('✓ Build successful!')
+    console.log('==================================')
+    console.log()
+    if (!options.serve) {
+      console.log('To view the documentation:')
+      console.log('  eurorack-build serve')
+      console.log(`  Then open: http://localhost:${options.port}`)
+      console.log()
+    }
+  } else {
+    throw new Error('Build directory not created - build may have failed')
+  }
+}
+
+/**
+ * Environment variables passed to Antora for the collector extensions
+ */
+function collectorEnv (options) {
+  const env = {}
+
+  if (options.forceCollector.length > 0) {
+    const patterns = options.forceCollector.includes('true') ? 'true' : options.forceCollector.join(',')
+    if (!/^[\w.,*/-]+$/.test(patterns)) {
+      throw new Error(`invalid --force-collector pattern: ${patterns}`)
+    }
+    env.FORCE_COLLECTOR = patterns
+  }
+
+  if (options.dryRun) {
+    env.DRY_RUN = 'true'
+  }
+
+  // Pass through BLENDER_SAMPLES if set in environment
+  if (process.env.BLENDER_SAMPLES) {
+    env.BLENDER_SAMPLES = process.env.BLENDER_SAMPLES
+  }
+
+  // The report directory is read back by dry runs and watch summaries
+  if (process.env.COLLECTOR_CACHE_REPORT_DIR) {
+    env.COLLECTOR_CACHE_REPORT_DIR = process.env.COLLECTOR_CACHE_REPORT_DIR
+  }
+
+  return env
+}
+
+/**
+ * Create the runner that executes Antora for a build
+ *
+ * Runners share option handling, the collector environment and the checks
+ * before and after the build (see runBuild) and differ only in where Antora
+ * runs. run() builds once and may return a Promise; start() sets up a session
+ * whose build(env) can be called repeatedly (see runWatch) until stop():
+ *   - docker: in the eurorack-docker image, with the git root mounted to /work
+ *   - native: on the host, with the tools installed there
+ */
+function createRunner (name) {
+  if (name === 'docker') {
+    return { prepare: prepareDocker, run: runDocker, start: startDocker }
+  }
+  if (name === 'native') {
+    return { prepare: prepareNative, run: runNative, start: startNative }
+  }
+  throw new Error(`Unknown runner: ${name}`)
+}
+
+/**
+ * Pull the Docker image
+ */
+function prepareDocker (context, options) {
+  if (!options.skipPull) {
+    console.log(`Pulling Docker image: ${options.dockerImage}`)
+    execSync(`docker pull ${options.dockerImage}`, { stdio: 'inherit' })
+    console.log()
+  }
+}
+
+/**
+ * Run Antora in a Docker container as the host user
+ */
+function runDocker (context, options, env) {
+  const { playbook, workDir } = context
+  const volumes = dockerVolumes(context, options)
+
+  console.log('Building site in Docker container...')
+
+  // Build environment variables
+  const envVars = [
+    'LOCAL_USER_ID=$(id -u)',
+    'LOCAL_GROUP_ID=$(id -g)',
+  ]
+
+  // Quoted so the shell doesn't expand * in patterns
+  for (const [name, value] of Object.entries(env)) {
+    envVars.push(`${name}='${value.replace(/'/g, "'\\''")}'`)
+  }
+
+  // Build docker command
+  const volumeArgs = volumes.map((v) => `-v ${v}`).join(' \\\n    ')
+  const envArgs = envVars.map((e) => `-e ${e}`).join(' \\\n    ')
+
+  // Docker working directory
+  const dockerWorkDir = workDir !== '.' ? `/work/${workDir}` : '/work'
+
+  const dockerCmd = `docker run --rm \\
+    ${volumeArgs} \\
+    -w ${dockerWorkDir} \\
+    ${envArgs} \\
+    ${options.dockerImage} \\
+    bash -c "
+        set -e
+
+        echo 'Installing dependencies as root...'
+        if [ ! -d node_modules ]; then
+            npm install --no-package-lock
+        else
+            echo 'Dependencies already installed'
+        fi
+
+        echo 'Switching to user \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID...'
+
+        # Create a user with the same UID/GID as the host user if it doesn't exist
+        # This ensures file ownership matches the host
+        if ! getent passwd \\$LOCAL_USER_ID >/dev/null 2>&1; then
+            groupadd -g \\$LOCAL_GROUP_ID builduser 2>/dev/null || true
+            useradd -u \\$LOCAL_USER_ID -g \\$LOCAL_GROUP_ID -m -s /bin/bash builduser 2>/dev/null || true
+        fi
+
+        echo 'Running Antora as host user...'
+        su-exec \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID npx antora ${playbook} || \\
+        gosu \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID npx antora ${playbook} || \\
+        runuser -u builduser -- npx antora ${playbook}
+
+        echo 'Fixing ownership of installed dependencies...'
+        chown -R \\$LOCAL_USER_ID:\\$LOCAL_GROUP_ID node_modules .cache 2>/dev/null || true
+    "`
+
+  if (options.verbose) {
+    console.log()
+    console.log('Docker command:')
+    console.log(dockerCmd)
+    console.log()
+  }
+
+  // Execute build
+  execSync(dockerCmd, { stdio: 'inherit', shell: '/bin/bash' })
+}
+
+/**
+ * Volume mounts of the build container (quoted host:container pairs)
+ */
+function dockerVolumes (context, options) {
+  // Always mount git root to /work
+  const volumes = [`"${context.gitRoot}:/work"`]
+
+  // Add user-specified mounts
+  if (options.mounts.length > 0) {
+    console.log('Additional mounts:')
+    for (const mount of options.mounts) {
+      const [src, dest] = mount.split(':')
+      if (!src || !dest) {
+        throw new Error(`Invalid mount format: ${mount} (expected src:dest)`)
+      }
+      const absoluteSrc = path.resolve(src)
+      if (!fs.existsSync(absoluteSrc)) {
+        console.warn(`Warning: Mount source does not exist: ${absoluteSrc}`)
+      }
+      volumes.push(`"${absoluteSrc}:${dest}"`)
+      console.log(`  ${absoluteSrc} → ${dest}`)
+    }
+    console.log()
+  }
+
+  return volumes
+}
+
+/**
+ * Start a long-running container for repeated builds
+ *
+ * Dependencies are installed and the host user is created once; every build
+ * then runs Antora in the same container with docker exec.
+ */
+function startDocker (context, options) {
+  const { playbook, workDir } = context
+  const container = `eurorack-build-${process.pid}`
+  const user = `${process.getuid()}:${process.getgid()}`
+  const volumeArgs = dockerVolumes(context, options).map((v) => `-v ${v}`).join(' ')
+  const dockerWorkDir = workDir !== '.' ? `/work/${workDir}` : '/work'
+
+  console.log(`Starting Docker container ${container}...`)
+  execSync(`docker run -d --rm --name ${container} ${volumeArgs} -w ${dockerWorkDir} ` +
+    `${options.dockerImage} sleep infinity`, { stdio: 'ignore', shell: '/bin/bash' })
+
+  const stop = () => {
+    try {
+      execFileSync('docker', ['rm', '-f', container], { stdio: 'ignore' })
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  try {
+    execFileSync('docker', ['exec', container, 'bash', '-c', `
+      set -e
+      if [ ! -d node_modules ]; then
+          npm install --no-package-lock
+      else
+          echo 'Dependencies already installed'
+      fi
+      if ! getent passwd ${process.getuid()} >/dev/null 2>&1; then
+          groupadd -g ${process.getgid()} builduser 2>/dev/null || true
+          useradd -u ${process.getuid()} -g ${process.getgid()} -m -s /bin/bash builduser 2>/dev/null || true
+      fi
+      chown -R ${user} node_modules .cache 2>/dev/null || true
+    `], { stdio: 'inherit' })
+  } catch (error) {
+    stop()
+    throw error
+  }
+
+  return {
+    build (env) {
+      const envArgs = [].concat(...Object.entries(env).map(([name, value]) => ['-e', `${name}=${value}`]))
+      const command = ['exec', '-u', user, ...envArgs, container, 'npx', 'antora', playbook]
+      return spawnCommand('docker', command)
+    },
+    stop,
+  }
+}
+
+/**
+ * Check the host has what the build needs
+ */
+function prepareNative (context, options) {
+  if (options.mounts.length > 0) {
+    // Without a container there is nothing to mount into; playbooks must use host paths
+    console.warn('Warning: --mount is ignored with --native, playbook paths must point to host directories')
+    console.log()
+  }
+  try {
+    execFileSync('npx', ['--version'], { stdio: 'ignore' })
+  } catch (error) {
+    throw new Error('npx not found - the native runner needs Node.js and npm on the host')
+  }
+}
+
+/**
+ * Run Antora directly on the host
+ *
+ * @returns {Promise} Resolved when Antora exits successfully
+ */
+function runNative (context, options, env) {
+  const { playbook } = context
+  const session = startNative(context, options)
+
+  console.log('Building site on the host...')
+
+  if (options.verbose) {
+    console.log()
+    console.log('Command:')
+    for (const [name, value] of Object.entries(env)) {
+      console.log(`  ${name}=${value}`)
+    }
+    console.log(`  npx antora ${playbook}`)
+    console.log()
+  }
+
+  // Execute build
+  return session.build(env)
+}
+
+/**
+ * Install dependencies on the host for repeated builds
+ */
+function startNative (context, options) {
+  const { playbook, gitRoot, workDir } = context
+  const cwd = path.join(gitRoot, workDir)
+  const running = new Set()
+
+  if (!fs.existsSync(path.join(cwd, 'node_modules'))) {
+    console.log('Installing dependencies...')
+    execFileSync('npm', ['install', '--no-package-lock'], { cwd, stdio: 'inherit' })
+  } else {
+    console.log('Dependencies already installed')
+  }
+
+  return {
+    build (env) {
+      return spawnCommand('npx', ['antora', playbook], { cwd, env: { ...process.env, ...env } }, running)
+    },
+    stop () {
+      running.forEach((child) => child.kill())
+    },
+  }
+}
+
+/**
+ * Run a command without blocking the event loop, so the preview server keeps
+ * responding during watch builds
+ *
+ * @param {Set} [running] - Tracks the child process while it runs
+ * @returns {Promise} Resolved when the command exits successfully
+ */
+function spawnCommand (command, args, options = {}, running = new Set()) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'inherit', ...options })
+    running.add(child)
+    child.on('error', (error) => {
+      running.delete(child)
+      reject(error)
+    })
+    child.on('exit', (code, signal) => {
+      running.delete(child)
+      if (code === 0) return resolve()
+      reject(new Error(`Command failed: ${command} ${args.join(' ')} (${signal || `exit code ${code}`})`))
+    })
+  })
+}
+
+/**
+ * Print the collector plan written by the collector-cache extension in dry-run mode
+ */
+function printDryRunPlan (planPath) {
+  if (!fs.existsSync(planPath)) {
+    throw new Error(`Dry run plan not found: ${planPath}`)
+  }
+
+  const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'))
+
+  console.log()
+  console.log('==================================')
+  console.log('Collector Cache Plan (dry run)')
+  console.log('==================================')
+  console.log()
+  for (const entry of plan.entries) {
+    const hash = entry.contentHash ? ` ${entry.contentHash.substring(0, 12)}` : ''
+    const deps = entry.dependsOn && entry.dependsOn.length > 0 ? ` (depends on ${entry.dependsOn.join(', ')})` : ''
+    console.log(`  ${entry.status.padEnd(4)} ${entry.component}/${entry.key}${hash} - ${entry.reason}${deps}`)
+  }
+  console.log()
+  console.log(`${plan.summary.hits} HIT(s), ${plan.summary.misses} MISS(es)`)
+  console.log(`Plan: ${planPath}`)
+  console.log()
+}
+
+module.exports = {
+  prepareBuild,
+  runBuild,
+  collectorEnv,
+  createRunner,
+}
@@ -0,0 +1,219 @@
+/**
+ * Preview server for generated sites (--serve and eurorack-build serve)
+ */
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+
+// Preview server: default port, content types and the livereload event stream
+const DEFAULT_PORT = 8000
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.step': 'model/step',
+  '.stp': 'model/step',
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.wasm': 'application/wasm',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+}
+const LIVERELOAD_PATH = '/__livereload'
+const LIVERELOAD_SCRIPT = `<script>new EventSource('${LIVERELOAD_PATH}').onmessage = () => location.reload()</script>`
+
+/**
+ * Serve a generated site for local preview
+ *
+ * Files are served with content types for the site's pages, iBOM HTML and
+ * attachments (see MIME_TYPES); directories serve their index.html and missing
+ * pages the site's 404.html. Redirects written by Antora's netlify, nginx or
+ * httpd redirect facility are honored (the static facility writes plain
+ * pages). With livereload, HTML pages get a script that reloads them when
+ * reload() is called.
+ *
+ * @returns {object} { reload, close }
+ */
+function serveSite (siteDir, { port = DEFAULT_PORT, livereload = false } = {}) {
+  const clients = new Set()
+  let redirects = loadRedirects(siteDir)
+
+  const server = http.createServer((req, res) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost')
+
+    if (livereload && pathname === LIVERELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+      res.write(': connected\n\n')
+      clients.add(res)
+      req.on('close', () => clients.delete(res))
+      return
+    }
+
+    let requestPath
+    try {
+      requestPath = decodeURIComponent(pathname)
+    } catch (error) {
+      return sendError(res, 400, 'Bad request')
+    }
+
+    const redirect = findRedirect(redirects, requestPath)
+    if (redirect) {
+      res.writeHead(redirect.status, { Location: redirect.location })
+      return res.end()
+    }
+
+    let filePath = path.join(siteDir, path.normalize(requestPath))
+    if (filePath !== siteDir && !filePath.startsWith(siteDir + path.sep)) {
+      return sendError(res, 403, 'Forbidden')
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      if (!requestPath.endsWith('/')) {
+        res.writeHead(301, { Location: `${pathname}/${search}` })
+        return res.end()
+      }
+      filePath = path.join(filePath, 'index.html')
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      sendFile(req, res, 200, filePath, livereload)
+    } else if (fs.existsSync(path.join(siteDir, '404.html'))) {
+      sendFile(req, res, 404, path.join(siteDir, '404.html'), livereload)
+    } else {
+      sendError(res, 404, 'Not found')
+    }
+  })
+
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`Error: Port ${port} is in use - choose another with --port`)
+    } else {
+      console.error(`Error: Preview server failed: ${error.message}`)
+    }
+    process.exit(1)
+  })
+  server.listen(port, () => {
+    console.log(`Serving ${path.relative(process.cwd(), siteDir) || '.'} at http://localhost:${port}` +
+      (livereload ? ' with livereload' : '') + ' (Ctrl+C to stop)')
+  })
+
+  return {
+    reload () {
+      redirects = loadRedirects(siteDir)
+      for (const client of clients) client.write('data: reload\n\n')
+    },
+    close () {
+      for (const client of clients) client.end()
+      server.close()
+    },
+  }
+}
+
+function sendFile (req, res, status, filePath, livereload) {
+  const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+  const headers = { 'Content-Type': type, 'Cache-Control': 'no-cache' }
+
+  if (livereload && type.startsWith('text/html')) {
+    const html = fs.readFileSync(filePath, 'utf8')
+    const body = html.includes('</body>')
+      ? html.replace('</body>', `${LIVERELOAD_SCRIPT}</body>`)
+      : html + LIVERELOAD_SCRIPT
+    res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) })
+    return res.end(req.method === 'HEAD' ? undefined : body)
+  }
+
+  res.writeHead(status, { ...headers, 'Content-Length': fs.statSync(filePath).size })
+  if (req.method === 'HEAD') return res.end()
+  fs.createReadStream(filePath).pipe(res)
+}
+
+function sendError (res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' })
+  res.end(`${message}\n`)
+}
+
+/**
+ * Load the redirect rules of a site written by Antora's redirect facility
+ *
+ *   netlify: _redirects                 /from /to 301! (* in from, :splat in to)
+ *   nginx:   .etc/nginx/rewrite.conf    location = /from { return 301 /to; }
+ *                                       location ^~ /prefix/ { rewrite ^regex$ /to/$1 redirect; }
+ *   httpd:   .htaccess                  Redirect 301 /from /to, RedirectMatch 302 ^regex$ /to/$1
+ *
+ * @returns {object[]} { pattern, target, status } - target may refer to groups of pattern as $1
+ */
+function loadRedirects (siteDir) {
+  const read = (file) => {
+    const filePath = path.join(siteDir, file)
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').split('\n').map((line) => line.trim()) : []
+  }
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const exact = (from) => new RegExp(`^${escape(from)}$`)
+  const rules = []
+
+  for (const line of read('_redirects')) {
+    const [from, to, status = '301'] = line.split(/\s+/)
+    if (!from || !to || from.startsWith('#')) continue
+    const pattern = from.endsWith('*') ? new RegExp(`^${escape(from.slice(0, -1))}(.*)$`) : exact(from)
+    rules.push({ pattern, target: to.replace(':splat', '$1'), status: parseInt(status, 10) })
+  }
+
+  for (const line of read(path.join('.etc', 'nginx', 'rewrite.conf'))) {
+    let match = line.match(/^location = (\S+) \{ return (\d+) (\S+); \}$/)
+    if (match) {
+      rules.push({ pattern: exact(match[1]), target: match[3], status: parseInt(match[2], 10) })
+      continue
+    }
+    match = line.match(/^location \^~ \S+ \{ rewrite (\S+) (\S+) (redirect|permanent); \}$/)
+    if (match) {
+      rules.push({ pattern: new RegExp(match[1]), target: match[2], status: match[3] === 'permanent' ? 301 : 302 })
+    }
+  }
+
+  for (const line of read('.htaccess')) {
+    const match = line.match(/^(Redirect|RedirectMatch) (\d+) (\S+) (\S+)$/)
+    if (match) {
+      const pattern = match[1] === 'Redirect' ? exact(match[3]) : new RegExp(match[3])
+      rules.push({ pattern, target: match[4], status: parseInt(match[2], 10) })
+    }
+  }
+
+  return rules
+}
+
+function findRedirect (rules, requestPath) {
+  for (const { pattern, target, status } of rules) {
+    const match = requestPath.match(pattern)
+    if (match) {
+      return { status, location: target.replace(/\$(\d)/g, (_, group) => match[group] || '') }
+    }
+  }
+  return null
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  serveSite,
+}
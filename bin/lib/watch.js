@@ -0,0 +1,253 @@
+/**
+ * Watch mode: rebuild whenever the sources of a build change (--watch)
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { collectorReportDir, readCacheSettings } = require('./config')
+const { prepareBuild, collectorEnv, createRunner } = require('./runner')
+const { serveSite } = require('./serve')
+
+// Watch mode: quiet period before a rebuild, and directories never watched
+const WATCH_DEBOUNCE = 300
+const WATCH_IGNORED = ['.git', 'node_modules', 'build', '.cache']
+
+/**
+ * Build, then rebuild whenever watched files change
+ *
+ * Watches the working directory, the sources of --mount and the local content
+ * sources and UI bundle of the playbook. Changes are debounced and rebuilt in
+ * the same runner session (the container stays up), so only Antora itself
+ * reruns and collectors are HITs unless their sources changed. Builds run
+ * asynchronously: changes made during a build are collected and rebuilt
+ * together once it has finished.
+ * --force-collector applies to the first build only. With --serve, the site is
+ * served with livereload and open pages reload after every successful build.
+ */
+function runWatch (context, options) {
+  const { gitRoot, workDir, buildDir } = context
+
+  prepareBuild(context, options)
+
+  const runner = createRunner(options.runner)
+  const firstEnv = collectorEnv(options)
+  const env = collectorEnv({ ...options, forceCollector: [] })
+  runner.prepare(context, options)
+  const session = runner.start(context, options)
+
+  let watchers = []
+  let server = null
+  const stop = () => {
+    watchers.forEach((watcher) => watcher.close())
+    if (server) server.close()
+    session.stop()
+    console.log()
+    console.log('Stopped watching')
+    process.exit(0)
+  }
+  process.on('SIGINT', stop)
+  process.on('SIGTERM', stop)
+
+  let changed = new Set()
+  let building = false
+  let timer = null
+  const build = async (buildEnv, files) => {
+    building = true
+    const ok = await rebuild(context, session, buildEnv, files)
+    building = false
+    return ok
+  }
+  // Changes made during a build are rebuilt together once it has finished
+  const flush = async () => {
+    timer = null
+    if (building || changed.size === 0) return
+    const files = [...changed]
+    changed = new Set()
+    if ((await build(env, files)) && server) server.reload()
+    if (!timer) await flush()
+  }
+  const onChange = (file) => {
+    changed.add(file)
+    clearTimeout(timer)
+    timer = setTimeout(flush, WATCH_DEBOUNCE)
+  }
+
+  const dirs = watchDirs(context, options)
+  const ignored = collectorWritePaths(context)
+  watchers = [].concat(...dirs.map((dir) => watchTree(dir, onChange, ignored)))
+
+  build(firstEnv, []).then(() => {
+    if (options.serve) {
+      server = serveSite(path.join(gitRoot, workDir, buildDir, 'site'), { port: options.port, livereload: true })
+    }
+    console.log('Watching for changes (Ctrl+C to stop):')
+    dirs.forEach((dir) => console.log(`  ${dir}`))
+    if (!timer) return flush()
+  })
+}
+
+/**
+ * Run one build of a watch session and print a one-line summary
+ *
+ * A failed build is reported and watching continues.
+ *
+ * @returns {Promise<boolean>} Whether the build succeeded
+ */
+async function rebuild (context, session, env, files) {
+  const { gitRoot, workDir, buildDir } = context
+  const started = Date.now()
+  const time = new Date().toLocaleTimeString()
+
+  if (files.length > 0) {
+    const shown = files.slice(0, 3).map((file) => path.relative(process.cwd(), file)).join(', ')
+    const more = files.length > 3 ? ` and ${files.length - 3} more` : ''
+    console.log()
+    console.log(`[${time}] Changed: ${shown}${more} - rebuilding...`)
+  }
+
+  let error = null
+  try {
+    await session.build(env)
+    if (!fs.existsSync(path.join(gitRoot, workDir, buildDir, 'site'))) {
+      throw new Error('Build directory not created')
+    }
+  } catch (err) {
+    error = err
+  }
+
+  const seconds = ((Date.now() - started) / 1000).toFixed(1)
+  const stats = readCollectorStats(path.join(collectorReportDir(context), 'stats.json'), started)
+  const collectors = stats ? `, collectors: ${stats.totals.hits} HIT(s), ${stats.totals.misses} MISS(es)` : ''
+  console.log()
+  if (error) {
+    console.log(`[${new Date().toLocaleTimeString()}] ✗ Build failed after ${seconds}s: ${error.message}`)
+  } else {
+    console.log(`[${new Date().toLocaleTimeString()}] ✓ Built in ${seconds}s${collectors}`)
+  }
+  return !error
+}
+
+/**
+ * Read the collector cache statistics of a build, if written since it started
+ */
+function readCollectorStats (statsPath, since) {
+  try {
+    const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'))
+    return Date.parse(stats.generated) >= since ? stats : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Directories to watch: the working directory, mount sources and the
+ * playbook's local content sources and UI bundle that exist on the host
+ */
+function watchDirs (context, options) {
+  const { playbook, gitRoot, workDir } = context
+  const projectDir = path.join(gitRoot, workDir)
+  const candidates = [projectDir]
+
+  if (options.runner === 'docker') {
+    candidates.push(...options.mounts.map((mount) => path.resolve(mount.split(':')[0])))
+  }
+
+  const playbookPath = path.join(projectDir, playbook)
+  const playbookDir = path.dirname(playbookPath)
+  let data = {}
+  try {
+    data = require('js-yaml').safeLoad(fs.readFileSync(playbookPath, 'utf8')) || {}
+  } catch (error) {
+    console.warn(`Warning: Could not read playbook for watching: ${error.message}`)
+  }
+  const sources = (data.content && data.content.sources) || []
+  for (const source of sources) {
+    if (source.url && !/^[a-z][a-z0-9+.-]*:|^git@/i.test(source.url)) {
+      candidates.push(path.resolve(playbookDir, source.url))
+    }
+  }
+  const bundleUrl = data.ui && data.ui.bundle && data.ui.bundle.url
+  if (bundleUrl && !/^[a-z][a-z0-9+.-]*:/i.test(bundleUrl)) {
+    candidates.push(path.dirname(path.resolve(playbookDir, bundleUrl)))
+  }
+
+  // Existing directories, skipping those inside another watched directory
+  const dirs = [...new Set(candidates)].filter((dir) => fs.existsSync(dir) && fs.statSync(dir).isDirectory())
+  return dirs.filter((dir) => !dirs.some((other) => other !== dir && dir.startsWith(other + path.sep)))
+}
+
+/**
+ * Paths the collector cache extension writes to during a build: the outputs
+ * of the entries of local components (restored to their worktrees on a cache
+ * HIT), the cache directories and the report directory
+ */
+function collectorWritePaths (context) {
+  const { locateCacheRoot, resolveReportDir } = require('../../extensions/collector-cache-config')
+  const playbookPath = path.join(context.gitRoot, context.workDir, context.playbook)
+  let settings
+  try {
+    settings = readCacheSettings(playbookPath)
+  } catch (error) {
+    return []
+  }
+  const { dir, extensionConfig, components } = settings
+
+  const paths = [locateCacheRoot(dir, extensionConfig, {}).cacheRoot, resolveReportDir(dir, extensionConfig)]
+  for (const { worktree, config } of components) {
+    paths.push(locateCacheRoot(dir, extensionConfig, config).cacheRoot)
+    const entries = Array.isArray(config) ? config : config.entries
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const outputDir = entry && entry.run && (entry.run.cacheDir || entry.run.cachedir)
+      if (typeof outputDir === 'string') paths.push(path.resolve(worktree, outputDir))
+    }
+  }
+  return [...new Set(paths)]
+}
+
+/**
+ * Watch a directory tree, calling onChange with the path of every changed file
+ *
+ * Paths below WATCH_IGNORED directories and the ignored paths don't count,
+ * except a UI bundle so that rebuilding the UI triggers a site rebuild. Where
+ * recursive watching is not available, every directory is watched on its own
+ * (directories created later are not picked up).
+ *
+ * @param {string[]} [ignored] - Absolute paths of files or directories to ignore
+ * @returns {fs.FSWatcher[]}
+ */
+function watchTree (dir, onChange, ignored = []) {
+  const isIgnored = (file) => ignored.some((ignoredPath) => file === ignoredPath ||
+    file.startsWith(ignoredPath + path.sep))
+  const notify = (relative) => {
+    const parts = relative.split(path.sep)
+    if (parts.some((part) => WATCH_IGNORED.includes(part)) && !relative.endsWith('ui-bundle.zip')) return
+    if (isIgnored(path.join(dir, relative))) return
+    onChange(path.join(dir, relative))
+  }
+
+  try {
+    return [fs.watch(dir, { recursive: true }, (event, filename) => filename && notify(filename))]
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error
+  }
+
+  const watchers = []
+  const watchDir = (relative) => {
+    watchers.push(fs.watch(path.join(dir, relative), (event, filename) => {
+      if (filename) notify(path.join(relative, filename))
+    }))
+    for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+      if (!entry.isDirectory() || WATCH_IGNORED.includes(entry.name)) continue
+      if (!isIgnored(path.join(dir, relative, entry.name))) watchDir(path.join(relative, entry.name))
+    }
+  }
+  watchDir('')
+  return watchers
+}
+
+module.exports = {
+  runWatch,
+  watchDirs,
+  collectorWritePaths,
+  watchTree,
+}
@@ -0,0 +1,151 @@
+/**
+ * Concurrency-safe filesystem operations for the collector cache
+ *
+ * Several builds may share one cache directory (parallel CI jobs, or a local
+ * build while a watch build runs). Writers therefore:
+ *
+ *   1. take a lock file per content hash (locks/<contentHash>.lock)
+ *   2. copy outputs into a dot-prefixed staging directory under outputs/
+ *   3. rename the staging directory into place
+ *   4. write the pointer file (via a temporary file and rename)
+ *
+ * so a reader that finds a pointer always finds complete outputs.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+
+const DEFAULT_LOCK_TIMEOUT = 5 * 60 * 1000
+const DEFAULT_STALE_AFTER = 10 * 60 * 1000
+const POLL_INTERVAL = 250
+
+/**
+ * Acquire an exclusive lock file, waiting while another process holds it
+ *
+ * A lock is considered stale (and broken) when its owner process on this host
+ * is no longer running, or when it is older than `staleAfter`.
+ *
+ * @param {string} lockPath - Path of the lock file
+ * @param {object} [options] - { timeout, staleAfter, logger }
+ * @returns {Promise<Function>} Function that releases the lock
+ */
+async function acquireLock (lockPath, options = {}) {
+  const { timeout = DEFAULT_LOCK_TIMEOUT, staleAfter = DEFAULT_STALE_AFTER, logger } = options
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true })
+  const owner = { pid: process.pid, hostname: os.hostname(), created: new Date().toISOString() }
+  const deadline = Date.now() + timeout
+  let waiting = false
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' })
+      return () => fs.rmSync(lockPath, { force: true })
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+    }
+
+    if (isStaleLock(lockPath, staleAfter)) {
+      if (logger) logger.warn(`Breaking stale collector cache lock: ${lockPath}`)
+      fs.rmSync(lockPath, { force: true })
+      continue
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for collector cache lock: ${lockPath}`)
+    }
+    if (!waiting && logger) logger.info(`Waiting for collector cache lock held by another build: ${lockPath}`)
+    waiting = true
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL))
+  }
+}
+
+/**
+ * Check whether a lock file was left behind by a process that no longer holds it
+ */
+function isStaleLock (lockPath, staleAfter) {
+  let lock
+  try {
+    lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'))
+  } catch (err) {
+    // Lock vanished or is still being written; only break it once it is old
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > staleAfter
+    } catch (statErr) {
+      return false
+    }
+  }
+  if (Date.now() - Date.parse(lock.created) > staleAfter) return true
+  if (lock.hostname !== os.hostname()) return false
+  try {
+    process.kill(lock.pid, 0)
+    return false
+  } catch (err) {
+    return err.code === 'ESRCH'
+  }
+}
+
+/**
+ * Check whether a lock file is currently held
+ */
+function isLocked (lockPath, staleAfter = DEFAULT_STALE_AFTER) {
+  return fs.existsSync(lockPath) && !isStaleLock(lockPath, staleAfter)
+}
+
+/**
+ * Write a file by writing a temporary sibling and renaming it into place
+ */
+function writeFileAtomic (filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const tempPath = `${filePath}.tmp-${uniqueSuffix()}`
+  try {
+    fs.writeFileSync(tempPath, data, 'utf8')
+    fs.renameSync(tempPath, filePath)
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true })
+    throw err
+  }
+}
+
+/**
+ * Create a unique dot-prefixed staging directory path below dir
+ *
+ * Dot-prefixed entries in outputs/ are ignored by readers and garbage collection.
+ */
+function stagingPath (dir, label) {
+  return path.join(dir, `.${label}-${uniqueSuffix()}`)
+}
+
+/**
+ * Move a fully written staging directory to its final location
+ *
+ * An existing destination is first renamed aside so the destination path is
+ * never half-populated, then removed.
+ *
+ * @param {string} stagingDir - Complete directory to promote
+ * @param {string} destination - Final directory path
+ * @param {string} trashDir - Directory on the same filesystem for the replaced destination
+ */
+function promoteDirectory (stagingDir, destination, trashDir) {
+  fs.mkdirSync(path.dirname(destination), { recursive: true })
+  let replaced
+  if (fs.existsSync(destination)) {
+    replaced = stagingPath(trashDir, 'replaced')
+    fs.renameSync(destination, replaced)
+  }
+  fs.renameSync(stagingDir, destination)
+  if (replaced) fs.rmSync(replaced, { recursive: true, force: true })
+}
+
+function uniqueSuffix () {
+  return `${process.pid}-${crypto.randomBytes(4).toString('hex')}`
+}
+
+module.exports = {
+  acquireLock,
+  isLocked,
+  writeFileAtomic,
+  stagingPath,
+  promoteDirectory,
+}
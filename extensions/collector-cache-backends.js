@@ -0,0 +1,215 @@
+/**
+ * Remote backends for the collector cache
+ *
+ * The local filesystem under the cache directory remains the primary store. A
+ * remote backend mirrors it so that outputs built on one machine (a CI runner,
+ * a teammate) can be reused on another: on a local cache miss the extension asks
+ * the backend for the content hash before running the collector, and after a
+ * build it uploads newly cached outputs.
+ *
+ * A backend is an object with:
+ *   - name:                                         label used in log messages
+ *   - fetch(contentHash, outputsDir, outputDir):    download outputs, resolve to the remote pointer or null
+ *   - store(contentHash, outputsDir, outputDir, pointer): upload outputs, resolve to false if already stored
+ *
+ * HTTP protocol (all paths relative to the configured base URL):
+ *   GET      <hash>/manifest.json     { pointer, files: [{ path, size }] } or 404 if not cached
+ *   GET/PUT  <hash>/files/<path>      individual output files (paths relative to outputs/<hash>); outputs
+ *                                     cached as an archive are a single <outputDir>.tar.gz file
+ *   PUT      <hash>/manifest.json     written last, so partially uploaded entries are never visible
+ *
+ * Entries with different output directories may share a content hash: their
+ * files are added to the manifest of the entries uploaded before them.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { archivePath } = require('./collector-cache-storage')
+const { listFiles, posixPath } = require('./collector-cache-fs')
+
+const BACKENDS = {
+  http: createHttpBackend,
+}
+
+/**
+ * Create the remote backend described by the extension config and environment
+ *
+ * Environment variables take precedence over the playbook configuration:
+ *   COLLECTOR_CACHE_REMOTE_URL     base URL of the remote cache
+ *   COLLECTOR_CACHE_REMOTE_TOKEN   bearer token sent with every request
+ *   COLLECTOR_CACHE_REMOTE_PUSH    set to false to only download from the remote
+ *
+ * @param {object} config - The `remote` section of the extension config
+ * @param {object} env - Environment variables
+ * @returns {object|undefined} Backend, or undefined when no remote is configured
+ */
+function createBackend (config = {}, env = process.env) {
+  const url = env.COLLECTOR_CACHE_REMOTE_URL || config.url
+  if (!url) return undefined
+
+  const type = config.type || 'http'
+  const factory = BACKENDS[type]
+  if (!factory) {
+    throw new Error(`Unknown collector cache backend: ${type} (supported: ${Object.keys(BACKENDS).join(', ')})`)
+  }
+
+  const pushSetting = env.COLLECTOR_CACHE_REMOTE_PUSH !== undefined ? env.COLLECTOR_CACHE_REMOTE_PUSH : config.push
+  return factory({
+    url,
+    token: env.COLLECTOR_CACHE_REMOTE_TOKEN || config.token,
+    headers: config.headers || {},
+    timeout: config.timeout || 60000,
+    push: pushSetting !== false && pushSetting !== 'false',
+  })
+}
+
+/**
+ * Create a backend speaking the simple HTTP GET/PUT protocol
+ */
+function createHttpBackend ({ url, token, headers, timeout, push }) {
+  const baseUrl = url.endsWith('/') ? url : url + '/'
+  const requestHeaders = { ...headers }
+  if (token) requestHeaders.authorization = `Bearer ${token}`
+
+  const resolveUrl = (contentHash, ...segments) =>
+    new URL([contentHash, ...segments].map(encodeURIComponent).join('/'), baseUrl)
+
+  // Manifest of a content hash, or null if nothing is cached for it
+  const fetchManifest = async (contentHash) => {
+    const manifestUrl = resolveUrl(contentHash, 'manifest.json')
+    const response = await request('GET', manifestUrl, { headers: requestHeaders, timeout })
+    if (response.statusCode === 404) {
+      response.resume()
+      return null
+    }
+    return JSON.parse(await readBody(response, 'manifest.json'))
+  }
+
+  // Files of a manifest that belong to one output directory
+  const outputFiles = (manifest, outputDir) => {
+    const prefix = posixPath(outputDir) + '/'
+    const archive = posixPath(archivePath(outputDir))
+    return manifest.files.filter((file) => file.path.startsWith(prefix) || file.path === archive)
+  }
+
+  return {
+    name: `http ${baseUrl}`,
+    push,
+
+    async fetch (contentHash, outputsDir, outputDir) {
+      const manifest = await fetchManifest(contentHash)
+      const files = manifest ? outputFiles(manifest, outputDir) : []
+      if (files.length === 0) return null
+
+      for (const file of files) {
+        const destPath = resolveInside(outputsDir, file.path)
+        fs.mkdirSync(path.dirname(destPath), { recursive: true })
+        const response = await request('GET', resolveUrl(contentHash, 'files', ...file.path.split('/')),
+          { headers: requestHeaders, timeout })
+        await writeBody(response, destPath, file.path)
+        const { size } = fs.statSync(destPath)
+        if (size !== file.size) {
+          throw new Error(`Size mismatch for ${file.path}: expected ${file.size} bytes, received ${size}`)
+        }
+      }
+      return manifest.pointer || {}
+    },
+
+    async store (contentHash, outputsDir, outputDir, pointer) {
+      const manifest = (await fetchManifest(contentHash)) || { pointer, files: [] }
+      if (outputFiles(manifest, outputDir).length > 0) return false
+
+      const outputPath = path.join(outputsDir, outputDir)
+      const files = (fs.existsSync(outputPath) ? listFiles(outputPath) : [])
+        .map((relative) => posixPath(path.join(outputDir, relative)))
+      if (fs.existsSync(path.join(outputsDir, archivePath(outputDir)))) files.push(posixPath(archivePath(outputDir)))
+      for (const file of files) {
+        const sourcePath = path.join(outputsDir, file)
+        const { size } = fs.statSync(sourcePath)
+        const response = await request('PUT', resolveUrl(contentHash, 'files', ...file.split('/')), {
+          headers: { ...requestHeaders, 'content-type': 'application/octet-stream', 'content-length': size },
+          timeout,
+          body: fs.createReadStream(sourcePath),
+        })
+        expectSuccess(response, file)
+        manifest.files.push({ path: file, size })
+      }
+      const body = Buffer.from(JSON.stringify(manifest, null, 2))
+      const response = await request('PUT', resolveUrl(contentHash, 'manifest.json'), {
+        headers: { ...requestHeaders, 'content-type': 'application/json', 'content-length': body.length },
+        timeout,
+        body,
+      })
+      expectSuccess(response, 'manifest.json')
+      return true
+    },
+  }
+}
+
+/**
+ * Send an HTTP(S) request and resolve with the response
+ */
+function request (method, url, { headers, timeout, body }) {
+  const client = url.protocol === 'https:' ? require('https') : require('http')
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers, timeout }, resolve)
+    req.on('timeout', () => req.destroy(new Error(`${method} ${url} timed out after ${timeout}ms`)))
+    req.on('error', reject)
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', (err) => req.destroy(err))
+      body.pipe(req)
+    } else {
+      req.end(body)
+    }
+  })
+}
+
+function expectSuccess (response, label) {
+  response.resume()
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(`Remote cache rejected ${label}: HTTP ${response.statusCode}`)
+  }
+}
+
+function readBody (response, label) {
+  return new Promise((resolve, reject) => {
+    if (response.statusCode !== 200) {
+      response.resume()
+      return reject(new Error(`Failed to download ${label}: HTTP ${response.statusCode}`))
+    }
+    const chunks = []
+    response.on('data', (chunk) => chunks.push(chunk))
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    response.on('error', reject)
+  })
+}
+
+function writeBody (response, destPath, label) {
+  return new Promise((resolve, reject) => {
+    if (response.statusCode !== 200) {
+      response.resume()
+      return reject(new Error(`Failed to download ${label}: HTTP ${response.statusCode}`))
+    }
+    const out = fs.createWriteStream(destPath)
+    response.on('error', reject)
+    out.on('error', reject)
+    out.on('finish', resolve)
+    response.pipe(out)
+  })
+}
+
+/**
+ * Resolve a remote-provided relative path, refusing paths that escape dir
+ */
+function resolveInside (dir, relative) {
+  const resolved = path.resolve(dir, relative)
+  if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+    throw new Error(`Refusing to write outside of cache directory: ${relative}`)
+  }
+  return resolved
+}
+
+module.exports = {
+  createBackend,
+  createHttpBackend,
+}
@@ -0,0 +1,291 @@
+/**
+ * Portable bundles of collector cache entries
+ *
+ * For builds on machines without network access to a remote or CI cache, an
+ * export packages selected component/key pointers and their outputs into one
+ * .tar.gz file, and an import merges such a bundle into a local cache:
+ *
+ *   eurorack-build cache export --select quad-vca-mixer/renders cache.tar.gz
+ *   eurorack-build cache import cache.tar.gz
+ *
+ * A bundle mirrors the cache directory layout:
+ *
+ *   bundle.json                                  version and the list of entries
+ *   hashes/<component>/<key>/<contentHash>.json  pointers
+ *   outputs/<contentHash>/...                    outputs (directory or archive) with their manifests
+ *
+ * Every output is bundled with an integrity manifest. An import extracts the
+ * bundle into a staging directory and verifies every pointer and every output
+ * file against its manifest before anything is moved into the cache, so a
+ * damaged bundle never leaves partial entries behind.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { writeTarGz, extractTarGz } = require('./collector-cache-tar')
+const { listFiles, posixPath, readPointers } = require('./collector-cache-fs')
+const { parseEntryPatterns, findEntryPattern } = require('./collector-cache-config')
+const { acquireLock, writeFileAtomic, stagingPath, promoteDirectory } = require('./collector-cache-atomic')
+const { manifestPath, createManifest, readManifest, verifyOutputs } = require('./collector-cache-manifest')
+const { archivePath, indexArchive, verifyArchive } = require('./collector-cache-storage')
+
+const BUNDLE_VERSION = 1
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'fail']
+const CONTENT_HASH = /^[0-9a-f]{64}$/
+
+/**
+ * Export cache entries into a bundle
+ *
+ * By default only the most recently cached version of every selected
+ * component/key is exported.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {string} bundleFile - Bundle to write
+ * @param {object} [options] - { patterns, allVersions, logger } - patterns are component/key
+ *   patterns as for --force-collector (all entries if empty)
+ * @returns {Promise<object>} { entries, files } - exported entries and number of files
+ */
+async function exportBundle (cacheRoot, bundleFile, { patterns = [], allVersions = false, logger } = {}) {
+  const files = new Map()
+  const entries = []
+  const addFile = (name, file) => files.set(name, { name, ...file })
+
+  for (const pointer of selectPointers(cacheRoot, patterns, allVersions)) {
+    const { component, key, outputDir: contentHash, data } = pointer
+    const label = `${component}/${key} (${contentHash.substring(0, 12)}...)`
+    const storage = data.storage || 'directory'
+    const outputPath = path.join(cacheRoot, 'outputs', contentHash, data.scanDir)
+    const storedPath = storage === 'archive' ? archivePath(outputPath) : outputPath
+    if (!fs.existsSync(storedPath)) {
+      if (logger) logger.warn(`Skipping ${label}: cached outputs missing`)
+      continue
+    }
+
+    const outputName = posixPath(path.join('outputs', contentHash, data.scanDir))
+    if (storage === 'archive') {
+      addFile(archivePath(outputName), { path: storedPath })
+    } else {
+      for (const relative of listFiles(storedPath)) {
+        addFile(`${outputName}/${posixPath(relative)}`, { path: path.join(storedPath, relative) })
+      }
+    }
+    // Outputs cached before manifests existed get one so the import can verify them
+    const manifestName = posixPath(manifestPath(outputName))
+    if (fs.existsSync(manifestPath(outputPath))) {
+      addFile(manifestName, { path: manifestPath(outputPath) })
+    } else {
+      const manifest = storage === 'archive' ? await indexArchive(storedPath) : createManifest(storedPath)
+      addFile(manifestName, { content: Buffer.from(JSON.stringify(manifest, null, 2)) })
+    }
+    addFile(`hashes/${component}/${key}/${contentHash}.json`, { path: pointer.path })
+
+    entries.push({ component, key, contentHash, outputDir: data.scanDir, storage, timestamp: data.timestamp })
+    if (logger) logger.debug(`Exporting ${label}`)
+  }
+
+  const bundle = { version: BUNDLE_VERSION, created: new Date().toISOString(), entries }
+  const tempFile = `${bundleFile}.tmp-${process.pid}`
+  try {
+    await writeTarGz(tempFile, [
+      { name: 'bundle.json', content: Buffer.from(JSON.stringify(bundle, null, 2)) },
+      ...files.values(),
+    ])
+    fs.renameSync(tempFile, bundleFile)
+  } finally {
+    fs.rmSync(tempFile, { force: true })
+  }
+  return { entries, files: files.size }
+}
+
+/**
+ * Import a bundle into a cache directory
+ *
+ * An entry conflicts when the cache already has outputs for its content hash.
+ * Conflicts are resolved by the `conflict` policy:
+ *   - skip:      keep the local outputs (default), adding the bundled pointer
+ *                when the cache has none for the entry
+ *   - overwrite: replace them with the bundled outputs
+ *   - fail:      import nothing
+ *
+ * Imported pointers are timestamped with the time of the import, so retention
+ * policies treat them as freshly cached.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {string} bundleFile - Bundle to import
+ * @param {object} [options] - { conflict, logger }
+ * @returns {Promise<object>} { imported, skipped } - lists of { component, key, contentHash }
+ * @throws {Error} If the bundle fails its integrity checks, or on a conflict with the `fail` policy
+ */
+async function importBundle (cacheRoot, bundleFile, { conflict = 'skip', logger } = {}) {
+  if (!CONFLICT_POLICIES.includes(conflict)) {
+    throw new Error(`Invalid conflict policy: ${conflict} (expected one of ${CONFLICT_POLICIES.join(', ')})`)
+  }
+  const outputsDir = path.join(cacheRoot, 'outputs')
+  const stagingDir = stagingPath(outputsDir, 'import')
+  const result = { imported: [], skipped: [] }
+
+  try {
+    try {
+      await extractTarGz(bundleFile, stagingDir)
+    } catch (err) {
+      throw new Error(`Failed to read bundle ${bundleFile}: ${err.message}`)
+    }
+    const bundle = readBundleFile(stagingDir)
+
+    // Verify everything before touching the cache
+    const problems = []
+    for (const entry of bundle.entries) {
+      const problem = await checkEntry(stagingDir, entry)
+      if (problem) problems.push(`${entry.component}/${entry.key}: ${problem}`)
+    }
+    if (problems.length > 0) {
+      throw new Error(`Bundle failed integrity checks: ${problems.join('; ')}`)
+    }
+
+    // Outputs that exist locally before the import are conflicts
+    const conflicts = new Set()
+    for (const entry of bundle.entries) {
+      const outputPath = path.join(outputsDir, entry.contentHash, entry.outputDir)
+      if (fs.existsSync(outputPath) || fs.existsSync(archivePath(outputPath))) conflicts.add(outputId(entry))
+    }
+    if (conflict === 'fail' && conflicts.size > 0) {
+      throw new Error(`Bundle conflicts with cached outputs: ${[...conflicts].join(', ')}`)
+    }
+
+    const imported = new Set()
+    for (const entry of bundle.entries) {
+      const summary = { component: entry.component, key: entry.key, contentHash: entry.contentHash }
+      const id = outputId(entry)
+      const skip = conflicts.has(id) && conflict === 'skip'
+      const pointerName = path.join('hashes', entry.component, entry.key, `${entry.contentHash}.json`)
+      const pointerPath = path.join(cacheRoot, pointerName)
+
+      const release = await acquireLock(path.join(cacheRoot, 'locks', `${entry.contentHash}.lock`), { logger })
+      try {
+        if (!skip && !imported.has(id)) {
+          moveOutputs(stagingDir, outputsDir, entry)
+          imported.add(id)
+        }
+        // Kept outputs still get the bundled pointer when the cache has none for this entry
+        if (!skip || !fs.existsSync(pointerPath)) {
+          const pointer = JSON.parse(fs.readFileSync(path.join(stagingDir, pointerName), 'utf8'))
+          pointer.timestamp = new Date().toISOString()
+          writeFileAtomic(pointerPath, JSON.stringify(pointer, null, 2))
+        }
+      } finally {
+        release()
+      }
+      if (skip) {
+        if (logger) logger.info(`Keeping cached outputs for ${entry.component}/${entry.key} (${id})`)
+        result.skipped.push(summary)
+        continue
+      }
+      if (logger) logger.debug(`Imported ${entry.component}/${entry.key} (${id})`)
+      result.imported.push(summary)
+    }
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true })
+  }
+  return result
+}
+
+/**
+ * Select the pointers to export
+ */
+function selectPointers (cacheRoot, selection, allVersions) {
+  const patterns = parseEntryPatterns(selection)
+  const pointers = readPointers(path.join(cacheRoot, 'hashes'))
+    .filter((pointer) => pointer.data && pointer.data.scanDir)
+    .filter((pointer) => patterns.length === 0 || findEntryPattern(patterns, pointer.component, pointer.key))
+    .sort((a, b) => b.time - a.time)
+  if (allVersions) return pointers
+  const seen = new Set()
+  return pointers.filter((pointer) => {
+    const id = `${pointer.component}/${pointer.key}`
+    if (seen.has(id)) return false
+    seen.add(id)
+    return true
+  })
+}
+
+function readBundleFile (stagingDir) {
+  let bundle
+  try {
+    bundle = JSON.parse(fs.readFileSync(path.join(stagingDir, 'bundle.json'), 'utf8'))
+  } catch (err) {
+    throw new Error(`Not a collector cache bundle (unreadable bundle.json: ${err.message})`)
+  }
+  if (bundle.version !== BUNDLE_VERSION || !Array.isArray(bundle.entries)) {
+    throw new Error(`Unsupported collector cache bundle version: ${bundle.version}`)
+  }
+  return bundle
+}
+
+/**
+ * Check a bundled entry's pointer and outputs
+ *
+ * @returns {Promise<string|undefined>} Description of the problem, if any
+ */
+async function checkEntry (stagingDir, entry) {
+  const { component, key, contentHash, outputDir, storage } = entry
+  if (!isSafeName(component) || !isSafeName(key) || !CONTENT_HASH.test(contentHash)) return 'invalid entry'
+  const outputPath = path.join(stagingDir, 'outputs', contentHash, String(outputDir))
+  if (typeof outputDir !== 'string' || !isInside(stagingDir, outputPath)) return `invalid output directory ${outputDir}`
+
+  let pointer
+  try {
+    const pointerPath = path.join(stagingDir, 'hashes', component, key, `${contentHash}.json`)
+    pointer = JSON.parse(fs.readFileSync(pointerPath, 'utf8'))
+  } catch (err) {
+    return `unreadable pointer: ${err.message}`
+  }
+  if (pointer.outputDir !== contentHash || pointer.scanDir !== outputDir) return 'pointer does not match entry'
+
+  let manifest
+  try {
+    manifest = readManifest(outputPath)
+  } catch (err) {
+    return `unreadable manifest: ${err.message}`
+  }
+  if (!manifest) return 'manifest missing'
+  const verification = storage === 'archive'
+    ? await verifyArchive(archivePath(outputPath), manifest)
+    : verifyOutputs(outputPath, 'full')
+  return verification.ok ? undefined : verification.reason
+}
+
+/**
+ * Move an entry's outputs and manifest from the staging directory into the cache
+ */
+function moveOutputs (stagingDir, outputsDir, { contentHash, outputDir, storage }) {
+  const source = path.join(stagingDir, 'outputs', contentHash, outputDir)
+  const destination = path.join(outputsDir, contentHash, outputDir)
+  // Overwritten outputs may have been cached in the other storage format
+  if (storage === 'archive') {
+    fs.mkdirSync(path.dirname(destination), { recursive: true })
+    fs.renameSync(archivePath(source), archivePath(destination))
+    fs.rmSync(destination, { recursive: true, force: true })
+  } else {
+    promoteDirectory(source, destination, outputsDir)
+    fs.rmSync(archivePath(destination), { force: true })
+  }
+  fs.renameSync(manifestPath(source), manifestPath(destination))
+}
+
+function outputId ({ contentHash, outputDir }) {
+  return `${contentHash.substring(0, 12)}.../${outputDir}`
+}
+
+function isSafeName (name) {
+  return typeof name === 'string' && name !== '' && name !== '.' && name !== '..' && !/[/\\\0]/.test(name)
+}
+
+function isInside (dir, filePath) {
+  return path.resolve(filePath).startsWith(path.resolve(dir) + path.sep)
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  exportBundle,
+  importBundle,
+}
@@ -0,0 +1,209 @@
+/**
+ * Configuration helpers for the collector cache
+ *
+ * Resolves settings that combine playbook-level extension config, per-component
+ * config from `ext.collectorCache` in antora.yml, and environment variables.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_CACHE_DIR = '.cache/antora/collector-cache'
+const DEFAULT_REPORT_DIR = 'build/collector-cache'
+
+/**
+ * Resolve the absolute collector cache directory for a component
+ *
+ * Precedence (highest first):
+ *   1. COLLECTOR_CACHE_DIR environment variable
+ *   2. `cacheDir` in the component's `ext.collectorCache` object
+ *   3. `cacheDir` in the playbook extension config
+ *   4. .cache/antora/collector-cache
+ *
+ * Relative paths are resolved against the playbook directory, so several
+ * repositories can share one cache on a mounted volume by using an absolute path.
+ *
+ * @param {string} playbookDir - Directory of the playbook
+ * @param {object} extensionConfig - Playbook extension config
+ * @param {object|Array} componentConfig - The component's `ext.collectorCache` value
+ * @param {object} env - Environment variables
+ * @returns {object} { cacheRoot, source } where source names the setting that was used
+ */
+function resolveCacheRoot (playbookDir, extensionConfig = {}, componentConfig = {}, env = process.env) {
+  const { cacheRoot, source } = locateCacheRoot(playbookDir, extensionConfig, componentConfig, env)
+  return { cacheRoot: validateCacheDir(cacheRoot, source), source }
+}
+
+/**
+ * Locate the collector cache directory for a component without creating it
+ *
+ * Same precedence as resolveCacheRoot, for tools that only inspect a cache.
+ *
+ * @returns {object} { cacheRoot, source } where source names the setting that was used
+ */
+function locateCacheRoot (playbookDir, extensionConfig = {}, componentConfig = {}, env = process.env) {
+  const componentCacheDir = Array.isArray(componentConfig)
+    ? undefined
+    : componentConfig.cacheDir || componentConfig.cachedir
+
+  const candidates = [
+    ['COLLECTOR_CACHE_DIR', env.COLLECTOR_CACHE_DIR],
+    ['ext.collectorCache.cacheDir', componentCacheDir],
+    ['extension config cacheDir', extensionConfig.cacheDir],
+    ['default', DEFAULT_CACHE_DIR],
+  ]
+  const [source, value] = candidates.find(([, candidate]) => candidate !== undefined && candidate !== '')
+
+  return { cacheRoot: path.resolve(playbookDir, String(value)), source }
+}
+
+/**
+ * Resolve the directory for machine-readable reports (miss report, dry-run plan and statistics)
+ *
+ * COLLECTOR_CACHE_REPORT_DIR takes precedence over the `reportDir` extension
+ * option; relative paths are resolved against the playbook directory.
+ *
+ * @param {string} playbookDir - Directory of the playbook
+ * @param {object} extensionConfig - Playbook extension config
+ * @param {object} env - Environment variables
+ * @returns {string} Absolute report directory
+ */
+function resolveReportDir (playbookDir, extensionConfig = {}, env = process.env) {
+  return path.resolve(playbookDir, env.COLLECTOR_CACHE_REPORT_DIR || extensionConfig.reportDir || DEFAULT_REPORT_DIR)
+}
+
+/**
+ * Read the collector cache configuration of a playbook outside of a build
+ *
+ * For tools that work on a project's cache and reports (eurorack-build). Keys
+ * of the extension config are camelCased as Antora does. Component configs are
+ * read from the antora.yml files of local content sources only: remote sources
+ * aren't available before a build fetches them.
+ *
+ * @param {string} playbookFile - Playbook file
+ * @returns {object} { dir, data, extensionConfig, components } - components are { name, worktree, config }
+ * @throws {Error} If the playbook can't be read
+ */
+function readPlaybookConfig (playbookFile) {
+  // Loaded here so the extension doesn't depend on js-yaml
+  const yaml = require('js-yaml')
+  const dir = path.dirname(path.resolve(playbookFile))
+  const data = yaml.safeLoad(fs.readFileSync(playbookFile, 'utf8')) || {}
+
+  const extensions = (data.antora && data.antora.extensions) || []
+  const extension = extensions.find((candidate) => {
+    const id = typeof candidate === 'string' ? candidate : candidate && candidate.require
+    return typeof id === 'string' && /collector-cache-extension(\.js)?$/.test(id)
+  })
+  const extensionConfig = extension && typeof extension === 'object' ? camelCaseKeys(extension) : {}
+  delete extensionConfig.require
+
+  const components = []
+  const sources = (data.content && data.content.sources) || []
+  for (const source of sources) {
+    if (!source.url || /^[a-z][a-z0-9+.-]*:|^git@/i.test(source.url)) continue
+    const worktree = path.resolve(dir, source.url)
+    const startPaths = [].concat(source.start_paths || source.start_path || '')
+      .flatMap((startPath) => String(startPath).split(','))
+      .map((startPath) => startPath.trim())
+      .filter((startPath) => !/[*{]/.test(startPath))
+    for (const startPath of startPaths) {
+      let descriptor
+      try {
+        descriptor = yaml.safeLoad(fs.readFileSync(path.join(worktree, startPath, 'antora.yml'), 'utf8')) || {}
+      } catch (err) {
+        continue
+      }
+      const config = descriptor.ext && descriptor.ext.collectorCache
+      if (config) components.push({ name: descriptor.name, worktree, config })
+    }
+  }
+
+  return { dir, data, extensionConfig, components }
+}
+
+function camelCaseKeys (value) {
+  if (Array.isArray(value)) return value.map(camelCaseKeys)
+  if (!value || typeof value !== 'object') return value
+  return Object.fromEntries(Object.entries(value)
+    .map(([key, entry]) => [key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase()), camelCaseKeys(entry)]))
+}
+
+/**
+ * Ensure a cache directory is usable, creating it if needed
+ *
+ * @throws {Error} If the path exists but is not a directory, or can't be written
+ */
+function validateCacheDir (cacheRoot, source) {
+  if (cacheRoot.includes('\0')) {
+    throw new Error(`Invalid collector cache directory from ${source}: contains a null byte`)
+  }
+  if (fs.existsSync(cacheRoot) && !fs.statSync(cacheRoot).isDirectory()) {
+    throw new Error(`Collector cache directory from ${source} is not a directory: ${cacheRoot}`)
+  }
+  try {
+    fs.mkdirSync(cacheRoot, { recursive: true })
+    fs.accessSync(cacheRoot, fs.constants.W_OK)
+  } catch (err) {
+    const detail = err.code || err.message
+    throw new Error(`Collector cache directory from ${source} is not writable: ${cacheRoot} (${detail})`)
+  }
+  return cacheRoot
+}
+
+/**
+ * Resolve the patterns of entries to force to rerun
+ *
+ * FORCE_COLLECTOR takes precedence over the `force` extension option. Either is
+ * `true` (every entry), a comma-separated string or a list of `component/key`
+ * patterns in which `*` matches any characters except `/`, e.g.
+ * `quad-vca-mixer/renders` for one entry; with `*` as the component a key is
+ * forced in every component. A pattern without `/` matches every entry of a
+ * component.
+ *
+ * @returns {string[]} Patterns in component/key form (empty if nothing is forced)
+ */
+function resolveForcePatterns (configValue, env = process.env) {
+  return parseEntryPatterns(env.FORCE_COLLECTOR !== undefined ? env.FORCE_COLLECTOR : configValue)
+}
+
+/**
+ * Parse `component/key` entry patterns (see resolveForcePatterns)
+ *
+ * @param {boolean|string|string[]} value - true, a comma-separated string or a list of patterns
+ * @returns {string[]} Patterns in component/key form (empty if nothing matches)
+ */
+function parseEntryPatterns (value) {
+  if (value === undefined || value === null || value === false || value === 'false' || value === '') return []
+  if (value === true || value === 'true') return ['*/*']
+  const patterns = Array.isArray(value) ? value : String(value).split(',')
+  return patterns
+    .map((pattern) => String(pattern).trim())
+    .filter(Boolean)
+    .map((pattern) => (pattern.includes('/') ? pattern : `${pattern}/*`))
+}
+
+/**
+ * Find the entry pattern matching a component/key
+ *
+ * @returns {string|undefined} The first matching pattern
+ */
+function findEntryPattern (patterns, componentName, key) {
+  const id = `${componentName}/${key}`
+  return patterns.find((pattern) => {
+    const regex = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')
+    return new RegExp(`^${regex}$`).test(id)
+  })
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_REPORT_DIR,
+  resolveCacheRoot,
+  locateCacheRoot,
+  resolveReportDir,
+  readPlaybookConfig,
+  resolveForcePatterns,
+  parseEntryPatterns,
+  findEntryPattern,
+}
@@ -0,0 +1,81 @@
+/**
+ * Isolation of outputs built from dirty local worktrees
+ *
+ * Local development builds skip git operations and hash whatever is on disk,
+ * uncommitted changes included. With the `isolate` mode, an entry of a local
+ * worktree whose sources differ from HEAD is cached in a separate namespace,
+ * `dirty/` below the cache directory, which has the layout of a cache
+ * directory of its own:
+ *
+ *   dirty/hashes/<component>/<key>/<contentHash>.json   pointers tagged `dirty: true`
+ *   dirty/outputs/<contentHash>/...
+ *
+ * Dirty entries look up their own namespace first and may use clean outputs;
+ * clean entries (and so CI builds) never look at the dirty namespace and
+ * ignore any pointer tagged dirty. Dirty outputs are never uploaded to a remote
+ * cache and are collected after a shorter maximum age.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { parseDuration, collectGarbage } = require('./collector-cache-gc')
+
+const DIRTY_MODES = ['shared', 'isolate']
+const DEFAULT_DIRTY_MODE = 'shared'
+const DEFAULT_DIRTY_MAX_AGE = '7d'
+
+/**
+ * Resolve the handling of dirty worktrees from extension config and environment
+ *
+ * COLLECTOR_CACHE_DIRTY and COLLECTOR_CACHE_DIRTY_MAX_AGE take precedence over
+ * the `dirty` extension option, which is a mode or { mode, maxAge }.
+ *
+ * @returns {object} { mode, maxAge } - maxAge in milliseconds
+ */
+function resolveDirtyPolicy (config = {}, env = process.env) {
+  const options = typeof config === 'string' ? { mode: config } : config
+  const mode = env.COLLECTOR_CACHE_DIRTY || options.mode || DEFAULT_DIRTY_MODE
+  if (!DIRTY_MODES.includes(mode)) {
+    throw new Error(`Invalid dirty worktree mode: ${mode} (expected one of ${DIRTY_MODES.join(', ')})`)
+  }
+  const maxAge = env.COLLECTOR_CACHE_DIRTY_MAX_AGE || options.maxAge || DEFAULT_DIRTY_MAX_AGE
+  return { mode, maxAge: parseDuration(maxAge) }
+}
+
+/**
+ * Cache directory of the dirty namespace of a cache directory
+ */
+function dirtyCacheRoot (cacheRoot) {
+  return path.join(cacheRoot, 'dirty')
+}
+
+/**
+ * GC policy for a dirty namespace: the cache's policy with the shorter maximum age
+ */
+function dirtyGcPolicy (gcPolicy, dirtyPolicy) {
+  const maxAge = gcPolicy.maxAge !== undefined ? Math.min(gcPolicy.maxAge, dirtyPolicy.maxAge) : dirtyPolicy.maxAge
+  return { ...gcPolicy, maxAge }
+}
+
+/**
+ * Collect garbage in the dirty namespace of a cache directory
+ *
+ * Runs in isolate mode whether or not the cache has a retention policy of its
+ * own, so dirty outputs always expire after the dirty maximum age.
+ *
+ * @param {object} [options] - Options of collectGarbage ({ logger, keep, dryRun })
+ * @returns {object|null} Statistics of collectGarbage, null if not isolating or nothing is cached
+ */
+function collectDirtyGarbage (cacheRoot, gcPolicy, dirtyPolicy, options = {}) {
+  const dirtyRoot = dirtyCacheRoot(cacheRoot)
+  if (dirtyPolicy.mode !== 'isolate' || !fs.existsSync(dirtyRoot)) return null
+  return collectGarbage(dirtyRoot, dirtyGcPolicy(gcPolicy, dirtyPolicy), options)
+}
+
+module.exports = {
+  DIRTY_MODES,
+  resolveDirtyPolicy,
+  dirtyCacheRoot,
+  dirtyGcPolicy,
+  collectDirtyGarbage,
+}
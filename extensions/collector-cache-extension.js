@@ -12,20 +12,142 @@ const fs = require('fs')
 const path = require('path')
 const crypto = require('crypto')
 const { globSync } = require('fast-glob')
+const { collectGarbage, resolveGcPolicy } = require('./collector-cache-gc')
+const { formatBytes } = require('./collector-cache-fs')
+const { createBackend } = require('./collector-cache-backends')
+const {
+  resolveCacheRoot,
+  resolveReportDir,
+  resolveForcePatterns,
+  findEntryPattern,
+} = require('./collector-cache-config')
+const { validateCollectorCacheConfig, formatIssue, resolveStrict } = require('./collector-cache-schema')
+const { sortEntries, dependencyMap, resolveDependencySources } = require('./collector-cache-graph')
+const { resolveSourceHashMode, hashSources, findDirtySources } = require('./collector-cache-git')
+const { resolveDirtyPolicy, dirtyCacheRoot, collectDirtyGarbage } = require('./collector-cache-dirty')
+const { resolveMemoEnabled, loadHashMemo } = require('./collector-cache-memo')
+const { resolveSourceCommandDefaults, runSourceCommands } = require('./collector-cache-source-commands')
+const { explainMiss, logExplanation, writeJsonReport } = require('./collector-cache-report')
+const { estimateRunTimes, outputSize, summarizeStats, logStats, writeJunitReport } = require('./collector-cache-stats')
+const { quarantineOutputs } = require('./collector-cache-maintenance')
+const { acquireLock, writeFileAtomic, stagingPath, promoteDirectory } = require('./collector-cache-atomic')
+const {
+  buildManifest,
+  writeManifest,
+  readManifest,
+  resolveVerifyMode,
+  verifyOutputs,
+} = require('./collector-cache-manifest')
+const {
+  resolveStorage,
+  validateStorage,
+  archivePath,
+  extractedPath,
+  archiveOutputs,
+  indexArchive,
+  extractOutputs,
+} = require('./collector-cache-storage')
+const { resolveDedupeEnabled, dedupeDirectory } = require('./collector-cache-objects')
+const {
+  computeContentHash,
+  computeKeyInputs,
+  hasPatternSources,
+  getOption,
+} = require('./collector-cache-hash')
 
 const EXTENSION_NAME = 'collector-cache-extension'
-const DEFAULT_CACHE_DIR = '.cache/antora/collector-cache'
 const posixify = path.sep === '\\' ? (p) => p.replace(/\\/g, '/') : undefined
 
 /**
  * Register the collector cache extension
  */
-module.exports.register = function () {
+module.exports.register = function ({ config = {} } = {}) {
   const logger = this.getLogger(EXTENSION_NAME)
+  const gcPolicy = resolveGcPolicy(config.gc)
+  const remoteBackend = createBackend(config.remote)
+  const verifyMode = resolveVerifyMode(config.verify)
+  const strict = resolveStrict(config.strict)
+  const sourceHashMode = resolveSourceHashMode(config.sourceHash)
+  const memoEnabled = resolveMemoEnabled(config.memo)
+  const sourceCommandDefaults = resolveSourceCommandDefaults(config.sourceCommands)
+  const forcePatterns = resolveForcePatterns(config.force)
+  validateStorage(config.storage)
+  const dedupeEnabled = resolveDedupeEnabled(config.dedupe)
+  const dirtyPolicy = resolveDirtyPolicy(config.dirty)
+
+  // Archived outputs are extracted into a directory private to this build
+  const buildId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`
+  const extractedOutputs = new Set()
 
   // Track entries for cache updates after build
   const cacheEntries = []
 
+  // Track cache directories and content hashes used by this build (for garbage collection)
+  const cacheRoots = new Set()
+  const usedHashes = new Set()
+
+  // Track the HIT/MISS decision for every entry (miss report, dry-run plan and statistics)
+  const decisions = []
+
+  // Entries handed to the collector to run, in run order, for estimating their run times
+  const collectorRuns = []
+  const trackRun = (decision, worktree, outputDir) => collectorRuns.push({
+    decision,
+    outputPath: worktree && outputDir ? path.join(worktree, outputDir) : undefined,
+  })
+  let collectorsStarted
+  let collectorsFinished
+
+  // sourceCommands failures with the `fail` policy, reported together to fail the build
+  const fatalErrors = []
+
+  // Hash memos by cache directory, loaded on first use
+  const hashMemos = new Map()
+  const getHashMemo = (cacheRoot) => {
+    if (!memoEnabled) return undefined
+    if (!hashMemos.has(cacheRoot)) hashMemos.set(cacheRoot, loadHashMemo(cacheRoot, logger))
+    return hashMemos.get(cacheRoot)
+  }
+  const saveHashMemos = () => {
+    for (const [cacheRoot, memo] of hashMemos) {
+      try {
+        memo.save()
+        logger.debug(`Hash memo for ${cacheRoot}: ${memo.stats.hits} unchanged, ${memo.stats.misses} hashed`)
+      } catch (err) {
+        logger.warn(`Failed to save hash memo for ${cacheRoot}: ${err.message}`)
+      }
+    }
+  }
+
+  // Sources of a local worktree that differ from HEAD (only looked for when dirty worktrees are isolated)
+  const detectDirtySources = async (isLocalDevelopment, worktree, gitdir, sourceHashes) => {
+    if (dirtyPolicy.mode !== 'isolate' || !isLocalDevelopment) return []
+    return findDirtySources(worktree, gitdir, Object.keys(sourceHashes))
+  }
+
+  // Extract archived outputs (once per build), verifying them against their manifest
+  const extractArchivedOutputs = async (cachedOutputPath, destination) => {
+    if (extractedOutputs.has(destination)) return { ok: true }
+    let manifest
+    try {
+      manifest = readManifest(cachedOutputPath)
+    } catch (err) {
+      return { ok: false, reason: `unreadable manifest: ${err.message}` }
+    }
+    const verification = await extractOutputs(archivePath(cachedOutputPath), destination, manifest, verifyMode)
+    if (verification.ok) extractedOutputs.add(destination)
+    return verification
+  }
+
+  // Remove the outputs extracted for this build, once scanned or when the build stops before scanning them
+  const removeExtractedOutputs = () => {
+    for (const cacheRoot of cacheRoots) {
+      fs.rmSync(extractedPath(cacheRoot, buildId), { recursive: true, force: true })
+      fs.rmSync(extractedPath(dirtyCacheRoot(cacheRoot), buildId), { recursive: true, force: true })
+    }
+    extractedOutputs.clear()
+  }
+
   /**
    * Main event: Process collector-cache configuration before collector runs
    */
@@ -33,7 +155,51 @@ module.exports.register = function () {
     const dryRun = process.env.DRY_RUN === 'true'
     logger.info('Processing collector-cache configuration')
     if (dryRun) {
-      logger.info('DRY RUN MODE - will exit after cache check')
+      logger.info('DRY RUN MODE - will stop after cache check')
+    }
+    if (forcePatterns.length > 0) {
+      logger.info(`Forcing collector entries matching: ${forcePatterns.join(', ')}`)
+    }
+
+    // Validate every component's configuration and order its entries by dependsOn before any git work
+    const invalidEntries = new Set()
+    const orderedEntries = new Map()
+    const cycleErrors = []
+    let configErrors = 0
+    for (const { name: componentName, origins } of contentAggregate) {
+      for (const origin of origins) {
+        const cacheConfig = origin.descriptor.ext?.collectorCache
+        if (!cacheConfig) continue
+        const validation = validateCollectorCacheConfig(cacheConfig, { strict })
+        for (const issue of validation.issues) {
+          if (issue.severity === 'error') {
+            configErrors++
+            logger.error(formatIssue(componentName, issue))
+          } else {
+            logger.warn(formatIssue(componentName, issue))
+          }
+        }
+        validation.invalidEntries.forEach((entry) => invalidEntries.add(entry))
+
+        const entries = Array.isArray(cacheConfig) ? cacheConfig : cacheConfig.entries
+        if (!Array.isArray(entries)) continue
+        try {
+          orderedEntries.set(origin, sortEntries(entries.filter((entry) => !validation.invalidEntries.has(entry))))
+        } catch (err) {
+          logger.error(`${componentName}: ${err.message}`)
+          cycleErrors.push(`${componentName}: ${err.message}`)
+        }
+      }
+    }
+    if (cycleErrors.length > 0) {
+      throw new Error(`Invalid collector-cache configuration: ${cycleErrors.join('; ')}`)
+    }
+    if (configErrors > 0) {
+      if (strict) {
+        throw new Error(`Invalid collector-cache configuration: ${configErrors} error(s) (see log)`)
+      }
+      logger.warn(`Skipping ${invalidEntries.size} invalid collector-cache entry(s); ` +
+        'enable strict mode to fail the build instead')
     }
 
     // Get git module for updating worktrees
@@ -55,9 +221,11 @@ module.exports.register = function () {
         logger.debug(`Origin properties: worktree=${origin.worktree}, gitdir=${origin.gitdir}, url=${origin.url}`)
         const isLocalDevelopment = origin.worktree && origin.gitdir &&
                                    (origin.gitdir === path.join(origin.worktree, '.git'))
-        logger.debug(`isLocalDevelopment check: ${isLocalDevelopment} (gitdir: ${origin.gitdir}, expected: ${path.join(origin.worktree || '', '.git')})`)
+        logger.debug(`isLocalDevelopment check: ${isLocalDevelopment} ` +
+          `(gitdir: ${origin.gitdir}, expected: ${path.join(origin.worktree || '', '.git')})`)
         if (isLocalDevelopment) {
-          logger.info(`Local development detected for ${componentName} - skipping git operations to protect uncommitted changes`)
+          logger.info(`Local development detected for ${componentName} - ` +
+            'skipping git operations to protect uncommitted changes')
         } else {
           logger.debug(`Remote build detected for ${componentName} - git operations will run normally`)
         }
@@ -77,12 +245,12 @@ module.exports.register = function () {
 
           if (fs.existsSync(collectorCacheDir)) {
             const entries = fs.readdirSync(collectorCacheDir)
-            const matchingEntries = entries.filter(e => e.startsWith(worktreePrefix))
+            const matchingEntries = entries.filter((e) => e.startsWith(worktreePrefix))
 
             if (matchingEntries.length > 0) {
               const worktreeDirName = matchingEntries[matchingEntries.length - 1]
               worktree = path.join(collectorCacheDir, worktreeDirName)
-              origin.worktree = worktree  // Tell collector this worktree exists
+              origin.worktree = worktree // Tell collector this worktree exists
               logger.debug(`Found worktree: ${worktree}`)
             }
           }
@@ -93,31 +261,24 @@ module.exports.register = function () {
           origin.descriptor.ext.collector = []
         }
 
-        // Handle both array and object formats
-        const entries = Array.isArray(cacheConfig) ? cacheConfig : cacheConfig.entries
-
-        if (!entries || !Array.isArray(entries)) {
-          logger.warn(`collector-cache configuration must be an array of entries`)
+        // Valid entries in dependency order (malformed configurations were reported by validation)
+        const entries = orderedEntries.get(origin)
+        if (!entries) {
           continue
         }
 
-        // Get cache directory
-        const cacheDir = (cacheConfig.cacheDir || DEFAULT_CACHE_DIR)
-        const componentHashDir = path.join(playbook.dir, cacheDir, 'hashes', componentName)
+        // Get cache directory (env, component or playbook setting); used for lookups, writes, restore and scan
+        const { cacheRoot, source: cacheRootSource } = resolveCacheRoot(playbook.dir, config, cacheConfig)
+        logger.debug(`Collector cache for ${componentName}: ${cacheRoot} (from ${cacheRootSource})`)
+        const componentHashDir = path.join(cacheRoot, 'hashes', componentName)
+        cacheRoots.add(cacheRoot)
 
         // Build entries map for dependency resolution (needed for both paths)
-        const entriesMap = new Map()
-        for (const entry of entries) {
-          const { run } = entry
-          if (run && run.key) {
-            entriesMap.set(run.key, {
-              key: run.key,
-              sources: run.sources || [],
-              sourceCommands: run.sourcecommands || run.sourceCommands || [],
-              dependsOn: run.dependson || run.dependsOn || []
-            })
-          }
-        }
+        const entriesMap = dependencyMap(entries)
+
+        // Keys that hit the cache; entries are processed in dependency order, so a
+        // dependency that is not in here by the time its dependents run has missed
+        const hitKeys = new Set()
 
         // If no worktree, create one with submodules initialized for the collector to use
         if (!worktree) {
@@ -156,11 +317,10 @@ module.exports.register = function () {
                 url: origin.url,
                 ref: origin.refname,
                 singleBranch: true,
-                depth: 1
+                depth: 1,
               })
 
               logger.debug(`Successfully created worktree: ${worktreeDirName}`)
-
             } else if (origin.worktree) {
               // Local build: use existing worktree
               worktree = origin.worktree
@@ -178,7 +338,7 @@ module.exports.register = function () {
               proc.stderr.on('data', (data) => { stderr += data })
               proc.on('close', (code) => {
                 if (code === 0) {
-                  logger.debug(`Submodules initialized successfully`)
+                  logger.debug('Submodules initialized successfully')
                   resolve()
                 } else {
                   logger.debug(`git submodule exited with code ${code}: ${stderr}`)
@@ -196,7 +356,6 @@ module.exports.register = function () {
             // IMPORTANT: Set origin.worktree so collector knows the worktree exists
             // This prevents collector from recreating/removing the worktree
             origin.worktree = worktree
-
           } catch (err) {
             logger.error(`Failed to create worktree for ${componentName}: ${err.message}`)
             logger.debug(`Error stack: ${err.stack}`)
@@ -204,39 +363,52 @@ module.exports.register = function () {
           }
 
           for (const entry of entries) {
-            const { run, scan } = entry
+            const { run } = entry
 
             // Note: Antora normalizes YAML keys to lowercase, so cacheDir becomes cachedir
-            const cachedir = run?.cachedir || run?.cacheDir
-            if (!run || !run.key || !run.sources || !cachedir) {
-              logger.warn(`Skipping invalid entry (missing run.key, run.sources, or run.cachedir)`)
-              logger.debug(`Entry structure: ${JSON.stringify(entry)}`)
-              continue
-            }
+            const cachedir = run.cachedir || run.cacheDir
 
             // Add to collector to run
             origin.descriptor.ext.collector.push(entry)
 
             // Resolve dependencies to get combined sources
             const dependsOn = run.dependson || run.dependsOn || []
-            const depSources = resolveDependencySources(entriesMap, dependsOn, new Set([run.key]), logger, componentName, run.key)
+            const depSources = resolveDependencySources(entriesMap, dependsOn, new Set([run.key]), logger,
+              componentName, run.key)
 
             // Combine entry's own sources with dependency sources
             const allSources = [...run.sources, ...depSources.sources]
-            const allSourceCommands = [...(run.sourcecommands || run.sourceCommands || []), ...depSources.sourceCommands]
+            const allSourceCommands = [
+              ...(run.sourcecommands || run.sourceCommands || []),
+              ...depSources.sourceCommands,
+            ]
+            const decision = {
+              component: componentName,
+              key: run.key,
+              status: 'MISS',
+              reason: 'no worktree',
+              sources: allSources,
+              dependsOn: depSources.keys,
+              stats: { hashTime: 0 },
+            }
+            decisions.push(decision)
+            trackRun(decision, worktree, cachedir)
 
             // Track for caching after build (with resolved sources)
             cacheEntries.push({
               componentName,
+              cacheRoot,
               componentHashDir,
               key: run.key,
-              sources: allSources,  // Store combined sources (incl. dependencies)
-              sourceCommands: allSourceCommands,  // Store combined sourceCommands (incl. dependencies)
+              run,
+              sources: allSources, // Store combined sources (incl. dependencies)
+              sourceCommands: allSourceCommands, // Store combined sourceCommands (incl. dependencies)
               collectorCacheDir,
               worktreePrefix,
               outputDir: cachedir,
               sourceHashes: null,
-              contentHash: null
+              contentHash: null,
+              decision,
             })
           }
           continue
@@ -248,11 +420,7 @@ module.exports.register = function () {
           const { run, scan } = entry
 
           // Note: Antora normalizes YAML keys to lowercase, so cacheDir becomes cachedir
-          const cachedir = run?.cachedir || run?.cacheDir
-          if (!run || !run.key || !run.sources || !cachedir) {
-            logger.warn(`Skipping invalid entry (missing run.key, run.sources, or run.cachedir)`)
-            continue
-          }
+          const cachedir = run.cachedir || run.cacheDir
 
           const { key, sources } = run
           const outputDir = cachedir
@@ -261,17 +429,32 @@ module.exports.register = function () {
             // Check if worktree exists
             if (!fs.existsSync(worktree)) {
               logger.debug(`Worktree does not exist yet for ${componentName}/${key} - cache MISS`)
+              const decision = {
+                component: componentName,
+                key,
+                status: 'MISS',
+                reason: 'worktree missing',
+                sources,
+                stats: { hashTime: 0 },
+              }
+              decisions.push(decision)
               origin.descriptor.ext.collector.push(entry)
+              trackRun(decision, worktree, outputDir)
               cacheEntries.push({
                 componentName,
+                cacheRoot,
                 componentHashDir,
                 key,
+                run,
                 sources,
                 sourceCommands: run.sourcecommands || run.sourceCommands,
                 worktree,
+                gitdir: origin.gitdir,
+                isLocalDevelopment,
                 outputDir,
                 sourceHashes: null,
-                contentHash: null
+                contentHash: null,
+                decision,
               })
               continue
             }
@@ -304,10 +487,20 @@ module.exports.register = function () {
                   const branches = await git.listBranches(repo)
                   if (bare || !branches.includes(branchName)) {
                     logger.debug(`Creating local branch ${branchName} -> refs/remotes/${remote}/${branchName}`)
-                    await git.branch({ ...repo, ref: branchName, object: `refs/remotes/${remote}/${branchName}`, force: true })
+                    await git.branch({
+                      ...repo,
+                      ref: branchName,
+                      object: `refs/remotes/${remote}/${branchName}`,
+                      force: true,
+                    })
                   } else {
                     logger.debug(`Updating local branch ${branchName} -> refs/remotes/${remote}/${branchName}`)
-                    await git.branch({ ...repo, ref: branchName, object: `refs/remotes/${remote}/${branchName}`, force: true })
+                    await git.branch({
+                      ...repo,
+                      ref: branchName,
+                      object: `refs/remotes/${remote}/${branchName}`,
+                      force: true,
+                    })
                   }
                 }
 
@@ -320,7 +513,7 @@ module.exports.register = function () {
 
             // Initialize submodules (works for both local and remote builds)
             try {
-              logger.debug(`Initializing submodules in worktree`)
+              logger.debug('Initializing submodules in worktree')
               const { spawn } = require('child_process')
               await new Promise((resolve, reject) => {
                 const proc = spawn('git', ['submodule', 'update', '--init', '--recursive'], { cwd: worktree })
@@ -328,7 +521,7 @@ module.exports.register = function () {
                 proc.stderr.on('data', (data) => { stderr += data })
                 proc.on('close', (code) => {
                   if (code === 0) {
-                    logger.debug(`Submodules initialized successfully`)
+                    logger.debug('Submodules initialized successfully')
                     resolve()
                   } else {
                     logger.debug(`git submodule exited with code ${code}: ${stderr}`)
@@ -346,60 +539,218 @@ module.exports.register = function () {
 
             // Resolve sources from dependencies first
             const dependsOn = run.dependson || run.dependsOn || []
-            const depSources = resolveDependencySources(entriesMap, dependsOn, new Set([key]), logger, componentName, key)
+            const depSources = resolveDependencySources(entriesMap, dependsOn, new Set([key]), logger,
+              componentName, key)
 
             // Combine entry's own sources with dependency sources
             const allSources = [...sources, ...depSources.sources]
-            const allSourceCommands = [...(run.sourcecommands || run.sourceCommands || []), ...depSources.sourceCommands]
+            const allSourceCommands = [
+              ...(run.sourcecommands || run.sourceCommands || []),
+              ...depSources.sourceCommands,
+            ]
 
             // Resolve dynamic sources from sourceCommands (including dependencies)
-            const resolvedSources = await resolveSources(worktree, allSources, allSourceCommands, logger, componentName, key)
+            const hashStarted = Date.now()
+            const { sources: resolvedSources, failures: commandFailures } = await resolveSources(
+              worktree, allSources, allSourceCommands, logger, componentName, key,
+              { defaults: sourceCommandDefaults, cacheRoot, memo: getHashMemo(cacheRoot) }
+            )
+            const sourceCommandFailures = commandFailures.length > 0 ? { sourceCommandFailures: commandFailures } : {}
+
+            // A failed source command leaves the source list (and so the cache key) incomplete:
+            // run the collector without looking up or storing cached outputs
+            const blockingFailure = commandFailures.find((failure) => failure.onFailure !== 'warn')
+            if (blockingFailure) {
+              if (blockingFailure.onFailure === 'fail') {
+                fatalErrors.push(`${componentName}/${key}: sourceCommand "${blockingFailure.command}" ` +
+                  blockingFailure.reason)
+              }
+              logger.info(`Cache MISS for ${componentName}/${key} (sourceCommand failed)`)
+              const decision = {
+                component: componentName,
+                key,
+                status: 'MISS',
+                reason: 'sourceCommand failed',
+                sources: resolvedSources,
+                dependsOn: depSources.keys,
+                ...sourceCommandFailures,
+                stats: { hashTime: Date.now() - hashStarted },
+              }
+              decisions.push(decision)
+              origin.descriptor.ext.collector.push({ run, scan })
+              trackRun(decision, worktree, outputDir)
+              continue
+            }
 
             // Compute source file hashes
-            const sourceHashes = computeHashes(worktree, resolvedSources, logger, componentName, key)
+            const sourceHashes = await hashSources(
+              sourceHashMode, worktree, origin.gitdir, resolvedSources, logger, componentName, run,
+              getHashMemo(cacheRoot)
+            )
 
             if (sourceHashes === null) {
               logger.debug(`Source files not found for ${componentName}/${key} - cache MISS`)
+              const decision = {
+                component: componentName,
+                key,
+                status: 'MISS',
+                reason: 'source files missing',
+                sources: resolvedSources,
+                dependsOn: depSources.keys,
+                ...sourceCommandFailures,
+                stats: { hashTime: Date.now() - hashStarted },
+              }
+              decisions.push(decision)
               origin.descriptor.ext.collector.push(entry)
+              trackRun(decision, worktree, outputDir)
               cacheEntries.push({
                 componentName,
+                cacheRoot,
                 componentHashDir,
                 key,
+                run,
                 sources,
                 sourceCommands: run.sourcecommands || run.sourceCommands,
                 worktree,
+                gitdir: origin.gitdir,
+                isLocalDevelopment,
                 outputDir,
                 sourceHashes: null,
-                contentHash: null
+                contentHash: null,
+                decision,
               })
               continue
             }
 
-            // Compute content hash from source hashes
-            const contentHash = computeContentHash(sourceHashes)
-
-            // Look up pointer file
-            const pointerPath = path.join(componentHashDir, key, `${contentHash}.json`)
-            const pointer = loadPointerFile(pointerPath, logger)
+            // Compute content hash from source hashes and declared key inputs
+            const keyInputs = await computeKeyInputs(run, worktree, logger)
+            if (keyInputs) {
+              logger.debug(`Key inputs for ${componentName}/${key}: ${JSON.stringify(keyInputs)}`)
+            }
+            const includePaths = hasPatternSources(worktree, resolvedSources)
+            const contentHash = computeContentHash(sourceHashes, keyInputs, { includePaths })
+            const dirtySources = await detectDirtySources(isLocalDevelopment, worktree, origin.gitdir, sourceHashes)
+            const dirtyInfo = dirtySources.length > 0 ? { dirtySources } : {}
+            const hashTime = Date.now() - hashStarted
+            if (dirtySources.length > 0) {
+              logger.info(`${componentName}/${key} has ${dirtySources.length} uncommitted source(s) - ` +
+                'using the dirty worktree cache')
+            }
 
             // Check if cached outputs exist
-            const forceRun = process.env.FORCE_COLLECTOR === 'true'
+            const forcePattern = findEntryPattern(forcePatterns, componentName, key)
+            const forceRun = forcePattern !== undefined
+            let pointer = null
+            let pointerRoot = cacheRoot
             let cachedOutputsExist = false
+            let cachedOutputsCorrupt = false
+
+            // Dirty entries may use clean outputs as well as their own; clean entries only ever use clean outputs
+            const lookupRoots = dirtySources.length > 0 ? [dirtyCacheRoot(cacheRoot), cacheRoot] : [cacheRoot]
+            for (const root of lookupRoots) {
+              const candidate = loadPointerFile(path.join(root, 'hashes', componentName, key, `${contentHash}.json`),
+                logger)
+              if (!candidate) continue
+              if (candidate.dirty && dirtySources.length === 0) {
+                logger.debug(`Ignoring outputs cached from a dirty worktree for ${componentName}/${key}`)
+                continue
+              }
+              pointer = candidate
+              pointerRoot = root
+
+              const storage = pointer.storage || 'directory'
+              const cachedOutputPath = path.join(root, 'outputs', pointer.outputDir, outputDir)
+              cachedOutputsExist = storage === 'archive'
+                ? checkArchiveExists(archivePath(cachedOutputPath), logger)
+                : checkOutputsExist(cachedOutputPath, logger)
+
+              // Verify outputs against their integrity manifest (extracting archives); quarantine corrupt entries
+              if (cachedOutputsExist) {
+                const verification = storage === 'archive'
+                  ? await extractArchivedOutputs(cachedOutputPath, path.join(extractedPath(root, buildId),
+                    pointer.outputDir, outputDir))
+                  : verifyOutputs(cachedOutputPath, verifyMode)
+                if (!verification.ok) {
+                  logger.warn(`Cached outputs for ${componentName}/${key} failed verification (${verification.reason})`)
+                  await quarantineOutputs(root, pointer.outputDir, outputDir, storage, logger)
+                  cachedOutputsExist = false
+                  cachedOutputsCorrupt = true
+                }
+              }
+              if (cachedOutputsExist) break
+            }
 
-            if (pointer) {
-              const cachedOutputPath = path.join(playbook.dir, cacheDir, 'outputs', pointer.outputDir, outputDir)
-              cachedOutputsExist = checkOutputsExist(cachedOutputPath, logger)
+            // Download from the remote cache on a local miss
+            if (remoteBackend && !forceRun && !(pointer && cachedOutputsExist)) {
+              const remotePointerPath = path.join(componentHashDir, key, `${contentHash}.json`)
+              let fetchedPointer
+              const fetchedStorage = await fetchFromRemote(
+                remoteBackend, cacheRoot, contentHash, outputDir, { dedupe: dedupeEnabled }, logger,
+                (storage) => {
+                  fetchedPointer = {
+                    outputDir: contentHash,
+                    scanDir: outputDir,
+                    storage,
+                    sources: sourceHashes,
+                    ...(keyInputs && { inputs: keyInputs }),
+                    timestamp: new Date().toISOString(),
+                  }
+                  writePointerFile(remotePointerPath, fetchedPointer)
+                }
+              )
+              const extracted = fetchedStorage === 'archive'
+                ? await extractArchivedOutputs(path.join(cacheRoot, 'outputs', contentHash, outputDir),
+                  path.join(extractedPath(cacheRoot, buildId), contentHash, outputDir))
+                : { ok: true }
+              if (!extracted.ok) {
+                logger.warn(`Downloaded outputs for ${componentName}/${key} failed verification (${extracted.reason})`)
+                await quarantineOutputs(cacheRoot, contentHash, outputDir, fetchedStorage, logger)
+                fs.rmSync(remotePointerPath, { force: true })
+              } else if (fetchedStorage) {
+                pointer = fetchedPointer
+                pointerRoot = cacheRoot
+                cachedOutputsExist = true
+                logger.info(`Downloaded ${componentName}/${key} from remote cache ` +
+                  `(content: ${contentHash.substring(0, 12)}...)`)
+              }
             }
 
-            const shouldSkip = !forceRun && pointer && cachedOutputsExist
+            // A dependency that reruns invalidates its dependents
+            const missedDependency = depSources.keys.find((depKey) => !hitKeys.has(depKey))
+
+            const shouldSkip = !forceRun && pointer && cachedOutputsExist && !missedDependency
 
             if (shouldSkip) {
               logger.info(`Cache HIT for ${componentName}/${key} (content: ${contentHash.substring(0, 12)}...)`)
+              usedHashes.add(pointer.outputDir)
+              hitKeys.add(key)
+              decisions.push({
+                component: componentName,
+                key,
+                status: 'HIT',
+                reason: 'cached',
+                contentHash,
+                sources: resolvedSources,
+                dependsOn: depSources.keys,
+                ...sourceCommandFailures,
+                ...dirtyInfo,
+                // Pointers record how long the collector ran when the outputs were cached
+                stats: {
+                  hashTime,
+                  bytes: outputSize(path.join(pointerRoot, 'outputs', pointer.outputDir, outputDir)),
+                  timeSaved: pointer.duration,
+                },
+              })
+
+              // Archived outputs are read from where they were extracted
+              const cachedHashDir = pointer.storage === 'archive'
+                ? path.join(extractedPath(pointerRoot, buildId), pointer.outputDir)
+                : path.join(pointerRoot, 'outputs', pointer.outputDir)
 
               // Restore files from cache to worktree if specified
               const restorePatterns = run.restoretoworktree || run.restoreToWorktree
               if (restorePatterns && Array.isArray(restorePatterns) && restorePatterns.length > 0) {
-                const cacheOutputPath = path.join(playbook.dir, cacheDir, 'outputs', pointer.outputDir, outputDir)
+                const cacheOutputPath = path.join(cachedHashDir, outputDir)
                 const worktreeOutputPath = path.join(worktree, outputDir)
                 restoreFilesToWorktree(cacheOutputPath, worktreeOutputPath, restorePatterns, logger, componentName, key)
               }
@@ -408,53 +759,128 @@ module.exports.register = function () {
               if (scan) {
                 // Handle scan as array or single object
                 const scanEntries = Array.isArray(scan) ? scan : [scan]
-                const scanConfigs = scanEntries.map(scanEntry => ({
-                  dir: path.join(playbook.dir, cacheDir, 'outputs', pointer.outputDir, scanEntry.dir),
+                const scanConfigs = scanEntries.map((scanEntry) => ({
+                  dir: path.join(cachedHashDir, scanEntry.dir),
                   files: scanEntry.files,
-                  into: scanEntry.into
+                  into: scanEntry.into,
                 }))
 
                 origin.descriptor.ext.collector.push({
                   run: {
-                    command: 'true'  // No-op
+                    command: 'true', // No-op
                   },
-                  scan: scanConfigs
+                  scan: scanConfigs,
                 })
               }
             } else {
-              const reason = forceRun ? 'FORCE_COLLECTOR=true' :
-                           !pointer ? 'no cache entry' : 'cached outputs missing'
+              let reason = `dependency ${missedDependency} missed`
+              if (forceRun) {
+                reason = `forced (${forcePattern})`
+              } else if (!pointer) {
+                reason = 'no cache entry'
+              } else if (cachedOutputsCorrupt) {
+                reason = 'cached outputs corrupt'
+              } else if (!cachedOutputsExist) {
+                reason = 'cached outputs missing'
+              }
               logger.info(`Cache MISS for ${componentName}/${key} (${reason})`)
 
+              // Explain which sources or key inputs changed since the key was last cached
+              const explanation = !forceRun && !pointer
+                ? explainMiss(lookupRoots.map((root) => path.join(root, 'hashes', componentName, key)),
+                  sourceHashes, keyInputs)
+                : null
+              if (!forceRun && !pointer) logExplanation(logger, `${componentName}/${key}`, explanation)
+              const decision = {
+                component: componentName,
+                key,
+                status: 'MISS',
+                reason,
+                contentHash,
+                sources: resolvedSources,
+                dependsOn: depSources.keys,
+                ...explanation,
+                ...sourceCommandFailures,
+                ...dirtyInfo,
+                stats: { hashTime },
+              }
+              decisions.push(decision)
+
               // Run collector
               origin.descriptor.ext.collector.push({ run, scan })
+              trackRun(decision, worktree, outputDir)
 
               // Track for cache update (store resolved sources with dependencies)
               cacheEntries.push({
                 componentName,
+                cacheRoot,
                 componentHashDir,
                 key,
-                sources: allSources,  // Store combined sources (incl. dependencies)
-                sourceCommands: allSourceCommands,  // Store combined sourceCommands (incl. dependencies)
+                run,
+                sources: allSources, // Store combined sources (incl. dependencies)
+                sourceCommands: allSourceCommands, // Store combined sourceCommands (incl. dependencies)
                 worktree,
+                gitdir: origin.gitdir,
                 outputDir,
                 sourceHashes,
-                contentHash
+                keyInputs,
+                contentHash,
+                dirtySources,
+                decision,
               })
             }
           } catch (error) {
             logger.error(`Error processing entry ${componentName}/${key}: ${error.message}`)
             logger.debug(error.stack)
             origin.descriptor.ext.collector.push({ run, scan })
+            trackRun(undefined, worktree, outputDir)
           }
         }
       }
     }
 
+    saveHashMemos()
+
+    const reportDir = resolveReportDir(playbook.dir, config)
+    const reportPath = path.join(reportDir, 'miss-report.json')
+    try {
+      const misses = decisions.filter((decision) => decision.status === 'MISS')
+        .map(({ sources, dependsOn, status, stats, ...miss }) => miss)
+      writeJsonReport(reportPath, { generated: new Date().toISOString(), misses })
+      logger.debug(`Wrote cache miss report: ${reportPath}`)
+    } catch (error) {
+      logger.warn(`Failed to write cache miss report ${reportPath}: ${error.message}`)
+    }
+
+    // Nothing scans the extracted outputs when the build stops here
+    if (dryRun || fatalErrors.length > 0) removeExtractedOutputs()
+
     if (dryRun) {
-      logger.info('DRY RUN complete - exiting')
-      process.exit(0)
+      // Write the plan and stop the pipeline without running collectors or publishing
+      const planPath = path.join(reportDir, 'dry-run-plan.json')
+      const hits = decisions.filter((decision) => decision.status === 'HIT').length
+      writeJsonReport(planPath, {
+        generated: new Date().toISOString(),
+        summary: { entries: decisions.length, hits, misses: decisions.length - hits },
+        entries: decisions.map(({ stats, ...decision }) => decision),
+      })
+      logger.info(`DRY RUN complete - ${hits} HIT(s), ${decisions.length - hits} MISS(es), plan written to ${planPath}`)
+      this.stop()
     }
+
+    if (fatalErrors.length > 0) {
+      throw new Error(`sourceCommands failed: ${fatalErrors.join('; ')}`)
+    }
+
+    // The collector extension runs the entries next
+    collectorsStarted = Date.now()
+  })
+
+  /**
+   * After collectors: content is classified once every collector has run
+   */
+  this.once('contentClassified', () => {
+    collectorsFinished = Date.now()
   })
 
   /**
@@ -462,8 +888,13 @@ module.exports.register = function () {
    */
   this.on('beforePublish', async ({ playbook }) => {
     logger.info(`Updating cache for ${cacheEntries.length} entries`)
+    const dedupeTotals = { files: 0, bytesSaved: 0 }
 
-    const cacheDir = DEFAULT_CACHE_DIR
+    const runTimes = estimateRunTimes(collectorRuns.map(({ outputPath }) => outputPath),
+      collectorsStarted, collectorsFinished || Date.now())
+    collectorRuns.forEach(({ decision }, index) => {
+      if (decision) decision.stats.runTime = runTimes[index]
+    })
 
     for (const entry of cacheEntries) {
       try {
@@ -473,7 +904,7 @@ module.exports.register = function () {
           // Find the worktree created by collector
           if (fs.existsSync(entry.collectorCacheDir)) {
             const entries = fs.readdirSync(entry.collectorCacheDir)
-            const matchingEntries = entries.filter(e => e.startsWith(entry.worktreePrefix))
+            const matchingEntries = entries.filter((e) => e.startsWith(entry.worktreePrefix))
 
             if (matchingEntries.length > 0) {
               const worktreeDirName = matchingEntries[matchingEntries.length - 1]
@@ -490,249 +921,296 @@ module.exports.register = function () {
 
         // Compute hashes if not done yet
         let sourceHashes = entry.sourceHashes
+        let keyInputs = entry.keyInputs
         let contentHash = entry.contentHash
+        let dirtySources = entry.dirtySources || []
 
         if (!sourceHashes) {
           // Resolve sources (including dynamic sources from sourceCommands)
           // Note: Submodules are already initialized during contentAggregated
-          const resolvedSources = await resolveSources(worktree, entry.sources, entry.sourceCommands, logger, entry.componentName, entry.key)
+          const hashStarted = Date.now()
+          const { sources: resolvedSources, failures } = await resolveSources(
+            worktree, entry.sources, entry.sourceCommands, logger, entry.componentName, entry.key,
+            { defaults: sourceCommandDefaults, cacheRoot: entry.cacheRoot, memo: getHashMemo(entry.cacheRoot) }
+          )
+          const blockingFailure = failures.find((failure) => failure.onFailure !== 'warn')
+          if (blockingFailure) {
+            if (blockingFailure.onFailure === 'fail') {
+              fatalErrors.push(`${entry.componentName}/${entry.key}: sourceCommand "${blockingFailure.command}" ` +
+                blockingFailure.reason)
+            }
+            logger.warn(`Not caching ${entry.componentName}/${entry.key}: sourceCommand failed`)
+            continue
+          }
 
-          sourceHashes = computeHashes(worktree, resolvedSources, logger, entry.componentName, entry.key)
+          sourceHashes = await hashSources(
+            sourceHashMode, worktree, entry.gitdir, resolvedSources, logger, entry.componentName, entry.run,
+            getHashMemo(entry.cacheRoot)
+          )
           if (!sourceHashes) {
             logger.warn(`Source files still not found for ${entry.componentName}/${entry.key}`)
             continue
           }
-          contentHash = computeContentHash(sourceHashes)
+          keyInputs = await computeKeyInputs(entry.run, worktree, logger)
+          const includePaths = hasPatternSources(worktree, resolvedSources)
+          contentHash = computeContentHash(sourceHashes, keyInputs, { includePaths })
+          dirtySources = await detectDirtySources(entry.isLocalDevelopment, worktree, entry.gitdir, sourceHashes)
+          entry.decision.stats.hashTime += Date.now() - hashStarted
         }
 
-        // Create pointer file
-        const pointerDir = path.join(entry.componentHashDir, entry.key)
-        fs.mkdirSync(pointerDir, { recursive: true })
+        const sourceOutputPath = path.join(worktree, entry.outputDir)
+        if (!fs.existsSync(sourceOutputPath)) {
+          logger.warn(`Output directory not found: ${sourceOutputPath}`)
+          continue
+        }
 
+        const { stats } = entry.decision
+        stats.bytes = outputSize(sourceOutputPath)
+        const storage = resolveStorage(getOption(entry.run, 'storage'), config.storage)
+        const dirty = dirtySources.length > 0
         const pointer = {
           outputDir: contentHash,
           scanDir: entry.outputDir,
+          storage,
           sources: sourceHashes,
-          timestamp: new Date().toISOString()
+          ...(keyInputs && { inputs: keyInputs }),
+          ...(stats.runTime !== undefined && { duration: stats.runTime }),
+          ...(dirty && { dirty: true, dirtySources }),
+          timestamp: new Date().toISOString(),
         }
+        // Outputs built from uncommitted sources go to the dirty namespace
+        const storeRoot = dirty ? dirtyCacheRoot(entry.cacheRoot) : entry.cacheRoot
+        const pointerPath = path.join(storeRoot, 'hashes', entry.componentName, entry.key, `${contentHash}.json`)
+        usedHashes.add(contentHash)
+
+        // Copy (or archive) outputs to content-addressed storage, then publish the pointer
+        const publish = () => {
+          writePointerFile(pointerPath, pointer)
+          logger.debug(`Created pointer: ${pointerPath}`)
+        }
+        const dedupe = await cacheOutputs(storeRoot, contentHash, entry.outputDir, sourceOutputPath,
+          { storage, dedupe: dedupeEnabled }, logger, publish)
+        if (dedupe) {
+          dedupeTotals.files += dedupe.linked + dedupe.cloned
+          dedupeTotals.bytesSaved += dedupe.bytesSaved
+        }
+        logger.info(`Cached outputs for ${entry.componentName}/${entry.key} → ${contentHash.substring(0, 12)}...` +
+          (storage === 'archive' ? ' (archive)' : '') + (dirty ? ' (dirty worktree)' : ''))
 
-        const pointerPath = path.join(pointerDir, `${contentHash}.json`)
-        fs.writeFileSync(pointerPath, JSON.stringify(pointer, null, 2), 'utf8')
-        logger.debug(`Created pointer: ${pointerPath}`)
-
-        // Copy outputs to content-addressed directory
-        const sourceOutputPath = path.join(worktree, entry.outputDir)
-        const cachedOutputPath = path.join(playbook.dir, cacheDir, 'outputs', contentHash, entry.outputDir)
-
-        if (fs.existsSync(sourceOutputPath)) {
-          copyDirectory(sourceOutputPath, cachedOutputPath, logger)
-          logger.info(`Cached outputs for ${entry.componentName}/${entry.key} → ${contentHash.substring(0, 12)}...`)
-        } else {
-          logger.warn(`Output directory not found: ${sourceOutputPath}`)
+        // Upload to the remote cache so other machines can reuse the outputs (never dirty ones)
+        if (remoteBackend && remoteBackend.push && !dirty) {
+          try {
+            const outputsDir = path.join(entry.cacheRoot, 'outputs', contentHash)
+            const uploaded = await remoteBackend.store(contentHash, outputsDir, entry.outputDir, pointer)
+            logger.info(uploaded
+              ? `Uploaded ${entry.componentName}/${entry.key} to remote cache (${remoteBackend.name})`
+              : `Remote cache already has ${entry.componentName}/${entry.key} ` +
+                `(content: ${contentHash.substring(0, 12)}...)`)
+          } catch (error) {
+            logger.warn(`Failed to upload ${entry.componentName}/${entry.key} to remote cache: ${error.message}`)
+          }
         }
       } catch (error) {
         logger.error(`Failed to update cache for ${entry.componentName}/${entry.key}: ${error.message}`)
       }
     }
+    if (dedupeTotals.files > 0) {
+      logger.info(`Deduplicated ${dedupeTotals.files} cached file(s) against earlier outputs, ` +
+        `saved ${formatBytes(dedupeTotals.bytesSaved)}`)
+    }
+
+    const summary = summarizeStats(decisions)
+    logStats(logger, summary)
+    const reportDir = resolveReportDir(playbook.dir, config)
+    try {
+      writeJsonReport(path.join(reportDir, 'stats.json'), summary)
+      writeJunitReport(path.join(reportDir, 'stats.junit.xml'), summary)
+      logger.debug(`Wrote cache statistics to ${reportDir}`)
+    } catch (error) {
+      logger.warn(`Failed to write cache statistics to ${reportDir}: ${error.message}`)
+    }
+    saveHashMemos()
+
+    // Archived outputs have been scanned into the content catalog by now
+    removeExtractedOutputs()
+    if (fatalErrors.length > 0) {
+      throw new Error(`sourceCommands failed: ${fatalErrors.join('; ')}`)
+    }
+
+    // Collect garbage in every cache directory used by this build
+    for (const cacheRoot of cacheRoots) {
+      try {
+        if (gcPolicy.auto) collectGarbage(cacheRoot, gcPolicy, { logger, keep: usedHashes })
+        // Outputs of dirty worktrees expire after a shorter time, with or without a retention policy
+        collectDirtyGarbage(cacheRoot, gcPolicy, dirtyPolicy, { logger, keep: usedHashes })
+      } catch (error) {
+        logger.warn(`Collector cache GC failed for ${cacheRoot}: ${error.message}`)
+      }
+    }
   })
 }
 
 /**
  * Resolve source files by running sourceCommands and combining with static sources
+ *
+ * @param {object} [options] - { defaults, cacheRoot, memo } for runSourceCommands
+ * @returns {Promise<object>} { sources, failures } - failures of source commands (see runSourceCommands)
  */
-async function resolveSources (worktree, staticSources, sourceCommands, logger, componentName, key) {
+async function resolveSources (worktree, staticSources, sourceCommands, logger, componentName, key, options = {}) {
   const sourcesSet = new Set(staticSources)
 
   // If no sourceCommands, just return static sources
   if (!sourceCommands || !Array.isArray(sourceCommands) || sourceCommands.length === 0) {
-    return Array.from(sourcesSet)
+    return { sources: Array.from(sourcesSet), failures: [] }
   }
 
   logger.debug(`Resolving dynamic sources for ${componentName}/${key}`)
 
-  const { spawn } = require('child_process')
-
-  for (const command of sourceCommands) {
-    try {
-      logger.debug(`  Running: ${command}`)
-
-      const output = await new Promise((resolve, reject) => {
-        const proc = spawn('sh', ['-c', command], { cwd: worktree })
-        let stdout = ''
-        let stderr = ''
-
-        proc.stdout.on('data', (data) => { stdout += data })
-        proc.stderr.on('data', (data) => { stderr += data })
-
-        proc.on('close', (code) => {
-          if (code === 0) {
-            resolve(stdout)
-          } else {
-            reject(new Error(`Command exited with code ${code}: ${stderr}`))
-          }
-        })
-
-        proc.on('error', (err) => {
-          reject(err)
-        })
-      })
-
-      // Parse output (newline-separated paths)
-      const paths = output.trim().split('\n').filter(line => line.trim().length > 0)
-
-      logger.debug(`  Found ${paths.length} source(s)`)
-      paths.forEach(p => sourcesSet.add(p.trim()))
-
-    } catch (err) {
-      logger.warn(`Failed to run sourceCommand "${command}" for ${componentName}/${key}: ${err.message}`)
-    }
-  }
+  const label = `${componentName}/${key}`
+  const { sources, failures } = await runSourceCommands(worktree, sourceCommands, { ...options, logger, label })
+  sources.forEach((source) => sourcesSet.add(source))
 
   const resolvedSources = Array.from(sourcesSet)
   logger.debug(`Total sources for ${componentName}/${key}: ${resolvedSources.length}`)
 
-  return resolvedSources
+  return { sources: resolvedSources, failures }
 }
 
 /**
- * Resolve sources from dependencies recursively
- *
- * @param {object} entriesMap - Map of key -> entry config for looking up dependencies
- * @param {string[]} dependsOn - Array of dependency keys
- * @param {Set} visited - Set of visited keys to detect circular dependencies
- * @param {object} logger - Logger instance
- * @param {string} componentName - Component name for logging
- * @param {string} key - Current entry key for logging
- * @returns {object} Object with sources and sourceCommands arrays from all dependencies
+ * Load pointer file from disk
  */
-function resolveDependencySources (entriesMap, dependsOn, visited, logger, componentName, key) {
-  const allSources = []
-  const allSourceCommands = []
-
-  if (!dependsOn || !Array.isArray(dependsOn) || dependsOn.length === 0) {
-    return { sources: allSources, sourceCommands: allSourceCommands }
+function loadPointerFile (pointerPath, logger) {
+  if (!fs.existsSync(pointerPath)) {
+    logger.debug(`No pointer file: ${pointerPath}`)
+    return null
   }
 
-  logger.debug(`Resolving dependencies for ${componentName}/${key}: ${dependsOn.join(', ')}`)
-
-  for (const depKey of dependsOn) {
-    // Check for circular dependency
-    if (visited.has(depKey)) {
-      logger.warn(`Circular dependency detected: ${key} -> ${depKey}`)
-      continue
-    }
-
-    // Find the dependency entry
-    const depEntry = entriesMap.get(depKey)
-    if (!depEntry) {
-      logger.warn(`Dependency not found: ${depKey} (required by ${key})`)
-      continue
-    }
-
-    // Mark as visited
-    const newVisited = new Set(visited)
-    newVisited.add(depKey)
-
-    // Add dependency's sources
-    if (depEntry.sources) {
-      allSources.push(...depEntry.sources)
-    }
-
-    // Add dependency's sourceCommands
-    if (depEntry.sourceCommands) {
-      allSourceCommands.push(...depEntry.sourceCommands)
-    }
-
-    // Recursively resolve the dependency's dependencies
-    if (depEntry.dependsOn && depEntry.dependsOn.length > 0) {
-      const recursive = resolveDependencySources(
-        entriesMap,
-        depEntry.dependsOn,
-        newVisited,
-        logger,
-        componentName,
-        depKey
-      )
-      allSources.push(...recursive.sources)
-      allSourceCommands.push(...recursive.sourceCommands)
-    }
+  try {
+    const content = fs.readFileSync(pointerPath, 'utf8')
+    return JSON.parse(content)
+  } catch (error) {
+    logger.warn(`Failed to read pointer file ${pointerPath}: ${error.message}`)
+    return null
   }
-
-  logger.debug(`Resolved ${allSources.length} sources and ${allSourceCommands.length} sourceCommands from dependencies`)
-
-  return { sources: allSources, sourceCommands: allSourceCommands }
 }
 
 /**
- * Compute SHA-256 hashes for source files
+ * Write pointer file to disk (atomically, so readers never see a partial pointer)
  */
-function computeHashes (worktree, sources, logger, componentName, key) {
-  const hashes = {}
-
-  if (logger && componentName && key) {
-    logger.debug(`Checking source files for ${componentName}/${key} in worktree: ${worktree}`)
-  }
-
-  for (const source of sources) {
-    const filePath = path.join(worktree, source)
+function writePointerFile (pointerPath, pointer) {
+  writeFileAtomic(pointerPath, JSON.stringify(pointer, null, 2))
+}
 
-    if (!fs.existsSync(filePath)) {
-      if (logger && componentName && key) {
-        logger.debug(`  ✗ Missing: ${source}`)
-        // List what's actually in the worktree
-        try {
-          const worktreeContents = fs.readdirSync(worktree, { withFileTypes: true })
-          const files = worktreeContents.filter(e => e.isFile()).map(e => e.name)
-          const dirs = worktreeContents.filter(e => e.isDirectory()).map(e => e.name + '/')
-          logger.debug(`  Worktree contains: ${[...dirs, ...files].join(', ') || '(empty)'}`)
-        } catch (err) {
-          logger.debug(`  Failed to list worktree contents: ${err.message}`)
-        }
-      }
-      return null
+/**
+ * Copy outputs into outputs/<contentHash>/<outputDir> under the content hash lock
+ *
+ * Outputs are staged in a temporary directory and renamed into place, and
+ * `publish` (which writes the pointer) only runs once the outputs are complete.
+ * With the archive storage format outputs/<contentHash>/<outputDir>.tar.gz is
+ * written instead. With deduplication the staged files are replaced by links to
+ * the file-level content store.
+ *
+ * @param {object} options - { storage, dedupe }
+ * @returns {Promise<object|undefined>} Deduplication result (see dedupeDirectory), if deduplicated
+ */
+async function cacheOutputs (cacheRoot, contentHash, outputDir, sourceOutputPath, options, logger, publish) {
+  const { storage, dedupe } = options
+  const outputsDir = path.join(cacheRoot, 'outputs')
+  const stagingDir = stagingPath(outputsDir, `staging-${contentHash}`)
+  try {
+    let manifest
+    const stagedArchive = path.join(stagingDir, 'outputs.tar.gz')
+    if (storage === 'archive') {
+      fs.mkdirSync(stagingDir, { recursive: true })
+      manifest = await archiveOutputs(sourceOutputPath, stagedArchive)
+      logger.debug(`Archived ${sourceOutputPath} (${Object.keys(manifest.files).length} file(s))`)
+    } else {
+      copyDirectory(sourceOutputPath, stagingDir, logger)
     }
-
-    const content = fs.readFileSync(filePath)
-    const hash = crypto.createHash('sha256').update(content).digest('hex')
-    hashes[source] = hash
-
-    if (logger && componentName && key) {
-      logger.debug(`  ✓ Found: ${source} (${hash.substring(0, 12)}...)`)
+    let deduplicated
+    if (dedupe && storage !== 'archive') {
+      deduplicated = dedupeDirectory(stagingDir, cacheRoot)
+      manifest = buildManifest(deduplicated.files)
+      logger.debug(`Deduplicated ${deduplicated.linked} linked and ${deduplicated.cloned} cloned file(s) ` +
+        `of ${sourceOutputPath}, saved ${formatBytes(deduplicated.bytesSaved)}`)
     }
+    const release = await acquireLock(lockPath(cacheRoot, contentHash), { logger })
+    try {
+      const destination = path.join(outputsDir, contentHash, outputDir)
+      if (storage === 'archive') {
+        fs.mkdirSync(path.dirname(destination), { recursive: true })
+        fs.renameSync(stagedArchive, archivePath(destination))
+      } else {
+        promoteDirectory(stagingDir, destination, outputsDir)
+      }
+      writeManifest(destination, manifest)
+      publish()
+    } finally {
+      release()
+    }
+    return deduplicated
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true })
   }
-
-  return hashes
 }
 
 /**
- * Compute content hash from source file hashes
+ * Path of the lock file guarding writes to a content hash
  */
-function computeContentHash (sourceHashes) {
-  // Sort keys for consistent ordering
-  const sortedKeys = Object.keys(sourceHashes).sort()
-
-  // Concatenate hashes in sorted order
-  const combined = sortedKeys.map(key => sourceHashes[key]).join('')
-
-  // Hash the combined string
-  return crypto.createHash('sha256').update(combined).digest('hex')
+function lockPath (cacheRoot, contentHash) {
+  return path.join(cacheRoot, 'locks', `${contentHash}.lock`)
 }
 
 /**
- * Load pointer file from disk
+ * Download cached outputs for a content hash from a remote backend
+ *
+ * Files are downloaded into a staging directory and only moved into
+ * outputs/<contentHash> once complete, so a failed transfer never looks like a
+ * valid cache entry. `publish` (which writes the pointer) is called with the
+ * storage format while the content hash lock is still held, as in cacheOutputs,
+ * so garbage collection never sees the outputs without their pointer.
+ *
+ * @param {object} options - { dedupe } - link downloaded files to the file-level content store
+ * @returns {Promise<string|boolean>} Storage format of the downloaded outputs, or false if none were downloaded
  */
-function loadPointerFile (pointerPath, logger) {
-  if (!fs.existsSync(pointerPath)) {
-    logger.debug(`No pointer file: ${pointerPath}`)
-    return null
-  }
-
+async function fetchFromRemote (backend, cacheRoot, contentHash, outputDir, { dedupe }, logger, publish) {
+  const outputsDir = path.join(cacheRoot, 'outputs')
+  const downloadDir = stagingPath(outputsDir, `download-${contentHash}`)
   try {
-    const content = fs.readFileSync(pointerPath, 'utf8')
-    return JSON.parse(content)
+    logger.debug(`Checking remote cache (${backend.name}) for ${contentHash}`)
+    const remotePointer = await backend.fetch(contentHash, downloadDir, outputDir)
+    if (!remotePointer) {
+      logger.debug(`Remote cache MISS for ${contentHash}`)
+      return false
+    }
+    const downloadedArchive = archivePath(path.join(downloadDir, outputDir))
+    const storage = fs.existsSync(downloadedArchive) ? 'archive' : 'directory'
+    let manifest
+    if (storage === 'archive') {
+      manifest = await indexArchive(downloadedArchive)
+    } else if (dedupe) {
+      manifest = buildManifest(dedupeDirectory(path.join(downloadDir, outputDir), cacheRoot).files)
+    }
+    const release = await acquireLock(lockPath(cacheRoot, contentHash), { logger })
+    try {
+      const destination = path.join(outputsDir, contentHash, outputDir)
+      if (storage === 'archive') {
+        fs.mkdirSync(path.dirname(destination), { recursive: true })
+        fs.renameSync(downloadedArchive, archivePath(destination))
+      } else {
+        promoteDirectory(path.join(downloadDir, outputDir), destination, outputsDir)
+      }
+      writeManifest(destination, manifest)
+      publish(storage)
+    } finally {
+      release()
+    }
+    return storage
   } catch (error) {
-    logger.warn(`Failed to read pointer file ${pointerPath}: ${error.message}`)
-    return null
+    logger.warn(`Failed to download ${contentHash.substring(0, 12)}... from remote cache: ${error.message}`)
+    return false
+  } finally {
+    fs.rmSync(downloadDir, { recursive: true, force: true })
   }
 }
 
@@ -765,6 +1243,19 @@ function checkOutputsExist (outputPath, logger) {
   }
 }
 
+/**
+ * Check if an output archive exists
+ */
+function checkArchiveExists (archiveFile, logger) {
+  try {
+    if (fs.statSync(archiveFile).isFile()) return true
+    logger.debug(`Output archive is not a file: ${archiveFile}`)
+  } catch (error) {
+    logger.debug(`Output archive does not exist: ${archiveFile}`)
+  }
+  return false
+}
+
 /**
  * Recursively check if directory contains files
  */
@@ -873,7 +1364,7 @@ function findFilesMatchingPattern (dir, pattern) {
   return globSync(pattern, {
     cwd: dir,
     onlyFiles: true,
-    dot: true
+    dot: true,
   })
 }
 
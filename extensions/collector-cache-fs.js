@@ -0,0 +1,115 @@
+/**
+ * File system helpers shared by the collector cache modules
+ *
+ * Listing, hashing and sizing files of output directories, and reading the
+ * pointer files of a cache directory (hashes/<component>/<key>/<hash>.json).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * List files in a directory tree as paths relative to dir
+ */
+function listFiles (dir, prefix = '') {
+  const files = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = path.join(prefix, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...listFiles(path.join(dir, entry.name), relative))
+    } else if (entry.isFile()) {
+      files.push(relative)
+    }
+  }
+  return files
+}
+
+/**
+ * Names of the subdirectories of a directory (none if it doesn't exist)
+ */
+function listDirectories (dir) {
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).filter((e) => e.isDirectory()).map((e) => e.name)
+}
+
+/**
+ * Convert a platform path to the `/`-separated form used in manifests, bundles and URLs
+ */
+function posixPath (p) {
+  return p.split(path.sep).join('/')
+}
+
+/**
+ * Compute SHA-256 of a file's contents
+ */
+function hashFile (filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+}
+
+/**
+ * Compute the total size of all files in a directory tree
+ */
+function directorySize (dir) {
+  let size = 0
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      size += directorySize(entryPath)
+    } else if (entry.isFile()) {
+      size += fs.statSync(entryPath).size
+    }
+  }
+  return size
+}
+
+/**
+ * Format a number of bytes with the largest fitting unit (e.g. 1.5 MB)
+ */
+function formatBytes (bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  const units = ['KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = -1
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${value.toFixed(1)} ${units[unit]}`
+}
+
+/**
+ * Read all pointer files below hashes/<component>/<key>/
+ *
+ * @returns {object[]} Pointers with path, component, key, name, data, outputDir and time
+ */
+function readPointers (hashesDir) {
+  const pointers = []
+  for (const component of listDirectories(hashesDir)) {
+    for (const key of listDirectories(path.join(hashesDir, component))) {
+      const keyDir = path.join(hashesDir, component, key)
+      for (const name of fs.readdirSync(keyDir)) {
+        if (!name.endsWith('.json')) continue
+        const pointerPath = path.join(keyDir, name)
+        let data = null
+        try {
+          data = JSON.parse(fs.readFileSync(pointerPath, 'utf8'))
+        } catch (err) {}
+        const time = (data && Date.parse(data.timestamp)) || fs.statSync(pointerPath).mtimeMs
+        const outputDir = (data && data.outputDir) || path.basename(name, '.json')
+        pointers.push({ path: pointerPath, component, key, name, data, outputDir, time })
+      }
+    }
+  }
+  return pointers
+}
+
+module.exports = {
+  listFiles,
+  listDirectories,
+  posixPath,
+  hashFile,
+  directorySize,
+  formatBytes,
+  readPointers,
+}
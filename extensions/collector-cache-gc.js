@@ -0,0 +1,302 @@
+/**
+ * Garbage collection for the collector cache
+ *
+ * The collector cache only ever grows: every new content hash adds an output
+ * directory under `outputs/` and a pointer file under `hashes/<component>/<key>/`.
+ * This module removes pointers that fall outside the configured retention
+ * policies, pointers whose outputs no longer exist, and output directories that
+ * are no longer referenced by any pointer.
+ *
+ * Policies:
+ *   - maxAge:   remove pointers whose `timestamp` is older than this (e.g. '30d')
+ *   - keepLast: keep only the N most recent pointers per component/key
+ *   - maxSize:  evict the least recently cached outputs until the total size fits (e.g. '2GB')
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { isLocked } = require('./collector-cache-atomic')
+const { objectsPath } = require('./collector-cache-objects')
+const { listDirectories, directorySize, formatBytes, readPointers } = require('./collector-cache-fs')
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 }
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+
+// Staging and extraction directories left behind by crashed builds are removed after this long
+const STALE_STAGING_AGE = DURATION_UNITS.d
+
+// Quarantined (corrupt) outputs are kept this long for inspection
+const QUARANTINE_RETENTION = 7 * DURATION_UNITS.d
+const SOURCE_COMMAND_RETENTION = 30 * DURATION_UNITS.d
+
+/**
+ * Parse a size such as 500MB, 2GB or a plain number of bytes
+ *
+ * @param {string|number} value - Size value
+ * @returns {number|undefined} Size in bytes
+ */
+function parseSize (value) {
+  if (value === undefined || value === null || value === '') return undefined
+  if (typeof value === 'number') return value
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/)
+  if (!match) throw new Error(`Invalid size: ${value} (expected e.g. 500MB or 2GB)`)
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b'])
+}
+
+/**
+ * Parse a duration such as 12h, 30d or 2w (a plain number is a number of days)
+ *
+ * @param {string|number} value - Duration value
+ * @returns {number|undefined} Duration in milliseconds
+ */
+function parseDuration (value) {
+  if (value === undefined || value === null || value === '') return undefined
+  if (typeof value === 'number') return value * DURATION_UNITS.d
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([smhdw])?$/)
+  if (!match) throw new Error(`Invalid duration: ${value} (expected e.g. 12h, 30d or 2w)`)
+  return Math.floor(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'd'])
+}
+
+/**
+ * Resolve the GC policy from extension config and environment
+ *
+ * Environment variables take precedence over the playbook configuration:
+ *   COLLECTOR_CACHE_GC=true|false  enable or disable automatic GC after publishing
+ *   COLLECTOR_CACHE_GC_MAX_SIZE    e.g. 2GB
+ *   COLLECTOR_CACHE_GC_MAX_AGE     e.g. 30d
+ *   COLLECTOR_CACHE_GC_KEEP_LAST   e.g. 3
+ *
+ * The cache directory may be shared between builds, so automatic GC only runs
+ * when a retention limit is configured, unless `auto` says otherwise.
+ *
+ * @param {object} config - The `gc` section of the extension config
+ * @param {object} env - Environment variables
+ * @returns {object} Policy with auto, maxSize, maxAge and keepLast
+ */
+function resolveGcPolicy (config = {}, env = process.env) {
+  const keepLast = env.COLLECTOR_CACHE_GC_KEEP_LAST || config.keepLast
+  const policy = {
+    maxSize: parseSize(env.COLLECTOR_CACHE_GC_MAX_SIZE || config.maxSize),
+    maxAge: parseDuration(env.COLLECTOR_CACHE_GC_MAX_AGE || config.maxAge),
+    keepLast: keepLast !== undefined ? parseInt(keepLast, 10) : undefined,
+  }
+  if (policy.keepLast !== undefined && !(policy.keepLast >= 1)) {
+    throw new Error(`Invalid keepLast: ${keepLast} (expected a positive integer)`)
+  }
+  const retention = policy.maxSize !== undefined || policy.maxAge !== undefined || policy.keepLast !== undefined
+  if (env.COLLECTOR_CACHE_GC !== undefined) {
+    policy.auto = env.COLLECTOR_CACHE_GC !== 'false'
+  } else {
+    policy.auto = config.auto !== undefined ? config.auto !== false : retention
+  }
+  return policy
+}
+
+/**
+ * Collect garbage in a collector cache directory
+ *
+ * Dangling pointers and unreferenced outputs are always removed; retention
+ * limits are applied only when configured. Content hashes in `keep` (e.g. those
+ * used by the current build) and content hashes locked by a build that is
+ * writing them are never evicted.
+ *
+ * @param {string} cacheRoot - Absolute path of the collector cache directory
+ * @param {object} policy - Policy from resolveGcPolicy
+ * @param {object} options - { logger, keep: Set of content hashes, dryRun, now }
+ * @returns {object} Statistics about removed pointers, outputs and freed bytes
+ */
+function collectGarbage (cacheRoot, policy = {}, { logger, keep = new Set(), dryRun = false, now = Date.now() } = {}) {
+  const stats = {
+    pointersRemoved: 0,
+    outputsRemoved: 0,
+    objectsRemoved: 0,
+    bytesFreed: 0,
+    bytesRetained: 0,
+    bytesDeduplicated: 0,
+  }
+  keep = new Set(keep)
+  const hashesDir = path.join(cacheRoot, 'hashes')
+  const outputsDir = path.join(cacheRoot, 'outputs')
+
+  if (!fs.existsSync(hashesDir) && !fs.existsSync(outputsDir)) {
+    if (logger) logger.debug(`No collector cache at ${cacheRoot} - nothing to collect`)
+    return stats
+  }
+
+  const removePointer = (pointer, reason) => {
+    if (logger) logger.debug(`GC: removing pointer ${pointer.component}/${pointer.key}/${pointer.name} (${reason})`)
+    if (!dryRun) fs.rmSync(pointer.path, { force: true })
+    stats.pointersRemoved++
+  }
+
+  const outputs = new Map()
+  if (fs.existsSync(outputsDir)) {
+    for (const entry of fs.readdirSync(outputsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue
+      const outputPath = path.join(outputsDir, entry.name)
+      // Dot-prefixed directories are staging areas of in-progress writes
+      if (entry.name.startsWith('.')) {
+        if (!dryRun && now - fs.statSync(outputPath).mtimeMs > STALE_STAGING_AGE) {
+          if (logger) logger.debug(`GC: removing stale staging directory outputs/${entry.name}`)
+          fs.rmSync(outputPath, { recursive: true, force: true })
+        }
+        continue
+      }
+      if (isLocked(path.join(cacheRoot, 'locks', `${entry.name}.lock`))) keep.add(entry.name)
+      outputs.set(entry.name, { name: entry.name, path: outputPath })
+    }
+  }
+
+  // Drop unreadable pointers and pointers whose outputs are gone
+  let pointers = []
+  for (const pointer of readPointers(hashesDir)) {
+    if (!pointer.data) {
+      removePointer(pointer, 'unreadable')
+    } else if (!outputs.has(pointer.outputDir)) {
+      removePointer(pointer, 'outputs missing')
+    } else {
+      pointers.push(pointer)
+    }
+  }
+
+  // Keep only the N most recent pointers per component/key
+  if (policy.keepLast !== undefined) {
+    const groups = new Map()
+    for (const pointer of pointers) {
+      const group = `${pointer.component}/${pointer.key}`
+      if (!groups.has(group)) groups.set(group, [])
+      groups.get(group).push(pointer)
+    }
+    const expired = new Set()
+    for (const group of groups.values()) {
+      group.sort((a, b) => b.time - a.time)
+      for (const pointer of group.slice(policy.keepLast)) {
+        if (!keep.has(pointer.outputDir)) expired.add(pointer)
+      }
+    }
+    expired.forEach((pointer) => removePointer(pointer, `beyond keepLast=${policy.keepLast}`))
+    pointers = pointers.filter((pointer) => !expired.has(pointer))
+  }
+
+  // Remove pointers older than maxAge
+  if (policy.maxAge !== undefined) {
+    const cutoff = now - policy.maxAge
+    pointers = pointers.filter((pointer) => {
+      if (pointer.time >= cutoff || keep.has(pointer.outputDir)) return true
+      removePointer(pointer, 'older than maxAge')
+      return false
+    })
+  }
+
+  // Remove outputs that no pointer references anymore
+  const lastUsed = new Map()
+  for (const pointer of pointers) {
+    lastUsed.set(pointer.outputDir, Math.max(lastUsed.get(pointer.outputDir) || 0, pointer.time))
+  }
+  for (const output of outputs.values()) {
+    output.size = directorySize(output.path)
+    if (lastUsed.has(output.name) || keep.has(output.name)) continue
+    removeOutput(output, 'unreferenced')
+  }
+
+  // Evict least recently cached outputs until the cache fits within maxSize
+  if (policy.maxSize !== undefined) {
+    const live = [...outputs.values()].filter((output) => !output.removed)
+    let total = live.reduce((sum, output) => sum + output.size, 0)
+    live.sort((a, b) => (lastUsed.get(a.name) || 0) - (lastUsed.get(b.name) || 0))
+    for (const output of live) {
+      if (total <= policy.maxSize) break
+      if (keep.has(output.name)) continue
+      pointers
+        .filter((pointer) => pointer.outputDir === output.name)
+        .forEach((pointer) => removePointer(pointer, 'maxSize'))
+      removeOutput(output, `cache exceeds maxSize=${policy.maxSize}`)
+      total -= output.size
+    }
+  }
+
+  for (const output of outputs.values()) {
+    if (!output.removed) stats.bytesRetained += output.size
+  }
+
+  // Remove stored objects no output links to anymore; every further link to an object is space saved
+  const objectsDir = objectsPath(cacheRoot)
+  for (const prefix of listDirectories(objectsDir)) {
+    for (const name of fs.readdirSync(path.join(objectsDir, prefix))) {
+      const object = path.join(objectsDir, prefix, name)
+      const stat = fs.statSync(object)
+      if (stat.nlink > 2) stats.bytesDeduplicated += stat.size * (stat.nlink - 2)
+      // Objects that were just stored (or cloned from) may be about to be linked
+      if (stat.nlink > 1 || now - stat.mtimeMs <= STALE_STAGING_AGE) continue
+      if (logger) logger.debug(`GC: removing unreferenced object ${name}`)
+      if (!dryRun) fs.rmSync(object, { force: true })
+      stats.objectsRemoved++
+    }
+  }
+
+  // Remove quarantined outputs once they have been kept long enough for inspection
+  const quarantineDir = path.join(cacheRoot, 'quarantine')
+  for (const name of listDirectories(quarantineDir)) {
+    const quarantined = path.join(quarantineDir, name)
+    if (now - fs.statSync(quarantined).mtimeMs <= QUARANTINE_RETENTION) continue
+    if (logger) logger.debug(`GC: removing quarantined outputs ${name}`)
+    if (!dryRun) fs.rmSync(quarantined, { recursive: true, force: true })
+  }
+
+  // Remove archives extracted by builds that crashed before cleaning up after themselves
+  const extractedDir = path.join(cacheRoot, 'extracted')
+  for (const name of listDirectories(extractedDir)) {
+    const extracted = path.join(extractedDir, name)
+    if (now - fs.statSync(extracted).mtimeMs <= STALE_STAGING_AGE) continue
+    if (logger) logger.debug(`GC: removing stale extracted outputs ${name}`)
+    if (!dryRun) fs.rmSync(extracted, { recursive: true, force: true })
+  }
+
+  // Remove cached sourceCommands results that haven't been used for a while
+  const sourceCommandsDir = path.join(cacheRoot, 'source-commands')
+  if (fs.existsSync(sourceCommandsDir)) {
+    for (const name of fs.readdirSync(sourceCommandsDir)) {
+      const result = path.join(sourceCommandsDir, name)
+      if (now - fs.statSync(result).mtimeMs <= SOURCE_COMMAND_RETENTION) continue
+      if (logger) logger.debug(`GC: removing unused sourceCommands result ${name}`)
+      if (!dryRun) fs.rmSync(result, { force: true })
+    }
+  }
+
+  if (!dryRun) removeEmptyDirectories(hashesDir)
+
+  if (logger) {
+    logger.info(`Collector cache GC${dryRun ? ' (dry run)' : ''}: ` +
+      `removed ${stats.pointersRemoved} pointer(s) and ${stats.outputsRemoved} output(s), ` +
+      `freed ${formatBytes(stats.bytesFreed)}, ${formatBytes(stats.bytesRetained)} retained` +
+      (stats.bytesDeduplicated > 0 ? ` (${formatBytes(stats.bytesDeduplicated)} saved by deduplication)` : ''))
+  }
+
+  return stats
+
+  function removeOutput (output, reason) {
+    if (logger) logger.debug(`GC: removing outputs/${output.name} (${reason}, ${formatBytes(output.size)})`)
+    if (!dryRun) fs.rmSync(output.path, { recursive: true, force: true })
+    output.removed = true
+    stats.outputsRemoved++
+    stats.bytesFreed += output.size
+  }
+}
+
+/**
+ * Remove empty directories below (but not including) dir
+ */
+function removeEmptyDirectories (dir) {
+  for (const name of listDirectories(dir)) {
+    const subdir = path.join(dir, name)
+    removeEmptyDirectories(subdir)
+    if (fs.readdirSync(subdir).length === 0) fs.rmdirSync(subdir)
+  }
+}
+
+module.exports = {
+  collectGarbage,
+  resolveGcPolicy,
+  parseSize,
+  parseDuration,
+}
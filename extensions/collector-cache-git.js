@@ -0,0 +1,303 @@
+/**
+ * Git object fingerprints for collector cache sources
+ *
+ * Hashing every source on every build is slow for multi-hundred-MB .blend and
+ * .step files. With the `git` source hash mode each source file is
+ * fingerprinted by its git blob ID instead: when the file's stat data matches
+ * the repository index, the ID is taken from the index without reading the
+ * file. Only dirty or untracked files are read, and they are hashed with the
+ * same blob algorithm, so a fingerprint doesn't depend on whether the file
+ * happened to be clean.
+ *
+ * Files inside a submodule are looked up in the submodule's own repository, and
+ * a directory source that is the root of a clean submodule is fingerprinted by
+ * the submodule's commit ID without looking at its files.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const git = require('isomorphic-git')
+const { isDynamicPattern } = require('fast-glob')
+const { computeHashes, expandSources, hashOptions } = require('./collector-cache-hash')
+const { posixPath } = require('./collector-cache-fs')
+
+const SOURCE_HASH_MODES = ['content', 'git']
+const DEFAULT_SOURCE_HASH_MODE = 'content'
+
+/**
+ * Resolve the source hash mode from extension config and environment
+ *
+ * COLLECTOR_CACHE_SOURCE_HASH takes precedence over the `sourceHash` extension option.
+ */
+function resolveSourceHashMode (configValue, env = process.env) {
+  const mode = env.COLLECTOR_CACHE_SOURCE_HASH || configValue || DEFAULT_SOURCE_HASH_MODE
+  if (!SOURCE_HASH_MODES.includes(mode)) {
+    throw new Error(`Invalid source hash mode: ${mode} (expected one of ${SOURCE_HASH_MODES.join(', ')})`)
+  }
+  return mode
+}
+
+/**
+ * Fingerprint an entry's sources with the configured source hash mode
+ *
+ * @param {string} mode - Source hash mode (see resolveSourceHashMode)
+ * @param {object} run - The entry's run configuration (key, ignore and gitignore options)
+ * @param {object} [memo] - Hash memo for the content mode (see loadHashMemo)
+ * @returns {Promise<object|null>} Map of relative path -> hash, or null if a source is missing
+ */
+async function hashSources (mode, worktree, gitdir, sources, logger, componentName, run, memo) {
+  if (mode === 'git') {
+    return computeGitHashes(worktree, gitdir, sources, logger, componentName, run.key, hashOptions(run))
+  }
+  return computeHashes(worktree, sources, logger, componentName, run.key, { ...hashOptions(run), memo })
+}
+
+/**
+ * Compute git blob IDs for source files
+ *
+ * Takes the same sources and options as computeHashes and returns a map in the
+ * same shape, with git object IDs instead of SHA-256 hashes.
+ *
+ * @param {string} worktree - Worktree the sources are relative to
+ * @param {string} [gitdir] - Git directory of the worktree (defaults to worktree/.git)
+ * @param {string[]} sources - Files, directories or glob patterns
+ * @param {object} logger - Logger instance
+ * @param {string} componentName - Component name for logging
+ * @param {string} key - Entry key for logging
+ * @param {object} [options] - { ignore, gitignore } as for computeHashes
+ * @returns {Promise<object|null>} Map of relative path -> object ID, or null if a source is missing
+ */
+async function computeGitHashes (worktree, gitdir, sources, logger, componentName, key, options = {}) {
+  const hashes = {}
+  const cache = {}
+
+  // Clean submodules given as directory sources are fingerprinted by their commit
+  const fileSources = []
+  for (const source of sources) {
+    const commit = isDynamicPattern(source) ? null : await resolveCleanSubmoduleCommit(worktree, source, cache)
+    if (commit) {
+      hashes[posixPath(path.relative(worktree, path.resolve(worktree, source)))] = commit
+      logger.debug(`  ✓ Submodule: ${source} (commit ${commit.substring(0, 12)}...)`)
+    } else {
+      fileSources.push(source)
+    }
+  }
+
+  const files = expandSources(worktree, fileSources, logger, componentName, key, options)
+  if (!files) return null
+
+  const blobIds = new Map()
+  for (const [repoDir, repoFiles] of groupByRepository(worktree, files)) {
+    const repoGitdir = repoDir === worktree && gitdir ? gitdir : resolveGitdir(repoDir)
+    try {
+      const ids = await readBlobIds(repoDir, repoGitdir, [...repoFiles.keys()], cache)
+      for (const [filepath, id] of ids) blobIds.set(repoFiles.get(filepath), id)
+    } catch (err) {
+      logger.debug(`Failed to read git objects for ${componentName}/${key} in ${repoDir}: ${err.message}`)
+    }
+  }
+
+  let hashed = 0
+  for (const file of files) {
+    const id = blobIds.get(file)
+    if (id && id.clean) {
+      hashes[file] = id.oid
+    } else {
+      hashes[file] = id ? id.oid : hashBlob(path.resolve(worktree, file))
+      hashed++
+    }
+  }
+  logger.debug(`Fingerprinted ${files.length - hashed} source(s) of ${componentName}/${key} from the git index, ` +
+    `hashed ${hashed} dirty or untracked source(s)`)
+
+  return hashes
+}
+
+/**
+ * Find source files with uncommitted changes
+ *
+ * A file is dirty when its contents differ from HEAD of the repository
+ * (worktree or submodule) containing it, staged or not, or when it is not
+ * committed at all. Directories (clean submodule roots fingerprinted by their
+ * commit) are skipped. When the repository can't be read, all of its files
+ * count as dirty.
+ *
+ * @param {string} worktree - Worktree the files are relative to
+ * @param {string} [gitdir] - Git directory of the worktree (defaults to worktree/.git)
+ * @param {string[]} files - Source files relative to the worktree (e.g. the keys of computed source hashes)
+ * @returns {Promise<string[]>} Dirty files, sorted
+ */
+async function findDirtySources (worktree, gitdir, files) {
+  const cache = {}
+  const sourceFiles = files.filter((file) => {
+    try {
+      return !fs.statSync(path.resolve(worktree, file)).isDirectory()
+    } catch (err) {
+      return true
+    }
+  })
+
+  const dirty = []
+  for (const [repoDir, repoFiles] of groupByRepository(worktree, sourceFiles)) {
+    const repoGitdir = repoDir === worktree && gitdir ? gitdir : resolveGitdir(repoDir)
+    let changed
+    try {
+      changed = await readChangedFiles(repoDir, repoGitdir, [...repoFiles.keys()], cache)
+    } catch (err) {
+      changed = new Set(repoFiles.keys())
+    }
+    for (const [filepath, file] of repoFiles) {
+      if (changed.has(filepath)) dirty.push(file)
+    }
+  }
+  return dirty.sort()
+}
+
+/**
+ * Group files by the repository (worktree or submodule) that contains them
+ *
+ * @returns {Map} Repository root -> Map of path relative to the repository (posix) -> file
+ */
+function groupByRepository (worktree, files) {
+  const repositories = new Map()
+  for (const file of files) {
+    const absolutePath = path.resolve(worktree, file)
+    const repoDir = findRepositoryRoot(worktree, absolutePath)
+    if (!repoDir) continue
+    if (!repositories.has(repoDir)) repositories.set(repoDir, new Map())
+    repositories.get(repoDir).set(posixPath(path.relative(repoDir, absolutePath)), file)
+  }
+  return repositories
+}
+
+/**
+ * Read the blob IDs of files in a repository
+ *
+ * The WORKDIR walker reuses the index's object ID when the file's stat data
+ * matches the index entry and only reads the file otherwise.
+ *
+ * @returns {Promise<Map>} filepath -> { oid, clean } for files that exist
+ */
+async function readBlobIds (dir, gitdir, filepaths, cache) {
+  const wanted = new Set(filepaths)
+  const ancestors = ancestorsOf(filepaths)
+
+  const ids = new Map()
+  await git.walk({
+    fs,
+    dir,
+    gitdir,
+    cache,
+    trees: [git.STAGE(), git.WORKDIR()],
+    map: async (filepath, [stage, workdir]) => {
+      if (filepath === '.' || ancestors.has(filepath)) return undefined
+      if (wanted.has(filepath) && workdir && (await workdir.type()) === 'blob') {
+        const oid = await workdir.oid()
+        ids.set(filepath, { oid, clean: Boolean(stage) && (await stage.oid()) === oid })
+      }
+      // Don't descend into anything that isn't on the way to a wanted file
+      return null
+    },
+  })
+  return ids
+}
+
+/**
+ * Find files of a repository whose contents differ from HEAD (including untracked files)
+ *
+ * @returns {Promise<Set>} Changed filepaths
+ */
+async function readChangedFiles (dir, gitdir, filepaths, cache) {
+  const wanted = new Set(filepaths)
+  const ancestors = ancestorsOf(filepaths)
+  const changed = new Set()
+  await git.walk({
+    fs,
+    dir,
+    gitdir,
+    cache,
+    trees: [git.TREE({ ref: 'HEAD' }), git.WORKDIR()],
+    map: async (filepath, [head, workdir]) => {
+      if (filepath === '.' || ancestors.has(filepath)) return undefined
+      if (wanted.has(filepath) && workdir && (await workdir.type()) === 'blob') {
+        const committed = head && (await head.type()) === 'blob' && (await head.oid()) === (await workdir.oid())
+        if (!committed) changed.add(filepath)
+      }
+      return null
+    },
+  })
+  return changed
+}
+
+function ancestorsOf (filepaths) {
+  const ancestors = new Set()
+  for (const filepath of filepaths) {
+    for (let parent = path.posix.dirname(filepath); parent !== '.'; parent = path.posix.dirname(parent)) {
+      ancestors.add(parent)
+    }
+  }
+  return ancestors
+}
+
+/**
+ * Get the commit of a submodule source if its worktree is clean
+ *
+ * @returns {Promise<string|null>} Commit ID, or null if the source isn't a clean submodule root
+ */
+async function resolveCleanSubmoduleCommit (worktree, source, cache) {
+  const dir = path.resolve(worktree, source)
+  if (dir === path.resolve(worktree) || !fs.existsSync(path.join(dir, '.git'))) return null
+  const gitdir = resolveGitdir(dir)
+  if (!gitdir) return null
+  try {
+    const matrix = await git.statusMatrix({ fs, dir, gitdir, cache })
+    if (!matrix.every(([, head, workdir, stage]) => head === 1 && workdir === 1 && stage === 1)) return null
+    return await git.resolveRef({ fs, gitdir, ref: 'HEAD' })
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Find the closest directory containing a file that is the root of a repository
+ *
+ * @returns {string|null} Repository root, or null if the file is outside the worktree
+ */
+function findRepositoryRoot (worktree, absolutePath) {
+  const root = path.resolve(worktree)
+  if (!absolutePath.startsWith(root + path.sep)) return null
+  for (let dir = path.dirname(absolutePath); dir !== root; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir
+  }
+  return root
+}
+
+/**
+ * Resolve the git directory of a repository root, following `.git` files (submodules)
+ */
+function resolveGitdir (dir) {
+  const dotGit = path.join(dir, '.git')
+  try {
+    if (fs.statSync(dotGit).isDirectory()) return dotGit
+    const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+?)\s*$/m)
+    return match ? path.resolve(dir, match[1]) : null
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Compute the git blob ID of a file's contents
+ */
+function hashBlob (filePath) {
+  const content = fs.readFileSync(filePath)
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex')
+}
+
+module.exports = {
+  resolveSourceHashMode,
+  hashSources,
+  computeGitHashes,
+  findDirtySources,
+}
@@ -0,0 +1,151 @@
+/**
+ * Dependency ordering for collector cache entries
+ *
+ * `run.dependsOn` forms a directed acyclic graph within a component. Entries
+ * are handed to @antora/collector-extension in topological order so a
+ * dependency (e.g. a STEP export) always runs before the entries that consume
+ * its outputs (e.g. a render).
+ */
+
+/**
+ * Sort entries so every entry comes after the entries it depends on
+ *
+ * Entries without ordering constraints keep their configured order. Unknown
+ * dependency keys are ignored (they are reported by schema validation).
+ *
+ * @param {Array} entries - Collector cache entries ({ run: { key, dependsOn } })
+ * @returns {Array} Entries in dependency order
+ * @throws {Error} If the dependencies contain a cycle, naming the keys involved
+ */
+function sortEntries (entries) {
+  const byKey = new Map(entries.map((entry) => [entry.run.key, entry]))
+  const sorted = []
+  const done = new Set()
+  const visiting = []
+
+  const visit = (entry) => {
+    const key = entry.run.key
+    if (done.has(key)) return
+    const cycleStart = visiting.indexOf(key)
+    if (cycleStart !== -1) {
+      const cycle = [...visiting.slice(cycleStart), key]
+      throw new Error(`Circular dependency between collector-cache entries: ${cycle.join(' -> ')}`)
+    }
+    visiting.push(key)
+    for (const depKey of getDependsOn(entry)) {
+      if (byKey.has(depKey)) visit(byKey.get(depKey))
+    }
+    visiting.pop()
+    done.add(key)
+    sorted.push(entry)
+  }
+
+  entries.forEach(visit)
+  return sorted
+}
+
+/**
+ * Map the entries of a component by key for resolveDependencySources
+ *
+ * @param {Array} entries - Collector cache entries ({ run })
+ * @returns {Map} key -> { key, sources, sourceCommands, dependsOn }
+ */
+function dependencyMap (entries) {
+  const entriesMap = new Map()
+  for (const { run } of entries) {
+    if (run && run.key) {
+      entriesMap.set(run.key, {
+        key: run.key,
+        sources: run.sources || [],
+        sourceCommands: run.sourcecommands || run.sourceCommands || [],
+        dependsOn: run.dependson || run.dependsOn || [],
+      })
+    }
+  }
+  return entriesMap
+}
+
+/**
+ * Resolve sources from dependencies recursively
+ *
+ * @param {object} entriesMap - Map of key -> entry config for looking up dependencies
+ * @param {string[]} dependsOn - Array of dependency keys
+ * @param {Set} visited - Set of visited keys to detect circular dependencies
+ * @param {object} logger - Logger instance
+ * @param {string} componentName - Component name for logging
+ * @param {string} key - Current entry key for logging
+ * @returns {object} Object with sources and sourceCommands arrays and the keys of all (transitive) dependencies
+ */
+function resolveDependencySources (entriesMap, dependsOn, visited, logger, componentName, key) {
+  const allSources = []
+  const allSourceCommands = []
+  const allKeys = []
+
+  if (!dependsOn || !Array.isArray(dependsOn) || dependsOn.length === 0) {
+    return { sources: allSources, sourceCommands: allSourceCommands, keys: allKeys }
+  }
+
+  logger.debug(`Resolving dependencies for ${componentName}/${key}: ${dependsOn.join(', ')}`)
+
+  for (const depKey of dependsOn) {
+    // Check for circular dependency
+    if (visited.has(depKey)) {
+      logger.warn(`Circular dependency detected: ${key} -> ${depKey}`)
+      continue
+    }
+
+    // Find the dependency entry
+    const depEntry = entriesMap.get(depKey)
+    if (!depEntry) {
+      logger.warn(`Dependency not found: ${depKey} (required by ${key})`)
+      continue
+    }
+
+    // Mark as visited
+    const newVisited = new Set(visited)
+    newVisited.add(depKey)
+    allKeys.push(depKey)
+
+    // Add dependency's sources
+    if (depEntry.sources) {
+      allSources.push(...depEntry.sources)
+    }
+
+    // Add dependency's sourceCommands
+    if (depEntry.sourceCommands) {
+      allSourceCommands.push(...depEntry.sourceCommands)
+    }
+
+    // Recursively resolve the dependency's dependencies
+    if (depEntry.dependsOn && depEntry.dependsOn.length > 0) {
+      const recursive = resolveDependencySources(
+        entriesMap,
+        depEntry.dependsOn,
+        newVisited,
+        logger,
+        componentName,
+        depKey
+      )
+      allSources.push(...recursive.sources)
+      allSourceCommands.push(...recursive.sourceCommands)
+      allKeys.push(...recursive.keys.filter((k) => !allKeys.includes(k)))
+    }
+  }
+
+  logger.debug(`Resolved ${allSources.length} sources and ${allSourceCommands.length} sourceCommands from dependencies`)
+
+  return { sources: allSources, sourceCommands: allSourceCommands, keys: allKeys }
+}
+
+/**
+ * Get the direct dependency keys of an entry
+ */
+function getDependsOn (entry) {
+  return entry.run.dependsOn || entry.run.dependson || []
+}
+
+module.exports = {
+  sortEntries,
+  dependencyMap,
+  resolveDependencySources,
+}
@@ -0,0 +1,326 @@
+/**
+ * Source hashing for the collector cache
+ *
+ * Computes the content hash that identifies a collector entry's outputs. The
+ * hash is derived from the contents of the entry's source files and,
+ * optionally, from key inputs declared under `run.keyInputs`:
+ *
+ *   run:
+ *     keyInputs:
+ *       command: true                        # include the run command string
+ *       env: [BLENDER_SAMPLES]               # include these environment variables
+ *       versionCommands: [kicad-cli --version]  # include the stdout of these commands
+ *
+ * Sources may be files, directories or glob patterns. Directories and globs are
+ * expanded with fast-glob, honoring `run.ignore` patterns and the worktree's
+ * .gitignore files (unless `run.gitignore` is false).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { spawn } = require('child_process')
+const { globSync, isDynamicPattern, escapePath } = require('fast-glob')
+const { hashFile } = require('./collector-cache-fs')
+
+const VERSION_COMMAND_TIMEOUT = 30000
+const ALWAYS_IGNORED = ['**/.git', '**/.git/**']
+
+/**
+ * Compute SHA-256 hashes for source files
+ *
+ * Directory and glob sources are expanded into the files they contain, keyed by
+ * their path relative to the worktree. A file, directory or glob that matches
+ * nothing counts as missing.
+ *
+ * @param {string} worktree - Worktree the sources are relative to
+ * @param {string[]} sources - Files, directories or glob patterns
+ * @param {object} logger - Logger instance
+ * @param {string} componentName - Component name for logging
+ * @param {string} key - Entry key for logging
+ * @param {object} [options] - { ignore: glob patterns, gitignore: honor .gitignore files (default true),
+ *   memo: hash memo from loadHashMemo to skip reading unchanged files }
+ * @returns {object|null} Map of relative path -> SHA-256, or null if a source is missing
+ */
+function computeHashes (worktree, sources, logger, componentName, key, options = {}) {
+  const files = expandSources(worktree, sources, logger, componentName, key, options)
+  if (!files) return null
+
+  const hashes = {}
+  for (const file of files) {
+    const filePath = path.join(worktree, file)
+    hashes[file] = options.memo ? options.memo.hash(filePath) : hashFile(filePath)
+  }
+  return hashes
+}
+
+/**
+ * Expand sources into the files they cover
+ *
+ * File sources are returned as written; files matched by directory and glob
+ * sources are returned relative to the worktree, in a stable order.
+ *
+ * @param {string} worktree - Worktree the sources are relative to
+ * @param {string[]} sources - Files, directories or glob patterns
+ * @param {object} logger - Logger instance
+ * @param {string} componentName - Component name for logging
+ * @param {string} key - Entry key for logging
+ * @param {object} [options] - { ignore, gitignore } as for computeHashes
+ * @returns {string[]|null} Files, or null if a source is missing
+ */
+function expandSources (worktree, sources, logger, componentName, key, options = {}) {
+  const files = []
+
+  if (logger && componentName && key) {
+    logger.debug(`Checking source files for ${componentName}/${key} in worktree: ${worktree}`)
+  }
+
+  let ignore
+  for (const source of sources) {
+    if (isPatternSource(worktree, source)) {
+      if (!ignore) ignore = resolveIgnorePatterns(worktree, options)
+      const pattern = isDynamicPattern(source) ? source : `${escapePath(source.replace(/\/+$/, ''))}/**`
+      const matches = globSync(pattern, { cwd: worktree, onlyFiles: true, dot: true, ignore })
+      if (matches.length === 0) {
+        if (logger && componentName && key) logger.debug(`  ✗ No files match: ${source}`)
+        return null
+      }
+      files.push(...matches.sort())
+      if (logger && componentName && key) logger.debug(`  ✓ Expanded: ${source} (${matches.length} file(s))`)
+      continue
+    }
+
+    const filePath = path.join(worktree, source)
+
+    if (!fs.existsSync(filePath)) {
+      if (logger && componentName && key) {
+        logger.debug(`  ✗ Missing: ${source}`)
+        // List what's actually in the worktree
+        try {
+          const worktreeContents = fs.readdirSync(worktree, { withFileTypes: true })
+          const files = worktreeContents.filter((e) => e.isFile()).map((e) => e.name)
+          const dirs = worktreeContents.filter((e) => e.isDirectory()).map((e) => e.name + '/')
+          logger.debug(`  Worktree contains: ${[...dirs, ...files].join(', ') || '(empty)'}`)
+        } catch (err) {
+          logger.debug(`  Failed to list worktree contents: ${err.message}`)
+        }
+      }
+      return null
+    }
+
+    files.push(source)
+
+    if (logger && componentName && key) {
+      logger.debug(`  ✓ Found: ${source}`)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Check whether a source is a glob pattern or a directory (rather than a file)
+ */
+function isPatternSource (worktree, source) {
+  if (isDynamicPattern(source)) return true
+  try {
+    return fs.statSync(path.join(worktree, source)).isDirectory()
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Check whether any of the sources is a glob pattern or a directory
+ */
+function hasPatternSources (worktree, sources) {
+  return sources.some((source) => isPatternSource(worktree, source))
+}
+
+/**
+ * Combine configured ignore patterns with patterns from the worktree's .gitignore files
+ */
+function resolveIgnorePatterns (worktree, { ignore = [], gitignore = true } = {}) {
+  const patterns = [...ALWAYS_IGNORED, ...ignore]
+  if (!gitignore) return patterns
+
+  const gitignoreFiles = globSync('**/.gitignore', { cwd: worktree, dot: true, ignore: ALWAYS_IGNORED })
+  for (const gitignoreFile of gitignoreFiles.sort()) {
+    const base = path.posix.dirname(gitignoreFile)
+    const lines = fs.readFileSync(path.join(worktree, gitignoreFile), 'utf8').split(/\r?\n/)
+    patterns.push(...convertGitignorePatterns(lines, base === '.' ? '' : base))
+  }
+  return patterns
+}
+
+/**
+ * Convert .gitignore lines into fast-glob ignore patterns
+ *
+ * Negated patterns (`!pattern`) are not supported and are skipped, so a file
+ * re-included by a negation is still ignored.
+ *
+ * @param {string[]} lines - Lines of a .gitignore file
+ * @param {string} base - Directory of the .gitignore file relative to the worktree ('' for the root)
+ * @returns {string[]} Glob patterns
+ */
+function convertGitignorePatterns (lines, base) {
+  const patterns = []
+  for (const rawLine of lines) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '')
+    if (!line || line.startsWith('#') || line.startsWith('!')) continue
+
+    const dirOnly = line.endsWith('/')
+    if (dirOnly) line = line.replace(/\/+$/, '')
+    // Patterns containing a slash are anchored to the .gitignore directory
+    const anchored = line.includes('/')
+    line = line.replace(/^\//, '')
+
+    const prefix = base ? `${base}/` : ''
+    const pattern = anchored || line.startsWith('**/') ? `${prefix}${line}` : `${prefix}**/${line}`
+    if (!dirOnly) patterns.push(pattern)
+    patterns.push(`${pattern}/**`)
+  }
+  return patterns
+}
+
+/**
+ * Compute content hash from source file hashes
+ *
+ * When key inputs are given they are appended in canonical form; without them
+ * the hash is identical to the one computed from sources alone, so existing
+ * cache entries stay valid for entries that don't declare key inputs.
+ *
+ * With `includePaths` (used when sources contain directories or globs) each
+ * hash is prefixed with its relative path, so renaming or moving a file within
+ * an expanded source also changes the content hash.
+ *
+ * @param {object} sourceHashes - Map of source path -> SHA-256
+ * @param {object} [keyInputs] - Additional inputs from computeKeyInputs
+ * @param {object} [options] - { includePaths }
+ * @returns {string} Content hash
+ */
+function computeContentHash (sourceHashes, keyInputs, { includePaths = false } = {}) {
+  // Sort keys for consistent ordering
+  const sortedKeys = Object.keys(sourceHashes).sort()
+
+  // Concatenate hashes in sorted order
+  let combined = includePaths
+    ? sortedKeys.map((key) => `${key}\0${sourceHashes[key]}\n`).join('')
+    : sortedKeys.map((key) => sourceHashes[key]).join('')
+
+  if (keyInputs) {
+    combined += '\n' + canonicalJson(keyInputs)
+  }
+
+  // Hash the combined string
+  return crypto.createHash('sha256').update(combined).digest('hex')
+}
+
+/**
+ * Compute the additional key inputs declared by a collector entry
+ *
+ * @param {object} run - The entry's run configuration
+ * @param {string} worktree - Directory to run version commands in
+ * @param {object} logger - Logger instance
+ * @returns {Promise<object|null>} Key inputs ({ command, env, versions }) or null if none are declared
+ */
+async function computeKeyInputs (run, worktree, logger) {
+  const config = getOption(run, 'keyInputs')
+  if (!config) return null
+
+  const inputs = {}
+
+  if (config.command === true) {
+    inputs.command = run.command
+  }
+
+  const envNames = config.env || []
+  if (envNames.length > 0) {
+    inputs.env = {}
+    for (const name of envNames) {
+      inputs.env[name] = process.env[name] !== undefined ? process.env[name] : null
+    }
+  }
+
+  const versionCommands = getOption(config, 'versionCommands') || []
+  if (versionCommands.length > 0) {
+    inputs.versions = {}
+    for (const command of versionCommands) {
+      try {
+        inputs.versions[command] = (await runVersionCommand(command, worktree)).trim()
+      } catch (err) {
+        // Record the failure so that installing the tool later changes the key
+        logger.warn(`Version command "${command}" failed: ${err.message}`)
+        inputs.versions[command] = `error: ${err.message}`
+      }
+    }
+  }
+
+  return Object.keys(inputs).length > 0 ? inputs : null
+}
+
+/**
+ * Run a version command and resolve with its stdout
+ */
+function runVersionCommand (command, cwd) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('sh', ['-c', command], { cwd })
+    let stdout = ''
+    let stderr = ''
+    const timer = setTimeout(() => proc.kill('SIGKILL'), VERSION_COMMAND_TIMEOUT)
+    proc.stdout.on('data', (data) => { stdout += data })
+    proc.stderr.on('data', (data) => { stderr += data })
+    proc.on('close', (code, signal) => {
+      clearTimeout(timer)
+      if (code === 0) {
+        resolve(stdout)
+      } else {
+        reject(new Error(signal ? `killed by ${signal}` : `exited with code ${code}: ${stderr.trim()}`))
+      }
+    })
+    proc.on('error', (err) => {
+      clearTimeout(timer)
+      reject(err)
+    })
+  })
+}
+
+/**
+ * Serialize a value as JSON with sorted object keys
+ */
+function canonicalJson (value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+    return `{${members.join(',')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+/**
+ * Build source expansion options (ignore patterns, .gitignore handling) for an entry
+ */
+function hashOptions (run) {
+  return {
+    ignore: getOption(run, 'ignore') || [],
+    gitignore: getOption(run, 'gitignore') !== false,
+  }
+}
+
+/**
+ * Read a configuration option that Antora may have normalized to lowercase
+ */
+function getOption (obj, name) {
+  if (!obj) return undefined
+  return obj[name] !== undefined ? obj[name] : obj[name.toLowerCase()]
+}
+
+module.exports = {
+  computeHashes,
+  expandSources,
+  computeContentHash,
+  computeKeyInputs,
+  hasPatternSources,
+  hashOptions,
+  getOption,
+}
@@ -0,0 +1,362 @@
+/**
+ * Inspection and maintenance of a collector cache directory
+ *
+ * Backs the `eurorack-build cache` subcommands, working on the layout the
+ * extension writes (and on its dirty worktree namespace, see
+ * collector-cache-dirty):
+ *
+ *   cache status   entries with their cached versions, sizes and ages, and
+ *                  whether their current content hash and that of the last
+ *                  build are cached
+ *   cache prune    garbage collection with retention limits (collector-cache-gc)
+ *   cache clear    remove the cached versions of selected component/keys
+ *   cache verify   check every cached output against its integrity manifest
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { readPointers, directorySize } = require('./collector-cache-fs')
+const { findEntryPattern } = require('./collector-cache-config')
+const { dependencyMap, resolveDependencySources } = require('./collector-cache-graph')
+const { computeContentHash, hasPatternSources, getOption } = require('./collector-cache-hash')
+const { resolveSourceHashMode, hashSources } = require('./collector-cache-git')
+const { dirtyCacheRoot } = require('./collector-cache-dirty')
+const { acquireLock, isLocked } = require('./collector-cache-atomic')
+const { manifestPath, readManifest, verifyOutputs } = require('./collector-cache-manifest')
+const { archivePath, verifyArchive } = require('./collector-cache-storage')
+const { evictObjects } = require('./collector-cache-objects')
+const { outputSize } = require('./collector-cache-stats')
+
+/**
+ * Summarize the entries of a cache directory
+ *
+ * The last build is read from the statistics report the extension writes
+ * (stats.json). Current content hashes (see currentContentHashes) reflect the
+ * sources on disk instead. Entries are marked `cached` when the content hash
+ * of the last build, or the current one, has cached outputs.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {object} [options] - { reportDir, current, now } - reportDir holds the reports of the last build,
+ *   current is the result of currentContentHashes
+ * @returns {object} { entries, totals, lastBuild }
+ */
+function cacheStatus (cacheRoot, { reportDir, current = new Map(), now = Date.now() } = {}) {
+  const lastBuild = reportDir ? readLastBuild(path.join(reportDir, 'stats.json')) : null
+  const groups = new Map()
+
+  for (const { root, pointer } of listPointers(cacheRoot)) {
+    const id = `${pointer.component}/${pointer.key}`
+    if (!groups.has(id)) groups.set(id, { component: pointer.component, key: pointer.key, versions: [] })
+    const outputPath = path.join(root, 'outputs', pointer.outputDir, pointer.data.scanDir)
+    const storage = pointer.data.storage || 'directory'
+    const stored = fs.existsSync(storage === 'archive' ? archivePath(outputPath) : outputPath)
+    groups.get(id).versions.push({
+      contentHash: pointer.outputDir,
+      timestamp: new Date(pointer.time).toISOString(),
+      age: now - pointer.time,
+      size: stored ? outputSize(outputPath) : 0,
+      storage,
+      stored,
+      ...(pointer.data.dirty && { dirty: true }),
+    })
+  }
+
+  // Entries of the last build and of local components that have nothing cached (e.g. forced, failed or new)
+  const ids = [
+    ...(lastBuild ? lastBuild.entries.map((built) => `${built.component}/${built.key}`) : []),
+    ...current.keys(),
+  ]
+  for (const id of ids) {
+    if (groups.has(id)) continue
+    const [component, key] = id.split('/')
+    groups.set(id, { component, key, versions: [] })
+  }
+
+  const entries = [...groups.values()]
+    .map((entry) => {
+      entry.versions.sort((a, b) => a.age - b.age)
+      const isCached = (contentHash) => entry.versions.some((version) => version.stored &&
+        version.contentHash === contentHash)
+      const built = lastBuild && lastBuild.entries.find((e) => e.component === entry.component && e.key === entry.key)
+      const hash = current.get(`${entry.component}/${entry.key}`)
+      return {
+        ...entry,
+        size: entry.versions.reduce((sum, version) => sum + version.size, 0),
+        ...(hash && {
+          current: hash.contentHash ? { contentHash: hash.contentHash, cached: isCached(hash.contentHash) } : hash,
+        }),
+        ...(built && {
+          lastBuild: { contentHash: built.contentHash, status: built.status, cached: isCached(built.contentHash) },
+        }),
+      }
+    })
+  entries.sort((a, b) => `${a.component}/${a.key}`.localeCompare(`${b.component}/${b.key}`))
+
+  const dirtyRoot = dirtyCacheRoot(cacheRoot)
+  const storedSize = (root) => fs.existsSync(path.join(root, 'outputs')) ? directorySize(path.join(root, 'outputs')) : 0
+  return {
+    entries,
+    totals: {
+      entries: entries.length,
+      versions: entries.reduce((sum, entry) => sum + entry.versions.length, 0),
+      bytes: storedSize(cacheRoot) + storedSize(dirtyRoot),
+      dirtyBytes: storedSize(dirtyRoot),
+      quarantined: listNames(path.join(cacheRoot, 'quarantine')).length +
+        listNames(path.join(dirtyRoot, 'quarantine')).length,
+    },
+    lastBuild: lastBuild && { generated: lastBuild.generated },
+  }
+}
+
+/**
+ * Compute the content hashes of the entries of local components from the sources on disk
+ *
+ * Sources, including those of dependencies, are hashed as the extension does.
+ * Entries with sourceCommands are left out: their sources are only known by
+ * running the commands. Key inputs (command, environment, tool versions)
+ * depend on where the build runs, so those recorded with the latest cached
+ * version of an entry are used rather than computed on this host.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {object[]} components - Local components ({ name, worktree, config }, see readPlaybookConfig)
+ * @param {object} options - { sourceHash, logger } - sourceHash is the extension's source hash option
+ * @returns {Promise<Map>} component/key -> { contentHash }, or { reason } if it can't be computed
+ */
+async function currentContentHashes (cacheRoot, components, { sourceHash, logger }) {
+  const mode = resolveSourceHashMode(sourceHash)
+  const latest = new Map()
+  for (const { pointer } of listPointers(cacheRoot)) {
+    const id = `${pointer.component}/${pointer.key}`
+    if (!latest.has(id) || latest.get(id).time < pointer.time) latest.set(id, pointer)
+  }
+
+  const hashes = new Map()
+  for (const { name, worktree, config } of components) {
+    const entries = (Array.isArray(config) ? config : config.entries || [])
+      .filter((entry) => entry && entry.run && entry.run.key)
+    const entriesMap = dependencyMap(entries)
+    for (const { run } of entries) {
+      const id = `${name}/${run.key}`
+      const deps = resolveDependencySources(entriesMap, run.dependson || run.dependsOn || [], new Set([run.key]),
+        logger, name, run.key)
+      if ((run.sourcecommands || run.sourceCommands || []).length + deps.sourceCommands.length > 0) {
+        hashes.set(id, { reason: 'sourceCommands' })
+        continue
+      }
+
+      const sources = [...(run.sources || []), ...deps.sources]
+      const sourceHashes = await hashSources(mode, worktree, undefined, sources, logger, name, run)
+      const pointer = latest.get(id)
+      if (!sourceHashes) {
+        hashes.set(id, { reason: 'sources missing' })
+      } else if (getOption(run, 'keyInputs') && !(pointer && pointer.data.inputs)) {
+        hashes.set(id, { reason: 'key inputs unknown' })
+      } else {
+        const keyInputs = getOption(run, 'keyInputs') ? pointer.data.inputs : null
+        const includePaths = hasPatternSources(worktree, sources)
+        hashes.set(id, { contentHash: computeContentHash(sourceHashes, keyInputs, { includePaths }) })
+      }
+    }
+  }
+  return hashes
+}
+
+/**
+ * Remove the cached versions of selected component/keys
+ *
+ * Pointers matching the patterns are removed from the cache and its dirty
+ * namespace, then outputs that no pointer refers to anymore. Outputs a build
+ * is writing (locked) are left for garbage collection.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {string[]} patterns - component/key patterns (see parseEntryPatterns)
+ * @param {object} [options] - { logger, dryRun }
+ * @returns {object} { pointersRemoved, outputsRemoved, bytesFreed }
+ */
+function clearEntries (cacheRoot, patterns, { logger, dryRun = false } = {}) {
+  const result = { pointersRemoved: 0, outputsRemoved: 0, bytesFreed: 0 }
+
+  for (const root of [cacheRoot, dirtyCacheRoot(cacheRoot)]) {
+    const pointers = readPointers(path.join(root, 'hashes'))
+    const cleared = pointers.filter((pointer) => findEntryPattern(patterns, pointer.component, pointer.key))
+    const referenced = new Set(pointers.filter((pointer) => !cleared.includes(pointer)).map((p) => p.outputDir))
+
+    for (const pointer of cleared) {
+      if (logger) logger.debug(`Removing pointer ${pointer.component}/${pointer.key}/${pointer.name}`)
+      if (!dryRun) fs.rmSync(pointer.path, { force: true })
+      result.pointersRemoved++
+    }
+
+    for (const contentHash of new Set(cleared.map((pointer) => pointer.outputDir))) {
+      const outputPath = path.join(root, 'outputs', contentHash)
+      if (referenced.has(contentHash) || !fs.existsSync(outputPath)) continue
+      if (isLocked(path.join(root, 'locks', `${contentHash}.lock`))) {
+        if (logger) logger.warn(`Keeping outputs/${contentHash}: a build is writing them`)
+        continue
+      }
+      const size = directorySize(outputPath)
+      if (logger) logger.debug(`Removing outputs/${contentHash}`)
+      if (!dryRun) fs.rmSync(outputPath, { recursive: true, force: true })
+      result.outputsRemoved++
+      result.bytesFreed += size
+    }
+  }
+
+  return result
+}
+
+/**
+ * Verify cached outputs against their integrity manifests
+ *
+ * Every cached output referenced by a pointer is checked in full: directories
+ * file by file, archives by their index. Outputs cached without a manifest
+ * can't be verified and are reported as such. With `repair`, corrupt outputs
+ * are quarantined and pointers to corrupt or missing outputs removed, so the
+ * next build reruns their collectors.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {object} [options] - { patterns, repair, logger } - patterns select entries (all if empty)
+ * @returns {Promise<object[]>} One result per output: { contentHash, outputDir, entries, status, reason },
+ *   status being ok, unverified, corrupt or missing
+ */
+async function verifyCache (cacheRoot, { patterns = [], repair = false, logger } = {}) {
+  const outputs = new Map()
+  for (const { root, pointer } of listPointers(cacheRoot)) {
+    if (patterns.length > 0 && !findEntryPattern(patterns, pointer.component, pointer.key)) continue
+    const id = `${root}\0${pointer.outputDir}\0${pointer.data.scanDir}`
+    if (!outputs.has(id)) {
+      outputs.set(id, {
+        root,
+        contentHash: pointer.outputDir,
+        outputDir: pointer.data.scanDir,
+        storage: pointer.data.storage || 'directory',
+        pointers: [],
+      })
+    }
+    outputs.get(id).pointers.push(pointer)
+  }
+
+  const results = []
+  for (const output of outputs.values()) {
+    const { root, contentHash, outputDir, storage, pointers } = output
+    const outputPath = path.join(root, 'outputs', contentHash, outputDir)
+    const storedPath = storage === 'archive' ? archivePath(outputPath) : outputPath
+    const result = {
+      contentHash,
+      outputDir,
+      entries: [...new Set(pointers.map((pointer) => `${pointer.component}/${pointer.key}`))],
+      ...(root !== cacheRoot && { dirty: true }),
+    }
+
+    if (!fs.existsSync(storedPath)) {
+      result.status = 'missing'
+      result.reason = 'cached outputs missing'
+    } else {
+      let manifest
+      try {
+        manifest = readManifest(outputPath)
+      } catch (err) {
+        manifest = null
+        result.status = 'corrupt'
+        result.reason = `unreadable manifest: ${err.message}`
+      }
+      if (manifest) {
+        const verification = storage === 'archive'
+          ? await verifyArchive(storedPath, manifest)
+          : verifyOutputs(outputPath, 'full')
+        result.status = verification.ok ? 'ok' : 'corrupt'
+        if (!verification.ok) result.reason = verification.reason
+      } else if (!result.status) {
+        result.status = 'unverified'
+        result.reason = 'no manifest'
+      }
+    }
+    if (logger) logger.debug(`${result.entries.join(', ')} (${contentHash.substring(0, 12)}...): ${result.status}`)
+
+    if (repair && (result.status === 'corrupt' || result.status === 'missing')) {
+      if (result.status === 'corrupt') await quarantineOutputs(root, contentHash, outputDir, storage, logger)
+      pointers.forEach((pointer) => fs.rmSync(pointer.path, { force: true }))
+      result.repaired = true
+    }
+    results.push(result)
+  }
+
+  return results
+}
+
+/**
+ * Move corrupt outputs (and their manifest) to quarantine/<contentHash>-<time>/
+ *
+ * Quarantined outputs are kept for inspection and removed by garbage collection.
+ */
+async function quarantineOutputs (cacheRoot, contentHash, outputDir, storage, logger) {
+  const outputPath = path.join(cacheRoot, 'outputs', contentHash, outputDir)
+  const quarantinePath = path.join(cacheRoot, 'quarantine', `${contentHash}-${Date.now()}`, outputDir)
+  const source = storage === 'archive' ? archivePath(outputPath) : outputPath
+  const destination = storage === 'archive' ? archivePath(quarantinePath) : quarantinePath
+  const release = await acquireLock(path.join(cacheRoot, 'locks', `${contentHash}.lock`), { logger })
+  try {
+    fs.mkdirSync(path.dirname(destination), { recursive: true })
+    fs.renameSync(source, destination)
+    if (fs.existsSync(manifestPath(outputPath))) {
+      fs.renameSync(manifestPath(outputPath), manifestPath(quarantinePath))
+      // Deduplicated files are links to stored objects, which are corrupt as well
+      if (storage !== 'archive') {
+        const evicted = evictObjects(quarantinePath, readManifest(quarantinePath), cacheRoot)
+        if (evicted > 0 && logger) logger.debug(`Removed ${evicted} corrupt stored object(s)`)
+      }
+    }
+    if (logger) logger.warn(`Quarantined corrupt outputs: ${destination}`)
+  } catch (error) {
+    if (logger) logger.warn(`Failed to quarantine ${source}: ${error.message}`)
+    fs.rmSync(source, { recursive: true, force: true })
+  } finally {
+    release()
+  }
+}
+
+/**
+ * Readable pointers of a cache directory and its dirty namespace
+ */
+function listPointers (cacheRoot) {
+  const pointers = []
+  for (const root of [cacheRoot, dirtyCacheRoot(cacheRoot)]) {
+    for (const pointer of readPointers(path.join(root, 'hashes'))) {
+      if (pointer.data && pointer.data.scanDir) pointers.push({ root, pointer })
+    }
+  }
+  return pointers
+}
+
+function readLastBuild (statsPath) {
+  try {
+    const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'))
+    return Array.isArray(stats.entries) ? stats : null
+  } catch (err) {
+    return null
+  }
+}
+
+function listNames (dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : []
+}
+
+/**
+ * Format an age in milliseconds as the largest two units (e.g. 3d 4h)
+ */
+function formatAge (ms) {
+  const minutes = Math.floor(ms / 60000)
+  if (minutes < 60) return `${minutes}m`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}h ${minutes % 60}m`
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`
+}
+
+module.exports = {
+  cacheStatus,
+  currentContentHashes,
+  clearEntries,
+  verifyCache,
+  quarantineOutputs,
+  formatAge,
+}
@@ -0,0 +1,163 @@
+/**
+ * Integrity manifests for cached collector outputs
+ *
+ * Each cached output directory (outputs/<contentHash>/<outputDir>) gets a
+ * manifest with the size and SHA-256 of every file, written next to it as
+ * `.<dirname>.manifest.json` when the outputs are cached. On a cache HIT the
+ * outputs are verified against the manifest so a truncated render or a
+ * partially copied iBOM is detected instead of being served forever. Outputs
+ * stored as an archive keep the same manifest next to the archive.
+ *
+ * Verification modes:
+ *   - full:   check the size and hash of every file
+ *   - sample: check the size of every file and the hash of a random sample
+ *   - size:   check the size of every file
+ *   - off:    skip verification
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { listFiles, posixPath, hashFile } = require('./collector-cache-fs')
+const { writeFileAtomic } = require('./collector-cache-atomic')
+
+const MANIFEST_VERSION = 1
+const VERIFY_MODES = ['full', 'sample', 'size', 'off']
+const DEFAULT_VERIFY_MODE = 'sample'
+const DEFAULT_SAMPLE_SIZE = 5
+
+/**
+ * Path of the manifest for an output directory
+ */
+function manifestPath (outputPath) {
+  return path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.manifest.json`)
+}
+
+/**
+ * Build a manifest for all files below an output directory
+ *
+ * @param {string} outputPath - Output directory
+ * @returns {object} Manifest with version, created and files (relative path -> { size, sha256 })
+ */
+function createManifest (outputPath) {
+  const files = {}
+  for (const relative of listFiles(outputPath).sort()) {
+    const filePath = path.join(outputPath, relative)
+    files[posixPath(relative)] = { size: fs.statSync(filePath).size, sha256: hashFile(filePath) }
+  }
+  return buildManifest(files)
+}
+
+/**
+ * Build a manifest from already computed file sizes and hashes (e.g. an archive index)
+ *
+ * @param {object} files - Relative posix path -> { size, sha256 }
+ * @returns {object} Manifest with version, created and files
+ */
+function buildManifest (files) {
+  return { version: MANIFEST_VERSION, created: new Date().toISOString(), files }
+}
+
+/**
+ * Write the manifest for an output directory
+ *
+ * Written atomically, so a build interrupted while caching leaves no truncated
+ * manifest that would fail the verification of intact outputs.
+ */
+function writeManifest (outputPath, manifest = createManifest(outputPath)) {
+  writeFileAtomic(manifestPath(outputPath), JSON.stringify(manifest, null, 2))
+  return manifest
+}
+
+/**
+ * Read the manifest for an output directory
+ *
+ * @returns {object|null} Manifest, or null if there is none (outputs cached before manifests existed)
+ */
+function readManifest (outputPath) {
+  const file = manifestPath(outputPath)
+  if (!fs.existsSync(file)) return null
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/**
+ * Resolve the verification mode from extension config and environment
+ *
+ * COLLECTOR_CACHE_VERIFY takes precedence over the `verify` extension option.
+ */
+function resolveVerifyMode (configValue, env = process.env) {
+  const mode = env.COLLECTOR_CACHE_VERIFY || configValue || DEFAULT_VERIFY_MODE
+  if (!VERIFY_MODES.includes(mode)) {
+    throw new Error(`Invalid verify mode: ${mode} (expected one of ${VERIFY_MODES.join(', ')})`)
+  }
+  return mode
+}
+
+/**
+ * Verify an output directory against its manifest
+ *
+ * @param {string} outputPath - Output directory
+ * @param {string} mode - Verification mode (full, sample, size or off)
+ * @param {object} [options] - { sampleSize }
+ * @returns {object} { ok, reason, manifest } - ok is true when no manifest exists
+ */
+function verifyOutputs (outputPath, mode, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+  if (mode === 'off') return { ok: true, reason: 'verification disabled' }
+
+  let manifest
+  try {
+    manifest = readManifest(outputPath)
+  } catch (err) {
+    return { ok: false, reason: `unreadable manifest: ${err.message}` }
+  }
+  if (!manifest) return { ok: true, reason: 'no manifest' }
+
+  const entries = Object.entries(manifest.files)
+  for (const [file, { size }] of entries) {
+    let stat
+    try {
+      stat = fs.statSync(path.join(outputPath, file))
+    } catch (err) {
+      return { ok: false, reason: `missing file ${file}`, manifest }
+    }
+    if (stat.size !== size) {
+      return { ok: false, reason: `size mismatch for ${file} (expected ${size}, found ${stat.size})`, manifest }
+    }
+  }
+
+  if (mode === 'size') return { ok: true, manifest }
+
+  const toHash = mode === 'full' ? entries : sample(entries, sampleSize)
+  for (const [file, { sha256 }] of toHash) {
+    if (hashFile(path.join(outputPath, file)) !== sha256) {
+      return { ok: false, reason: `checksum mismatch for ${file}`, manifest }
+    }
+  }
+
+  return { ok: true, manifest }
+}
+
+/**
+ * Pick up to n random elements of an array
+ */
+function sample (items, n) {
+  if (items.length <= n) return items
+  const pool = [...items]
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1)
+    const swap = pool[i]
+    pool[i] = pool[j]
+    pool[j] = swap
+  }
+  return pool.slice(0, n)
+}
+
+module.exports = {
+  manifestPath,
+  createManifest,
+  buildManifest,
+  writeManifest,
+  readManifest,
+  resolveVerifyMode,
+  verifyOutputs,
+}
@@ -0,0 +1,113 @@
+/**
+ * Persistent memo of source file hashes
+ *
+ * Remembers the SHA-256 of each source file together with its size, mtime and
+ * inode in `memo/sha256.json` below the cache directory, so warm builds only
+ * read files whose stat data changed.
+ *
+ * A memo entry is only trusted when size, mtime and inode all match. To avoid
+ * the "racily clean" problem (a file modified again within the filesystem's
+ * mtime granularity right after it was hashed), files modified shortly before
+ * they were hashed are not memoized. Entries not used for 30 days are dropped.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { writeFileAtomic } = require('./collector-cache-atomic')
+const { hashFile } = require('./collector-cache-fs')
+
+const MEMO_VERSION = 1
+const RACY_WINDOW = 2000
+const UNUSED_EXPIRY = 30 * 24 * 60 * 60 * 1000
+const USED_REFRESH = 24 * 60 * 60 * 1000
+
+/**
+ * Resolve whether the hash memo is enabled
+ *
+ * COLLECTOR_CACHE_MEMO takes precedence over the `memo` extension option.
+ */
+function resolveMemoEnabled (configValue, env = process.env) {
+  const value = env.COLLECTOR_CACHE_MEMO !== undefined ? env.COLLECTOR_CACHE_MEMO : configValue
+  return value !== false && value !== 'false'
+}
+
+/**
+ * Path of the memo file in a cache directory
+ */
+function memoPath (cacheRoot) {
+  return path.join(cacheRoot, 'memo', 'sha256.json')
+}
+
+/**
+ * Load the hash memo of a cache directory
+ *
+ * An unreadable or outdated memo is discarded.
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {object} [logger] - Logger instance
+ * @returns {object} Memo with hash(filePath) and save()
+ */
+function loadHashMemo (cacheRoot, logger) {
+  const file = memoPath(cacheRoot)
+  let entries = {}
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (data.version === MEMO_VERSION && data.entries) entries = data.entries
+  } catch (err) {
+    if (err.code !== 'ENOENT' && logger) logger.debug(`Discarding unreadable hash memo ${file}: ${err.message}`)
+  }
+
+  const stats = { hits: 0, misses: 0 }
+  let dirty = false
+
+  return {
+    stats,
+
+    /**
+     * Get the SHA-256 of a file, reading it only if its stat data changed
+     */
+    hash (filePath) {
+      const absolutePath = path.resolve(filePath)
+      const stat = fs.statSync(absolutePath)
+      const entry = entries[absolutePath]
+      const now = Date.now()
+      if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs && entry.ino === stat.ino) {
+        stats.hits++
+        if (now - entry.used > USED_REFRESH) {
+          entry.used = now
+          dirty = true
+        }
+        return entry.sha256
+      }
+
+      stats.misses++
+      const sha256 = hashFile(absolutePath)
+      if (now - stat.mtimeMs > RACY_WINDOW) {
+        entries[absolutePath] = { size: stat.size, mtimeMs: stat.mtimeMs, ino: stat.ino, sha256, used: now }
+      } else {
+        delete entries[absolutePath]
+      }
+      dirty = true
+      return sha256
+    },
+
+    /**
+     * Write the memo back if it changed, dropping entries unused for 30 days
+     */
+    save () {
+      if (!dirty) return
+      const now = Date.now()
+      for (const [filePath, entry] of Object.entries(entries)) {
+        if (now - entry.used > UNUSED_EXPIRY) delete entries[filePath]
+      }
+      writeFileAtomic(file, JSON.stringify({ version: MEMO_VERSION, entries }))
+      dirty = false
+    },
+  }
+}
+
+module.exports = {
+  resolveMemoEnabled,
+  memoPath,
+  loadHashMemo,
+}
@@ -0,0 +1,170 @@
+/**
+ * File-level content store for cached collector outputs
+ *
+ * When only one source of a large entry changes, most files of the new output
+ * directory are identical to files cached for the previous content hash. With
+ * deduplication enabled every cached file is also stored once by its own
+ * SHA-256 in `objects/<aa>/<sha256>` below the cache directory, and output
+ * directories are made of hardlinks to those objects. Where the filesystem
+ * doesn't support hardlinks (or a file has too many links) a reflink (copy on
+ * write clone) is tried, and a plain copy is kept otherwise.
+ *
+ * A hardlinked object is still referenced as long as its link count is above
+ * one; garbage collection removes objects nothing links to anymore.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { listFiles, posixPath, hashFile } = require('./collector-cache-fs')
+
+// Errors meaning the filesystem can't link this file (fall back to a reflink or copy)
+const LINK_UNSUPPORTED = ['EXDEV', 'EPERM', 'EMLINK', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS']
+
+/**
+ * Resolve whether output files are deduplicated
+ *
+ * COLLECTOR_CACHE_DEDUPE takes precedence over the `dedupe` extension option.
+ */
+function resolveDedupeEnabled (configValue, env = process.env) {
+  const value = env.COLLECTOR_CACHE_DEDUPE !== undefined ? env.COLLECTOR_CACHE_DEDUPE : configValue
+  return value === true || value === 'true'
+}
+
+/**
+ * Directory of the content store in a cache directory
+ */
+function objectsPath (cacheRoot) {
+  return path.join(cacheRoot, 'objects')
+}
+
+/**
+ * Replace the files below a directory with links to the content store
+ *
+ * Files whose content is already stored are replaced by a link to the stored
+ * object; other files become the stored object themselves.
+ *
+ * @param {string} dir - Directory to deduplicate (e.g. a staging directory)
+ * @param {string} cacheRoot - Collector cache directory
+ * @returns {object} { files, linked, cloned, bytesSaved } where files maps relative
+ *   posix paths to { size, sha256 } (usable as a manifest)
+ */
+function dedupeDirectory (dir, cacheRoot) {
+  const result = { files: {}, linked: 0, cloned: 0, bytesSaved: 0 }
+  for (const relative of listFiles(dir).sort()) {
+    const filePath = path.join(dir, relative)
+    const { size } = fs.statSync(filePath)
+    const sha256 = hashFile(filePath)
+    result.files[posixPath(relative)] = { size, sha256 }
+
+    const objectPath = path.join(objectsPath(cacheRoot), sha256.slice(0, 2), sha256)
+    const method = shareObject(filePath, objectPath, size)
+    if (method === 'link') result.linked++
+    if (method === 'clone') result.cloned++
+    if (method) result.bytesSaved += size
+  }
+  return result
+}
+
+/**
+ * Make a file share its content with the stored object
+ *
+ * @returns {string|undefined} 'link' or 'clone' if the file now shares an existing object's
+ *   storage, undefined if it was stored as a new object or kept as a copy
+ */
+function shareObject (filePath, objectPath, size) {
+  const existing = statObject(objectPath)
+  // A stored object of the wrong size is corrupt: replace it with this file
+  if (existing && existing.size !== size) fs.rmSync(objectPath, { force: true })
+
+  if (existing && existing.size === size) {
+    const tempPath = `${filePath}.dedupe-${crypto.randomBytes(4).toString('hex')}`
+    try {
+      fs.linkSync(objectPath, tempPath)
+      fs.renameSync(tempPath, filePath)
+      return 'link'
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true })
+      // The object was collected in the meantime: store this file instead
+      if (err.code === 'ENOENT') return storeObject(filePath, objectPath)
+      if (!LINK_UNSUPPORTED.includes(err.code)) throw err
+    }
+    try {
+      fs.copyFileSync(objectPath, tempPath, fs.constants.COPYFILE_FICLONE_FORCE)
+      fs.renameSync(tempPath, filePath)
+      // Cloned objects aren't linked, so mark them as used for garbage collection
+      const now = new Date()
+      fs.utimesSync(objectPath, now, now)
+      return 'clone'
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true })
+      return undefined
+    }
+  }
+
+  return storeObject(filePath, objectPath)
+}
+
+/**
+ * Add a file to the content store by linking (or cloning) it
+ */
+function storeObject (filePath, objectPath) {
+  fs.mkdirSync(path.dirname(objectPath), { recursive: true })
+  try {
+    fs.linkSync(filePath, objectPath)
+  } catch (err) {
+    if (err.code === 'EEXIST') return undefined
+    if (!LINK_UNSUPPORTED.includes(err.code)) throw err
+    const tempPath = `${objectPath}.tmp-${crypto.randomBytes(4).toString('hex')}`
+    try {
+      fs.copyFileSync(filePath, tempPath, fs.constants.COPYFILE_FICLONE_FORCE)
+      fs.renameSync(tempPath, objectPath)
+    } catch (cloneErr) {
+      // Neither links nor reflinks: keeping a second copy would only waste space
+      fs.rmSync(tempPath, { force: true })
+    }
+  }
+  return undefined
+}
+
+/**
+ * Remove corrupt stored objects that files of a corrupt output directory link to
+ *
+ * A corrupt hardlinked file means its object is corrupt too; dropping the object
+ * keeps the corruption from being linked into new outputs. Objects of intact
+ * files are kept.
+ *
+ * @param {string} dir - Output directory (e.g. after it was quarantined)
+ * @param {object} manifest - The directory's manifest (expected hashes)
+ * @param {string} cacheRoot - Collector cache directory
+ * @returns {number} Number of objects removed
+ */
+function evictObjects (dir, manifest, cacheRoot) {
+  let removed = 0
+  for (const [file, { size, sha256 }] of Object.entries(manifest.files)) {
+    const objectPath = path.join(objectsPath(cacheRoot), sha256.slice(0, 2), sha256)
+    const object = statObject(objectPath)
+    const linked = object && statObject(path.join(dir, file))
+    if (linked && linked.ino === object.ino && linked.dev === object.dev &&
+        (object.size !== size || hashFile(objectPath) !== sha256)) {
+      fs.rmSync(objectPath, { force: true })
+      removed++
+    }
+  }
+  return removed
+}
+
+function statObject (objectPath) {
+  try {
+    return fs.statSync(objectPath)
+  } catch (err) {
+    return undefined
+  }
+}
+
+module.exports = {
+  resolveDedupeEnabled,
+  objectsPath,
+  dedupeDirectory,
+  evictObjects,
+}
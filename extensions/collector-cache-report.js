@@ -0,0 +1,140 @@
+/**
+ * Reports for the collector cache
+ *
+ * Explains cache misses by diffing the freshly computed source hashes against
+ * the most recent pointer for the same component/key, and writes
+ * machine-readable JSON reports so CI can tell why a collector reran.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const MAX_LOGGED_FILES = 20
+
+/**
+ * Find the most recently written pointer for a component/key
+ *
+ * @param {string} keyDir - Directory holding the key's pointer files (hashes/<component>/<key>)
+ * @returns {object|null} { contentHash, pointer } or null if there is no readable pointer
+ */
+function findLatestPointer (keyDir) {
+  if (!fs.existsSync(keyDir)) return null
+
+  let latest = null
+  for (const name of fs.readdirSync(keyDir)) {
+    if (!name.endsWith('.json')) continue
+    try {
+      const pointer = JSON.parse(fs.readFileSync(path.join(keyDir, name), 'utf8'))
+      const time = Date.parse(pointer.timestamp) || 0
+      if (!latest || time > latest.time) {
+        latest = { contentHash: path.basename(name, '.json'), pointer, time }
+      }
+    } catch (err) {
+      // Unreadable pointers can't explain anything; garbage collection removes them
+    }
+  }
+  return latest && { contentHash: latest.contentHash, pointer: latest.pointer }
+}
+
+/**
+ * Diff two source hash maps
+ *
+ * @returns {object} { added, removed, changed } arrays of relative paths
+ */
+function diffSources (previous = {}, current = {}) {
+  const added = Object.keys(current).filter((file) => !(file in previous)).sort()
+  const removed = Object.keys(previous).filter((file) => !(file in current)).sort()
+  const changed = Object.keys(current).filter((file) => file in previous && previous[file] !== current[file]).sort()
+  return { added, removed, changed }
+}
+
+/**
+ * Diff the key inputs recorded in two pointers
+ *
+ * @returns {string[]} Labels of inputs that differ, e.g. 'command' or 'env.BLENDER_SAMPLES'
+ */
+function diffKeyInputs (previous = {}, current = {}) {
+  const changed = []
+  if (previous.command !== current.command) changed.push('command')
+  for (const group of ['env', 'versions']) {
+    const prev = previous[group] || {}
+    const curr = current[group] || {}
+    for (const name of new Set([...Object.keys(prev), ...Object.keys(curr)])) {
+      if (prev[name] !== curr[name]) changed.push(`${group}.${name}`)
+    }
+  }
+  return changed
+}
+
+/**
+ * Explain a cache miss by comparing against the most recent pointer for the same key
+ *
+ * Entries with uncommitted sources are looked up in the dirty worktree cache
+ * before the clean one; their misses are explained the same way, so the first
+ * of the key directories that holds a pointer is used.
+ *
+ * @param {string[]} keyDirs - Directories holding the key's pointer files, in lookup order
+ * @param {object} sourceHashes - Freshly computed source hashes
+ * @param {object|null} keyInputs - Freshly computed key inputs
+ * @returns {object|null} Explanation, or null if the key was never cached
+ */
+function explainMiss (keyDirs, sourceHashes, keyInputs) {
+  const latest = keyDirs.map(findLatestPointer).find(Boolean)
+  if (!latest) return null
+
+  const { added, removed, changed } = diffSources(latest.pointer.sources, sourceHashes)
+  return {
+    previous: {
+      contentHash: latest.contentHash,
+      timestamp: latest.pointer.timestamp,
+      ...(latest.pointer.dirty && { dirty: true }),
+    },
+    added,
+    removed,
+    changed,
+    inputsChanged: diffKeyInputs(latest.pointer.inputs, keyInputs || {}),
+  }
+}
+
+/**
+ * Log an explanation produced by explainMiss
+ */
+function logExplanation (logger, label, explanation) {
+  if (!explanation) {
+    logger.info(`  ${label} has never been cached before`)
+    return
+  }
+
+  const { previous, added, removed, changed, inputsChanged } = explanation
+  logger.info(`  Compared to ${previous.contentHash.substring(0, 12)}... ` +
+    `(${previous.dirty ? 'dirty worktree, ' : ''}${previous.timestamp}): ` +
+    `${changed.length} changed, ${added.length} added, ${removed.length} removed source(s)` +
+    (inputsChanged.length > 0 ? `, key inputs changed: ${inputsChanged.join(', ')}` : ''))
+
+  const lines = [
+    ...changed.map((file) => `~ ${file}`),
+    ...added.map((file) => `+ ${file}`),
+    ...removed.map((file) => `- ${file}`),
+  ]
+  lines.slice(0, MAX_LOGGED_FILES).forEach((line) => logger.info(`    ${line}`))
+  if (lines.length > MAX_LOGGED_FILES) {
+    logger.info(`    ... and ${lines.length - MAX_LOGGED_FILES} more (see report)`)
+  }
+}
+
+/**
+ * Write a JSON report, creating the report directory if needed
+ */
+function writeJsonReport (reportPath, data) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+  fs.writeFileSync(reportPath, JSON.stringify(data, null, 2) + '\n', 'utf8')
+}
+
+module.exports = {
+  findLatestPointer,
+  diffSources,
+  diffKeyInputs,
+  explainMiss,
+  logExplanation,
+  writeJsonReport,
+}
@@ -0,0 +1,310 @@
+/**
+ * Schema validation for `ext.collectorCache` in antora.yml
+ *
+ * The configuration is validated for every component before any git work, so
+ * a typo such as `dependOn` is reported with the component, the entry index and
+ * a suggestion instead of being silently ignored.
+ *
+ * Option names may be written in camelCase or all lowercase (Antora may
+ * normalize keys to lowercase). Missing or mistyped required options are errors
+ * and the entry is skipped; unknown options are warnings, or errors in strict
+ * mode.
+ */
+
+const { FAILURE_POLICIES } = require('./collector-cache-source-commands')
+const { STORAGE_FORMATS } = require('./collector-cache-storage')
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } }
+
+const SOURCE_COMMAND_SCHEMA = {
+  type: ['string', 'object'],
+  properties: {
+    command: { type: 'string', required: true },
+    timeout: { type: ['string', 'number'] },
+    onFailure: { type: 'string', enum: FAILURE_POLICIES },
+    maxOutput: { type: ['string', 'number'] },
+    inputs: STRING_LIST,
+  },
+}
+
+const KEY_INPUTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    command: { type: 'boolean' },
+    env: STRING_LIST,
+    versionCommands: STRING_LIST,
+  },
+}
+
+const RUN_SCHEMA = {
+  type: 'object',
+  properties: {
+    key: { type: 'string', required: true },
+    sources: { ...STRING_LIST, required: true },
+    cacheDir: { type: 'string', required: true },
+    sourceCommands: { type: 'array', items: SOURCE_COMMAND_SCHEMA },
+    dependsOn: STRING_LIST,
+    restoreToWorktree: STRING_LIST,
+    ignore: STRING_LIST,
+    gitignore: { type: 'boolean' },
+    keyInputs: KEY_INPUTS_SCHEMA,
+    storage: { type: 'string', enum: STORAGE_FORMATS },
+    // Passed through to @antora/collector-extension
+    command: { type: 'string' },
+    dir: { type: 'string' },
+    env: { type: ['object', 'array'] },
+    local: { type: 'boolean' },
+    shell: { type: ['boolean', 'string'] },
+  },
+}
+
+const SCAN_PROPERTIES = {
+  dir: { type: 'string', required: true },
+  files: { type: ['string', 'array'], items: { type: 'string' } },
+  base: { type: 'string' },
+  into: { type: 'string' },
+  clean: { type: 'boolean' },
+}
+
+const ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    run: { ...RUN_SCHEMA, required: true },
+    scan: {
+      type: ['object', 'array'],
+      properties: SCAN_PROPERTIES,
+      items: { type: 'object', properties: SCAN_PROPERTIES },
+    },
+    clean: { type: ['object', 'array'] },
+  },
+  // Unknown entry options that are valid under run are reported as misplaced
+  misplacedUnder: 'run',
+}
+
+const COMPONENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    entries: { type: 'array', required: true },
+    cacheDir: { type: 'string' },
+  },
+}
+
+/**
+ * Validate the `ext.collectorCache` value of one component
+ *
+ * @param {object|Array} cacheConfig - The component's `ext.collectorCache` value
+ * @param {object} [options] - { strict } - report unknown options as errors
+ * @returns {object} { issues, invalidEntries } where issues are { severity, path, entryKey, message }
+ *   and invalidEntries is a Set of entries that must be skipped
+ */
+function validateCollectorCacheConfig (cacheConfig, { strict = false } = {}) {
+  const issues = []
+  const invalidEntries = new Set()
+  const unknownSeverity = strict ? 'error' : 'warning'
+
+  let entries
+  let entriesPath
+  if (Array.isArray(cacheConfig)) {
+    entries = cacheConfig
+    entriesPath = 'ext.collectorCache'
+  } else if (isPlainObject(cacheConfig)) {
+    validateValue(cacheConfig, COMPONENT_SCHEMA, 'ext.collectorCache', issues, unknownSeverity)
+    entries = getProperty(cacheConfig, 'entries')
+    entriesPath = 'ext.collectorCache.entries'
+  } else {
+    issues.push({
+      severity: 'error',
+      path: 'ext.collectorCache',
+      message: `must be an array of entries or an object with entries, got ${describeType(cacheConfig)}`,
+    })
+  }
+  if (!Array.isArray(entries)) return { issues, invalidEntries }
+
+  const keys = new Map()
+  entries.forEach((entry, index) => {
+    const entryIssues = []
+    validateValue(entry, ENTRY_SCHEMA, `${entriesPath}[${index}]`, entryIssues, unknownSeverity)
+    const key = isPlainObject(entry) && isPlainObject(entry.run) ? entry.run.key : undefined
+    if (typeof key === 'string') {
+      if (keys.has(key)) {
+        entryIssues.push({
+          severity: 'error',
+          path: `${entriesPath}[${index}].run.key`,
+          message: `duplicate key "${key}" (already used by ${entriesPath}[${keys.get(key)}])`,
+        })
+      } else {
+        keys.set(key, index)
+      }
+    }
+    entryIssues.forEach((issue) => issues.push({ ...issue, entryKey: typeof key === 'string' ? key : undefined }))
+    if (entryIssues.some((issue) => issue.severity === 'error')) invalidEntries.add(entry)
+  })
+
+  // Dependencies must name another valid entry of the same component; repeat until
+  // no more entries are invalidated so chains through an invalid entry are caught
+  let invalidated = true
+  while (invalidated) {
+    invalidated = false
+    entries.forEach((entry, index) => {
+      if (invalidEntries.has(entry)) return
+      const dependsOn = getProperty(entry.run, 'dependsOn') || []
+      dependsOn.forEach((dependency, depIndex) => {
+        let message
+        if (dependency === entry.run.key) {
+          message = 'an entry cannot depend on itself'
+        } else if (!keys.has(dependency)) {
+          const suggestion = suggest(dependency, [...keys.keys()])
+          message = `unknown entry "${dependency}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+        } else if (invalidEntries.has(entries[keys.get(dependency)])) {
+          message = `depends on invalid entry "${dependency}"`
+        }
+        if (message && !invalidEntries.has(entry)) {
+          const path = `${entriesPath}[${index}].run.dependsOn[${depIndex}]`
+          issues.push({ severity: 'error', path, entryKey: entry.run.key, message })
+          invalidEntries.add(entry)
+          invalidated = true
+        }
+      })
+    })
+  }
+
+  return { issues, invalidEntries }
+}
+
+/**
+ * Format an issue for logging
+ */
+function formatIssue (componentName, issue) {
+  const entry = issue.entryKey ? ` (key: ${issue.entryKey})` : ''
+  return `${componentName}${entry}: ${issue.path}: ${issue.message}`
+}
+
+/**
+ * Resolve whether strict validation is enabled
+ *
+ * COLLECTOR_CACHE_STRICT takes precedence over the `strict` extension option.
+ */
+function resolveStrict (configValue, env = process.env) {
+  const value = env.COLLECTOR_CACHE_STRICT !== undefined ? env.COLLECTOR_CACHE_STRICT : configValue
+  return value === true || value === 'true'
+}
+
+function validateValue (value, spec, path, issues, unknownSeverity) {
+  const types = [].concat(spec.type)
+  const type = types.find((candidate) => matchesType(value, candidate))
+  if (!type) {
+    const message = `must be ${formatTypes(types, spec.items)}, got ${describeType(value)}`
+    issues.push({ severity: 'error', path, message })
+    return
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    const message = `must be one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}`
+    issues.push({ severity: 'error', path, message })
+    return
+  }
+
+  if (type === 'array' && spec.items) {
+    value.forEach((item, index) => validateValue(item, spec.items, `${path}[${index}]`, issues, unknownSeverity))
+  }
+
+  if (type !== 'object' || !spec.properties) return
+
+  const names = Object.keys(spec.properties)
+  for (const name of names) {
+    const propertySpec = spec.properties[name]
+    const propertyValue = getProperty(value, name)
+    if (propertyValue === undefined || propertyValue === null) {
+      if (propertySpec.required) issues.push({ severity: 'error', path: `${path}.${name}`, message: 'is required' })
+      continue
+    }
+    validateValue(propertyValue, propertySpec, `${path}.${name}`, issues, unknownSeverity)
+  }
+
+  for (const key of Object.keys(value)) {
+    if (names.some((name) => key === name || key === name.toLowerCase())) continue
+    let suggestion = suggest(key, names)
+    if (!suggestion && spec.misplacedUnder) {
+      const nested = findName(key, Object.keys(spec.properties[spec.misplacedUnder].properties))
+      if (nested) suggestion = `${spec.misplacedUnder}.${nested}`
+    }
+    const message = 'unknown option' + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+    issues.push({ severity: unknownSeverity, path: `${path}.${key}`, message })
+  }
+}
+
+/**
+ * Read an option by its camelCase name or its lowercase form
+ */
+function getProperty (obj, name) {
+  if (!isPlainObject(obj)) return undefined
+  return obj[name] !== undefined ? obj[name] : obj[name.toLowerCase()]
+}
+
+function findName (key, names) {
+  return names.find((name) => name.toLowerCase() === key.toLowerCase())
+}
+
+/**
+ * Suggest the closest known name for an unknown one
+ */
+function suggest (key, names) {
+  const exact = findName(key, names)
+  if (exact) return exact
+  let best
+  let bestDistance = Infinity
+  for (const name of names) {
+    const distance = levenshtein(key.toLowerCase(), name.toLowerCase())
+    if (distance < bestDistance) {
+      best = name
+      bestDistance = distance
+    }
+  }
+  return bestDistance <= Math.max(1, Math.floor(key.length / 3)) ? best : undefined
+}
+
+function levenshtein (a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+function matchesType (value, type) {
+  if (type === 'array') return Array.isArray(value)
+  if (type === 'object') return isPlainObject(value)
+  if (type === 'string') return typeof value === 'string'
+  if (type === 'boolean') return typeof value === 'boolean'
+  if (type === 'number') return typeof value === 'number'
+  return false
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function describeType (value) {
+  if (value === null) return 'null'
+  return Array.isArray(value) ? 'an array' : withArticle(typeof value)
+}
+
+function withArticle (word) {
+  return `${/^[aeiou]/.test(word) ? 'an' : 'a'} ${word}`
+}
+
+function formatTypes (types, items) {
+  return types
+    .map((type) => (type === 'array' && items && items.type ? `an array of ${items.type}s` : withArticle(type)))
+    .join(' or ')
+}
+
+module.exports = {
+  validateCollectorCacheConfig,
+  formatIssue,
+  resolveStrict,
+}
@@ -0,0 +1,216 @@
+/**
+ * Running `sourceCommands` for the collector cache
+ *
+ * A source command prints additional source paths (one per line, relative to
+ * the worktree). Commands run through `sh -c` in the worktree with stdin
+ * closed, a timeout and an output size limit; the whole process group is
+ * killed when either is exceeded. Paths that escape the worktree are rejected.
+ *
+ * Entries may be plain command strings or objects:
+ *
+ *   sourceCommands:
+ *     - ./scripts/list-sources.sh
+ *     - command: ./scripts/find-models.py
+ *       timeout: 2m
+ *       onFailure: fail          # fail the build, force a MISS (default) or warn
+ *       maxOutput: 4MB
+ *       inputs: [scripts/find-models.py, models]
+ *
+ * When `inputs` are declared the command's result is cached in
+ * `source-commands/` below the cache directory, keyed by the command and the
+ * content of its inputs, and reused until one of them changes.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { spawn } = require('child_process')
+const { parseDuration, parseSize } = require('./collector-cache-gc')
+const { computeHashes, getOption } = require('./collector-cache-hash')
+const { writeFileAtomic } = require('./collector-cache-atomic')
+
+const FAILURE_POLICIES = ['fail', 'miss', 'warn']
+const DEFAULT_TIMEOUT = 60 * 1000
+const DEFAULT_ON_FAILURE = 'miss'
+const DEFAULT_MAX_OUTPUT = 1024 * 1024
+const MAX_STDERR = 8 * 1024
+
+/**
+ * Resolve the defaults for source commands from the `sourceCommands` extension option
+ *
+ * @param {object} config - { timeout, onFailure, maxOutput }
+ * @returns {object} { timeout (ms), onFailure, maxOutput (bytes) }
+ */
+function resolveSourceCommandDefaults (config = {}) {
+  return normalizeOptions(config, {
+    timeout: DEFAULT_TIMEOUT,
+    onFailure: DEFAULT_ON_FAILURE,
+    maxOutput: DEFAULT_MAX_OUTPUT,
+  })
+}
+
+/**
+ * Normalize a source command entry (string or object) against the defaults
+ */
+function normalizeSourceCommand (spec, defaults) {
+  if (typeof spec === 'string') return { command: spec, ...defaults, inputs: undefined }
+  return { command: spec.command, ...normalizeOptions(spec, defaults), inputs: getOption(spec, 'inputs') }
+}
+
+function normalizeOptions (options, defaults) {
+  const timeout = getOption(options, 'timeout')
+  const onFailure = getOption(options, 'onFailure') || defaults.onFailure
+  const maxOutput = getOption(options, 'maxOutput')
+  if (!FAILURE_POLICIES.includes(onFailure)) {
+    throw new Error(`Invalid sourceCommands onFailure: ${onFailure} (expected one of ${FAILURE_POLICIES.join(', ')})`)
+  }
+  let timeoutMs = defaults.timeout
+  if (typeof timeout === 'number') {
+    // A plain number is a number of seconds
+    timeoutMs = timeout * 1000
+  } else if (timeout !== undefined) {
+    timeoutMs = parseDuration(timeout)
+  }
+  return {
+    timeout: timeoutMs,
+    onFailure,
+    maxOutput: maxOutput === undefined ? defaults.maxOutput : parseSize(maxOutput),
+  }
+}
+
+/**
+ * Run source commands and collect the paths they print
+ *
+ * @param {string} worktree - Worktree to run the commands in
+ * @param {Array} sourceCommands - Command strings or objects
+ * @param {object} options - { defaults, cacheRoot, memo, logger, label }
+ * @returns {Promise<object>} { sources, failures } where failures are { command, onFailure, reason, stderr }
+ */
+async function runSourceCommands (worktree, sourceCommands, { defaults, cacheRoot, memo, logger, label }) {
+  const sources = []
+  const failures = []
+
+  for (const spec of sourceCommands) {
+    const sourceCommand = normalizeSourceCommand(spec, defaults)
+    const { command } = sourceCommand
+    const resultPath = cacheRoot && resultCachePath(worktree, sourceCommand, cacheRoot, memo)
+
+    const cached = resultPath && readCachedResult(resultPath)
+    if (cached) {
+      logger.debug(`  Reusing cached result of: ${command} (${cached.length} source(s))`)
+      sources.push(...cached)
+      continue
+    }
+
+    logger.debug(`  Running: ${command}`)
+    try {
+      const paths = await runSourceCommand(worktree, sourceCommand)
+      logger.debug(`  Found ${paths.length} source(s)`)
+      sources.push(...paths)
+      if (resultPath) {
+        writeFileAtomic(resultPath, JSON.stringify({ command, sources: paths, timestamp: new Date().toISOString() }))
+      }
+    } catch (err) {
+      const failure = { command, onFailure: sourceCommand.onFailure, reason: err.message, stderr: err.stderr || '' }
+      failures.push(failure)
+      const log = failure.onFailure === 'fail' ? logger.error : logger.warn
+      log.call(logger, `sourceCommand "${command}" for ${label} failed (${failure.onFailure}): ${err.message}`)
+      if (failure.stderr) logger.debug(`  stderr: ${failure.stderr}`)
+    }
+  }
+
+  return { sources, failures }
+}
+
+/**
+ * Run one source command
+ *
+ * @returns {Promise<string[]>} Paths printed by the command
+ * @throws {Error} With a `stderr` property if the command fails, times out, prints
+ *   too much or prints a path outside the worktree
+ */
+function runSourceCommand (worktree, { command, timeout, maxOutput }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('sh', ['-c', command], { cwd: worktree, stdio: ['ignore', 'pipe', 'pipe'], detached: true })
+    const stdout = []
+    let stdoutSize = 0
+    let stderr = ''
+    let failure
+
+    const fail = (message) => {
+      if (failure) return
+      failure = message
+      try {
+        process.kill(-proc.pid, 'SIGKILL')
+      } catch (err) {
+        // Already exited
+      }
+    }
+    const timer = setTimeout(() => fail(`timed out after ${timeout}ms`), timeout)
+
+    proc.stdout.on('data', (data) => {
+      stdoutSize += data.length
+      if (stdoutSize > maxOutput) return fail(`output exceeded ${maxOutput} bytes`)
+      stdout.push(data)
+    })
+    proc.stderr.on('data', (data) => {
+      stderr = (stderr + data).slice(-MAX_STDERR)
+    })
+
+    proc.on('error', (err) => {
+      clearTimeout(timer)
+      reject(Object.assign(new Error(err.message), { stderr }))
+    })
+    proc.on('close', (code) => {
+      clearTimeout(timer)
+      if (!failure && code !== 0) failure = `exited with code ${code}`
+      if (failure) return reject(Object.assign(new Error(failure), { stderr: stderr.trim() }))
+
+      const paths = Buffer.concat(stdout).toString('utf8').split('\n').map((line) => line.trim()).filter(Boolean)
+      const outside = paths.find((p) => !isInside(worktree, p))
+      if (outside) {
+        return reject(Object.assign(new Error(`printed a path outside the worktree: ${outside}`), { stderr }))
+      }
+      resolve(paths)
+    })
+  })
+}
+
+function isInside (worktree, relativePath) {
+  if (path.isAbsolute(relativePath)) return false
+  const relative = path.relative(worktree, path.resolve(worktree, relativePath))
+  return relative !== '..' && !relative.startsWith('..' + path.sep)
+}
+
+/**
+ * Path of the cached result of a command with declared inputs
+ *
+ * @returns {string|undefined} Path, or undefined if the command has no inputs or one is missing
+ */
+function resultCachePath (worktree, { command, inputs }, cacheRoot, memo) {
+  if (!Array.isArray(inputs) || inputs.length === 0) return undefined
+  const inputHashes = computeHashes(worktree, inputs, null, null, null, { memo })
+  if (!inputHashes) return undefined
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify({ command, inputs: Object.entries(inputHashes).sort() }))
+    .digest('hex')
+  return path.join(cacheRoot, 'source-commands', `${key}.json`)
+}
+
+function readCachedResult (resultPath) {
+  try {
+    const { sources } = JSON.parse(fs.readFileSync(resultPath, 'utf8'))
+    // Touch the result so garbage collection sees it was used
+    const now = new Date()
+    fs.utimesSync(resultPath, now, now)
+    return Array.isArray(sources) ? sources : null
+  } catch (err) {
+    return null
+  }
+}
+
+module.exports = {
+  FAILURE_POLICIES,
+  resolveSourceCommandDefaults,
+  runSourceCommands,
+}
@@ -0,0 +1,230 @@
+/**
+ * Build-wide statistics for the collector cache
+ *
+ * Summarizes the HIT/MISS decisions of a build per component: hit rate, bytes
+ * restored from the cache vs. produced by collectors, time spent hashing
+ * sources, collector run times and the time saved by cache hits. Written to the
+ * console, as JSON and as a JUnit-style XML report (one test case per entry),
+ * so CI can chart cache effectiveness over time.
+ *
+ * Collectors run in @antora/collector-extension, after the cache decided which
+ * entries to run, so their run times are estimated: entries run one after
+ * another in the order they were handed to the collector, and an entry's run
+ * ends when its newest output file was written. Estimated run times are
+ * recorded in the pointer (`duration`, milliseconds) and a later HIT for the
+ * same content hash counts that duration as time saved.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { readManifest } = require('./collector-cache-manifest')
+const { formatBytes, directorySize } = require('./collector-cache-fs')
+
+const SLOWEST_COUNT = 5
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }
+
+/**
+ * Estimate the run time of collector entries that ran one after another
+ *
+ * @param {Array} outputPaths - Output directory of each entry, in run order (undefined if unknown)
+ * @param {number} startTime - Time the collector started running entries
+ * @param {number} endTime - Time the collector finished
+ * @returns {number[]} Estimated run time of each entry in milliseconds
+ */
+function estimateRunTimes (outputPaths, startTime, endTime) {
+  let previous = startTime
+  return outputPaths.map((outputPath) => {
+    const written = outputPath ? newestMtime(outputPath) : 0
+    // Outputs not written during this build (or no outputs at all): the entry's time is attributed to the next one
+    const finished = Math.min(Math.max(written, previous), endTime)
+    const runTime = Math.round(finished - previous)
+    previous = finished
+    return runTime
+  })
+}
+
+/**
+ * Total size of an output directory, from its manifest where there is one
+ *
+ * @param {string} outputPath - Output directory (for archives, the path without .tar.gz)
+ * @returns {number} Size in bytes (0 if unknown)
+ */
+function outputSize (outputPath) {
+  try {
+    const manifest = readManifest(outputPath)
+    if (manifest) return Object.values(manifest.files).reduce((sum, { size }) => sum + size, 0)
+    return fs.statSync(outputPath).isDirectory() ? directorySize(outputPath) : 0
+  } catch (err) {
+    return 0
+  }
+}
+
+/**
+ * Summarize the decisions of a build
+ *
+ * @param {object[]} decisions - HIT/MISS decisions with `stats`: { hashTime, runTime, timeSaved, bytes }
+ * @returns {object} { generated, totals, components, slowest, entries }
+ */
+function summarizeStats (decisions) {
+  const entries = decisions.map(({ component, key, status, reason, contentHash, stats = {} }) => ({
+    component,
+    key,
+    status,
+    reason,
+    ...(contentHash && { contentHash }),
+    hashTime: stats.hashTime || 0,
+    ...(status === 'HIT'
+      ? { bytesRestored: stats.bytes || 0, timeSaved: stats.timeSaved }
+      : { bytesProduced: stats.bytes || 0, runTime: stats.runTime }),
+  }))
+
+  const components = [...new Set(entries.map((entry) => entry.component))].map((component) => ({
+    component,
+    ...totalsOf(entries.filter((entry) => entry.component === component)),
+  }))
+
+  const slowest = entries
+    .filter((entry) => entry.runTime > 0)
+    .sort((a, b) => b.runTime - a.runTime)
+    .slice(0, SLOWEST_COUNT)
+    .map(({ component, key, runTime }) => ({ component, key, runTime }))
+
+  return {
+    generated: new Date().toISOString(),
+    totals: totalsOf(entries),
+    components,
+    slowest,
+    entries,
+  }
+}
+
+function totalsOf (entries) {
+  const sum = (field) => entries.reduce((total, entry) => total + (entry[field] || 0), 0)
+  const hits = entries.filter((entry) => entry.status === 'HIT')
+  return {
+    entries: entries.length,
+    hits: hits.length,
+    misses: entries.length - hits.length,
+    hitRate: entries.length > 0 ? hits.length / entries.length : 0,
+    bytesRestored: sum('bytesRestored'),
+    bytesProduced: sum('bytesProduced'),
+    hashTime: sum('hashTime'),
+    runTime: sum('runTime'),
+    timeSaved: sum('timeSaved'),
+    // Hits whose pointer predates recorded durations
+    timeSavedUnknown: hits.filter((entry) => entry.timeSaved === undefined).length,
+  }
+}
+
+/**
+ * Log a summary as a table
+ */
+function logStats (logger, summary) {
+  const { totals } = summary
+  logger.info(`Collector cache report: ${totals.entries} entries, ${totals.hits} HIT(s) ` +
+    `(${formatPercent(totals.hitRate)}), ${totals.misses} MISS(es), ` +
+    `saved ${formatDuration(totals.timeSaved)}` +
+    (totals.timeSavedUnknown > 0 ? ` (+ ${totals.timeSavedUnknown} hit(s) without a recorded duration)` : ''))
+
+  const header = ['Component', 'Entries', 'Hit rate', 'Restored', 'Produced', 'Hashing', 'Run time', 'Saved']
+  const rows = [...summary.components, { component: 'Total', ...totals }].map((row) => [
+    row.component,
+    `${row.hits}/${row.entries}`,
+    formatPercent(row.hitRate),
+    formatBytes(row.bytesRestored),
+    formatBytes(row.bytesProduced),
+    formatDuration(row.hashTime),
+    formatDuration(row.runTime),
+    formatDuration(row.timeSaved),
+  ])
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)))
+  const formatRow = (row) => row.map((cell, column) => column === 0
+    ? cell.padEnd(widths[column])
+    : cell.padStart(widths[column])).join('  ')
+  logger.info(`  ${formatRow(header)}`)
+  rows.forEach((row) => logger.info(`  ${formatRow(row)}`))
+
+  if (summary.slowest.length > 0) {
+    logger.info('  Slowest collectors:')
+    for (const { component, key, runTime } of summary.slowest) {
+      logger.info(`    ${formatDuration(runTime).padStart(8)}  ${component}/${key}`)
+    }
+  }
+}
+
+/**
+ * Write a summary as a JUnit-style XML report
+ *
+ * Every component is a test suite and every entry a test case whose time is
+ * the collector run time (zero for hits); the HIT/MISS decision is in the
+ * test case's system-out.
+ */
+function writeJunitReport (reportPath, summary) {
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3)
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>']
+  lines.push(`<testsuites name="collector-cache" tests="${summary.totals.entries}" ` +
+    `time="${seconds(summary.totals.runTime)}" timestamp="${summary.generated}">`)
+  for (const component of summary.components) {
+    lines.push(`  <testsuite name="${escapeXml(component.component)}" tests="${component.entries}" ` +
+      `failures="0" errors="0" skipped="0" time="${seconds(component.runTime)}">`)
+    for (const entry of summary.entries.filter((e) => e.component === component.component)) {
+      const details = entry.status === 'HIT'
+        ? `${formatBytes(entry.bytesRestored)} restored, saved ${formatDuration(entry.timeSaved)}`
+        : `${formatBytes(entry.bytesProduced)} produced`
+      lines.push(`    <testcase classname="${escapeXml(entry.component)}" name="${escapeXml(entry.key)}" ` +
+        `time="${seconds(entry.runTime)}">`)
+      lines.push(`      <system-out>${escapeXml(`${entry.status} (${entry.reason}): ${details}, ` +
+        `hashing ${formatDuration(entry.hashTime)}`)}</system-out>`)
+      lines.push('    </testcase>')
+    }
+    lines.push('  </testsuite>')
+  }
+  lines.push('</testsuites>')
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+  fs.writeFileSync(reportPath, lines.join('\n') + '\n', 'utf8')
+}
+
+function formatDuration (ms) {
+  if (ms === undefined) return '?'
+  if (ms < 1000) return `${Math.round(ms)}ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+  const minutes = Math.floor(ms / 60000)
+  if (minutes < 60) return `${minutes}m ${Math.round((ms % 60000) / 1000)}s`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+function formatPercent (ratio) {
+  return `${Math.round(ratio * 100)}%`
+}
+
+function escapeXml (value) {
+  return String(value).replace(/[<>&"']/g, (c) => XML_ENTITIES[c])
+}
+
+function newestMtime (dir) {
+  let newest = 0
+  let entries
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true })
+  } catch (err) {
+    return 0
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      newest = Math.max(newest, newestMtime(entryPath))
+    } else if (entry.isFile()) {
+      newest = Math.max(newest, fs.statSync(entryPath).mtimeMs)
+    }
+  }
+  return newest
+}
+
+module.exports = {
+  estimateRunTimes,
+  outputSize,
+  summarizeStats,
+  logStats,
+  writeJunitReport,
+  formatDuration,
+}
@@ -0,0 +1,152 @@
+/**
+ * Storage formats for cached collector outputs
+ *
+ *   - directory: outputs/<contentHash>/<outputDir>/ is a plain copy of the outputs
+ *   - archive:   outputs/<contentHash>/<outputDir>.tar.gz holds the outputs in a
+ *                single compressed file
+ *
+ * Both formats keep the integrity manifest next to the outputs; for archives it
+ * doubles as the index, so the contents of an entry can be listed without
+ * decompressing it. Archives are cheap to upload and download as CI artifacts
+ * and use one inode per entry instead of one per Gerber or render file.
+ *
+ * On a cache HIT an archive is extracted into a directory private to the build
+ * (extracted/<buildId>/<contentHash>/<outputDir>) that collector scans and
+ * `restoreToWorktree` read from. The archive is verified while it is extracted;
+ * the directory is removed once the site has been generated.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { writeTarGz, readTarGz, extractTarGz } = require('./collector-cache-tar')
+const { buildManifest } = require('./collector-cache-manifest')
+const { listFiles, posixPath } = require('./collector-cache-fs')
+
+const STORAGE_FORMATS = ['directory', 'archive']
+const DEFAULT_STORAGE = 'directory'
+const ARCHIVE_EXTENSION = '.tar.gz'
+
+/**
+ * Resolve the storage format of an entry
+ *
+ * COLLECTOR_CACHE_STORAGE takes precedence over the entry's `storage` option,
+ * which takes precedence over the `storage` extension option.
+ */
+function resolveStorage (entryValue, configValue, env = process.env) {
+  const storage = env.COLLECTOR_CACHE_STORAGE || entryValue || configValue || DEFAULT_STORAGE
+  if (!STORAGE_FORMATS.includes(storage)) {
+    throw new Error(`Invalid collector cache storage: ${storage} (expected one of ${STORAGE_FORMATS.join(', ')})`)
+  }
+  return storage
+}
+
+/**
+ * Check the storage format of the extension configuration (and of
+ * COLLECTOR_CACHE_STORAGE) when the extension is registered, rather than on
+ * the first entry that uses it
+ */
+function validateStorage (configValue, env = process.env) {
+  resolveStorage(undefined, configValue, env)
+}
+
+/**
+ * Path of the archive holding an output directory
+ */
+function archivePath (outputPath) {
+  return outputPath + ARCHIVE_EXTENSION
+}
+
+/**
+ * Path of the directory archived outputs of a build are extracted into
+ */
+function extractedPath (cacheRoot, buildId) {
+  return path.join(cacheRoot, 'extracted', buildId)
+}
+
+/**
+ * Archive all files below an output directory
+ *
+ * @param {string} sourceDir - Directory to archive
+ * @param {string} archiveFile - Archive to write
+ * @returns {Promise<object>} Integrity manifest of the archived files
+ */
+async function archiveOutputs (sourceDir, archiveFile) {
+  const files = listFiles(sourceDir).sort()
+    .map((relative) => ({ name: posixPath(relative), path: path.join(sourceDir, relative) }))
+  return buildManifest(await writeTarGz(archiveFile, files))
+}
+
+/**
+ * Build the manifest of an existing archive (e.g. one downloaded from a remote cache)
+ */
+async function indexArchive (archiveFile) {
+  return buildManifest(await readTarGz(archiveFile))
+}
+
+/**
+ * Extract archived outputs and verify them against their manifest
+ *
+ * Every file is hashed while it is extracted, so the `sample` and `full` modes
+ * both check the hash of every file at no extra cost.
+ *
+ * @param {string} archiveFile - Archive to extract
+ * @param {string} destination - Directory to extract into (replaced if it exists)
+ * @param {object|null} manifest - Manifest the archive was stored with
+ * @param {string} mode - Verification mode (full, sample, size or off)
+ * @returns {Promise<object>} { ok, reason }
+ */
+async function extractOutputs (archiveFile, destination, manifest, mode) {
+  fs.rmSync(destination, { recursive: true, force: true })
+  let index
+  try {
+    index = await extractTarGz(archiveFile, destination)
+  } catch (err) {
+    return { ok: false, reason: `unreadable archive: ${err.message}` }
+  }
+  return compareIndex(index, manifest, mode)
+}
+
+/**
+ * Verify an archive against its manifest without extracting it
+ *
+ * @returns {Promise<object>} { ok, reason }
+ */
+async function verifyArchive (archiveFile, manifest, mode = 'full') {
+  let index
+  try {
+    index = await readTarGz(archiveFile)
+  } catch (err) {
+    return { ok: false, reason: `unreadable archive: ${err.message}` }
+  }
+  return compareIndex(index, manifest, mode)
+}
+
+/**
+ * Compare an archive index with the manifest the archive was stored with
+ */
+function compareIndex (index, manifest, mode) {
+  if (mode === 'off') return { ok: true, reason: 'verification disabled' }
+  if (!manifest) return { ok: true, reason: 'no manifest' }
+
+  for (const [file, { size, sha256 }] of Object.entries(manifest.files)) {
+    const entry = index[file]
+    if (!entry) return { ok: false, reason: `missing file ${file}` }
+    if (entry.size !== size) {
+      return { ok: false, reason: `size mismatch for ${file} (expected ${size}, found ${entry.size})` }
+    }
+    if (mode !== 'size' && entry.sha256 !== sha256) return { ok: false, reason: `checksum mismatch for ${file}` }
+  }
+  return { ok: true }
+}
+
+module.exports = {
+  STORAGE_FORMATS,
+  resolveStorage,
+  validateStorage,
+  archivePath,
+  extractedPath,
+  archiveOutputs,
+  indexArchive,
+  extractOutputs,
+  verifyArchive,
+}
@@ -0,0 +1,180 @@
+/**
+ * Gzip-compressed tar archives of the collector cache, on top of node-tar
+ *
+ * Only regular files are stored (directories are implied by file paths), which
+ * is all the cache needs: outputs are copied without symlinks either. Archives
+ * are written in node-tar's portable format (ustar with PAX headers for long
+ * and non-ASCII paths), so they can be inspected with any tar implementation.
+ *
+ * File contents are hashed while an archive is read, so reading or extracting
+ * it also yields its index (path -> { size, sha256 }) without a second pass
+ * over the data.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const tar = require('tar')
+
+// Entry types holding the contents of a regular file
+const FILE_TYPES = new Set(['File', 'OldFile', 'ContiguousFile'])
+
+/**
+ * Write files into a gzip-compressed tar archive
+ *
+ * The files are staged under their archive paths (hard-linked where possible)
+ * so node-tar can add them in the given order.
+ *
+ * @param {string} archivePath - Archive to create (replaced if it exists)
+ * @param {Array} files - { name, path } - archive path (posix) and file to read, or { name, content }
+ *   with the file's contents as a Buffer
+ * @returns {Promise<object>} Index of archive path -> { size, sha256 }
+ */
+async function writeTarGz (archivePath, files) {
+  const stagingDir = fs.mkdtempSync(path.join(path.dirname(path.resolve(archivePath)), '.tar-'))
+  try {
+    for (const file of files) {
+      const stagedPath = path.join(stagingDir, ...file.name.split('/'))
+      fs.mkdirSync(path.dirname(stagedPath), { recursive: true })
+      if (file.content) {
+        fs.writeFileSync(stagedPath, file.content, { mode: 0o644 })
+      } else {
+        try {
+          fs.linkSync(file.path, stagedPath)
+        } catch (err) {
+          fs.copyFileSync(file.path, stagedPath)
+        }
+      }
+    }
+    await tar.c({
+      file: archivePath,
+      cwd: stagingDir,
+      gzip: true,
+      portable: true,
+      // Staged files are hard links: store each as a file, not as a link to another entry
+      linkCache: { get: () => undefined, set: () => undefined },
+    }, files.map((file) => file.name))
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true })
+  }
+  return readTarGz(archivePath)
+}
+
+/**
+ * Read a gzip-compressed tar archive
+ *
+ * `onFile` is called for every regular file with { name, size, mode } and may
+ * return a sink ({ write(chunk), end() }) to receive the file's contents.
+ *
+ * @param {string} archivePath - Archive to read
+ * @param {Function} [onFile] - Called for every file entry
+ * @returns {Promise<object>} Index of archive path -> { size, sha256 }
+ * @throws {Error} If the archive is truncated or malformed, or onFile or a sink throws
+ */
+function readTarGz (archivePath, onFile = () => undefined) {
+  return new Promise((resolve, reject) => {
+    const index = {}
+    const sinks = new Set()
+    let failure = null
+    let settled = false
+    let ended = false
+
+    const input = fs.createReadStream(archivePath)
+    const parser = new tar.Parser({
+      strict: true,
+      onReadEntry: (entry) => {
+        if (failure || !FILE_TYPES.has(entry.type)) return entry.resume()
+        const hash = crypto.createHash('sha256')
+        const sink = attempt(() => onFile({ name: entry.path, size: entry.size, mode: entry.mode }))
+        if (sink) sinks.add(sink)
+        entry.on('data', (chunk) => {
+          hash.update(chunk)
+          if (sink && !failure) attempt(() => sink.write(chunk))
+        })
+        entry.on('end', () => {
+          if (sink) {
+            sinks.delete(sink)
+            attempt(() => sink.end())
+          }
+          index[entry.path] = { size: entry.size, sha256: hash.digest('hex') }
+        })
+      },
+    })
+
+    // Errors thrown by node-tar's callbacks would escape the promise: abort the parser instead
+    const attempt = (fn) => {
+      try {
+        return fn()
+      } catch (err) {
+        if (!failure) {
+          failure = err
+          parser.abort(err)
+        }
+      }
+    }
+
+    const settle = (err) => {
+      if (settled) return
+      settled = true
+      input.destroy()
+      // Close the files being extracted if the archive turned out to be broken
+      for (const sink of sinks) {
+        try {
+          sink.end()
+        } catch (err) {}
+      }
+      if (err) reject(err)
+      else resolve(index)
+    }
+
+    input.on('error', settle)
+    parser.on('error', (err) => settle(failure || describeError(archivePath, err)))
+    // node-tar accepts archives cut off between entries: require the end-of-archive blocks
+    parser.on('eof', () => {
+      ended = true
+    })
+    parser.on('end', () => settle(failure || (!ended && new Error(`Truncated archive: ${archivePath}`))))
+    input.pipe(parser)
+  })
+}
+
+/**
+ * Extract a gzip-compressed tar archive into a directory
+ *
+ * @param {string} archivePath - Archive to extract
+ * @param {string} destination - Directory to extract into (created if missing)
+ * @returns {Promise<object>} Index of archive path -> { size, sha256 }
+ * @throws {Error} If the archive is malformed or contains a path outside destination
+ */
+function extractTarGz (archivePath, destination) {
+  const root = path.resolve(destination)
+  fs.mkdirSync(root, { recursive: true })
+  return readTarGz(archivePath, ({ name, mode }) => {
+    const filePath = path.resolve(root, name)
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to extract outside of ${destination}: ${name}`)
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    const fd = fs.openSync(filePath, 'w', (mode & 0o777) || 0o644)
+    return {
+      write: (chunk) => fs.writeSync(fd, chunk),
+      end: () => fs.closeSync(fd),
+    }
+  })
+}
+
+/**
+ * Describe a node-tar or zlib error, naming truncated archives as such
+ */
+function describeError (archivePath, err) {
+  if (err.code === 'Z_BUF_ERROR' || /truncated/i.test(err.message)) {
+    return new Error(`Truncated archive: ${archivePath}`)
+  }
+  return new Error(`Malformed archive ${archivePath}: ${err.message}`)
+}
+
+module.exports = {
+  writeTarGz,
+  readTarGz,
+  extractTarGz,
+}
@@ -12,5 +12,14 @@ module.exports = {
   ibomProcessor: require('./ibom-processor'),
 
   // Antora extension for collector hash-based caching
-  collectorCacheExtension: require('./collector-cache-extension')
+  collectorCacheExtension: require('./collector-cache-extension'),
+
+  // Garbage collection for the collector cache (for on-demand use)
+  collectorCacheGc: require('./collector-cache-gc'),
+
+  // Export and import of collector cache bundles (for offline builds)
+  collectorCacheBundle: require('./collector-cache-bundle'),
+
+  // Inspection and maintenance of the collector cache (status, clear, verify)
+  collectorCacheMaintenance: require('./collector-cache-maintenance'),
 }
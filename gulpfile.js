@@ -18,7 +18,15 @@ const task = require('./gulp.d/tasks')
 const glob = {
   all: [srcDir, previewSrcDir],
   css: `${srcDir}/css/**/*.css`,
-  js: ['gulpfile.js', 'gulp.d/**/*.js', `${srcDir}/helpers/*.js`, `${srcDir}/js/**/+([^.])?(.bundle).js`],
+  js: [
+    'gulpfile.js',
+    'gulp.d/**/*.js',
+    'bin/**/*.js',
+    'extensions/**/*.js',
+    'test/**/*.js',
+    `${srcDir}/helpers/*.js`,
+    `${srcDir}/js/**/+([^.])?(.bundle).js`,
+  ],
 }
 
 const cleanTask = createTask({
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { acquireLock, isLocked } = require('../extensions/collector-cache-atomic')
+const { createTempDir } = require('./fixtures')
+
+describe('acquireLock', () => {
+  let lockPath, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    lockPath = path.join(temp.dir, 'locks', 'output.lock')
+    cleanup = temp.cleanup
+  })
+
+  afterEach(() => cleanup())
+
+  const writeLock = (owner) => {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true })
+    fs.writeFileSync(lockPath, JSON.stringify({ hostname: os.hostname(), created: new Date().toISOString(), ...owner }))
+  }
+
+  it('creates the lock file and removes it on release', async () => {
+    const release = await acquireLock(lockPath)
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid)
+    assert.equal(isLocked(lockPath), true)
+    release()
+    assert.equal(fs.existsSync(lockPath), false)
+    assert.equal(isLocked(lockPath), false)
+  })
+
+  it('waits until the holder releases the lock', async () => {
+    const release = await acquireLock(lockPath)
+    let acquired = false
+    const waiting = acquireLock(lockPath, { timeout: 5000 }).then((releaseSecond) => {
+      acquired = true
+      return releaseSecond
+    })
+    await new Promise((resolve) => setTimeout(resolve, 400))
+    assert.equal(acquired, false)
+    release()
+    const releaseSecond = await waiting
+    assert.equal(acquired, true)
+    releaseSecond()
+  })
+
+  it('times out while the lock is held', async () => {
+    const release = await acquireLock(lockPath)
+    await assert.rejects(acquireLock(lockPath, { timeout: 300 }), /Timed out/)
+    release()
+  })
+
+  it('breaks a lock whose owner process has exited', async () => {
+    // A process that has exited: its pid is no longer running
+    writeLock({ pid: spawnSync(process.execPath, ['-e', '']).pid })
+    assert.equal(isLocked(lockPath), false)
+    const warnings = []
+    const logger = { warn: (message) => warnings.push(message) }
+    const release = await acquireLock(lockPath, { timeout: 1000, logger })
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid)
+    assert.match(warnings[0], /Breaking stale collector cache lock/)
+    release()
+  })
+
+  it('breaks a lock older than staleAfter', async () => {
+    writeLock({ pid: process.pid, created: new Date(Date.now() - 60000).toISOString() })
+    assert.equal(isLocked(lockPath, 30000), false)
+    const release = await acquireLock(lockPath, { timeout: 1000, staleAfter: 30000 })
+    assert.equal(Date.now() - Date.parse(JSON.parse(fs.readFileSync(lockPath, 'utf8')).created) < 30000, true)
+    release()
+  })
+
+  it('respects a lock held by a running process on another host', async () => {
+    writeLock({ pid: 1, hostname: `not-${os.hostname()}` })
+    assert.equal(isLocked(lockPath), true)
+    await assert.rejects(acquireLock(lockPath, { timeout: 300 }), /Timed out/)
+  })
+})
@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const { createBackend } = require('../extensions/collector-cache-backends')
+const { createTempDir, contentHash } = require('./fixtures')
+
+describe('http collector cache backend', () => {
+  let server, baseUrl, stored, requests, failPuts
+  let dir, cleanup, backend
+
+  // Stand-in remote cache keeping uploaded files in memory
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization })
+      const chunks = []
+      req.on('data', (chunk) => chunks.push(chunk))
+      req.on('end', () => {
+        if (req.method === 'PUT') {
+          if (failPuts) {
+            res.statusCode = 507
+          } else {
+            stored.set(req.url, Buffer.concat(chunks))
+            res.statusCode = 201
+          }
+          return res.end()
+        }
+        if (!stored.has(req.url)) {
+          res.statusCode = 404
+          return res.end()
+        }
+        res.end(stored.get(req.url))
+      })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}/cache`
+  })
+
+  after(() => new Promise((resolve) => server.close(resolve)))
+
+  beforeEach(() => {
+    stored = new Map()
+    requests = []
+    failPuts = false
+    ;({ dir, cleanup } = createTempDir())
+    backend = createBackend({ url: baseUrl, token: 'secret' }, {})
+  })
+
+  afterEach(() => cleanup())
+
+  const writeOutputs = (outputsDir, files) => {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(outputsDir, name)), { recursive: true })
+      fs.writeFileSync(path.join(outputsDir, name), content)
+    }
+  }
+  const pointer = { outputDir: contentHash('a'), scanDir: 'build/renders' }
+
+  it('uploads outputs and downloads them on another machine', async () => {
+    const source = path.join(dir, 'source', contentHash('a'))
+    writeOutputs(source, { 'build/renders/top.png': 'top', 'build/renders/sub/bottom.png': 'bottom' })
+
+    assert.equal(await backend.store(contentHash('a'), source, 'build/renders', pointer), true)
+    assert.equal(requests.every((request) => request.authorization === 'Bearer secret'), true)
+    assert.equal(requests[requests.length - 1].url, `/cache/${contentHash('a')}/manifest.json`)
+
+    const target = path.join(dir, 'target')
+    assert.deepEqual(await backend.fetch(contentHash('a'), target, 'build/renders'), pointer)
+    assert.equal(fs.readFileSync(path.join(target, 'build/renders/top.png'), 'utf8'), 'top')
+    assert.equal(fs.readFileSync(path.join(target, 'build/renders/sub/bottom.png'), 'utf8'), 'bottom')
+  })
+
+  it('misses on a content hash the remote does not have', async () => {
+    assert.equal(await backend.fetch(contentHash('b'), path.join(dir, 'target'), 'build/renders'), null)
+    assert.equal(fs.existsSync(path.join(dir, 'target')), false)
+  })
+
+  it('does not publish a manifest when an upload fails', async () => {
+    const source = path.join(dir, 'source')
+    writeOutputs(source, { 'build/renders/top.png': 'top' })
+    failPuts = true
+
+    await assert.rejects(backend.store(contentHash('a'), source, 'build/renders', pointer),
+      /Remote cache rejected build\/renders\/top.png: HTTP 507/)
+    assert.equal(requests.some((request) => request.method === 'PUT' && request.url.endsWith('manifest.json')), false)
+    assert.equal(await backend.fetch(contentHash('a'), path.join(dir, 'target'), 'build/renders'), null)
+  })
+
+  it('adds the outputs of another output directory with the same content hash', async () => {
+    const source = path.join(dir, 'source')
+    writeOutputs(source, { 'build/renders/top.png': 'top', 'build/ibom/ibom.html': '<html>' })
+
+    assert.equal(await backend.store(contentHash('a'), source, 'build/renders', pointer), true)
+    assert.equal(await backend.store(contentHash('a'), source, 'build/ibom', pointer), true)
+    assert.equal(await backend.store(contentHash('a'), source, 'build/ibom', pointer), false)
+
+    const target = path.join(dir, 'target')
+    assert.notEqual(await backend.fetch(contentHash('a'), target, 'build/ibom'), null)
+    assert.equal(fs.readFileSync(path.join(target, 'build/ibom/ibom.html'), 'utf8'), '<html>')
+    assert.equal(fs.existsSync(path.join(target, 'build/renders')), false)
+    assert.notEqual(await backend.fetch(contentHash('a'), target, 'build/renders'), null)
+  })
+})
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { exportBundle, importBundle } = require('../extensions/collector-cache-bundle')
+const { verifyOutputs } = require('../extensions/collector-cache-manifest')
+const { writeTarGz, extractTarGz } = require('../extensions/collector-cache-tar')
+const { listFiles, posixPath } = require('../extensions/collector-cache-fs')
+const { createTempDir, addEntry, contentHash } = require('./fixtures')
+
+describe('collector cache bundles', () => {
+  let dir, cleanup, source, target, bundleFile
+
+  beforeEach(() => {
+    ;({ dir, cleanup } = createTempDir())
+    source = path.join(dir, 'source')
+    target = path.join(dir, 'target')
+    bundleFile = path.join(dir, 'bundle.tar.gz')
+    addEntry(source, 'vca/renders', 'a', { 'a.png': 'old' }, { age: 60000 })
+    addEntry(source, 'vca/renders', 'b', { 'a.png': 'new', 'sub/b.png': '' })
+    addEntry(source, 'vco/ibom', 'c', { 'ibom.html': '<html>' })
+  })
+
+  afterEach(() => cleanup())
+
+  const outputPath = (root, digit) => path.join(root, 'outputs', contentHash(digit), 'build/renders')
+  const pointerPath = (root, id, digit) => path.join(root, 'hashes', ...id.split('/'), `${contentHash(digit)}.json`)
+
+  it('exports the latest version of the selected entries', async () => {
+    const { entries } = await exportBundle(source, bundleFile, { patterns: ['vca/*'] })
+    assert.deepEqual(entries.map((entry) => entry.contentHash), [contentHash('b')])
+  })
+
+  it('imports an exported bundle into another cache', async () => {
+    await exportBundle(source, bundleFile)
+    const { imported, skipped } = await importBundle(target, bundleFile)
+
+    assert.deepEqual(imported.map((entry) => `${entry.component}/${entry.key}`).sort(), ['vca/renders', 'vco/ibom'])
+    assert.deepEqual(skipped, [])
+    assert.equal(fs.readFileSync(path.join(outputPath(target, 'b'), 'a.png'), 'utf8'), 'new')
+    assert.equal(fs.readFileSync(path.join(outputPath(target, 'b'), 'sub/b.png'), 'utf8'), '')
+    assert.equal(verifyOutputs(outputPath(target, 'b'), 'full').ok, true)
+    assert.equal(verifyOutputs(outputPath(target, 'c'), 'full').ok, true)
+    assert.equal(fs.existsSync(pointerPath(target, 'vca/renders', 'b')), true)
+    assert.equal(fs.existsSync(pointerPath(target, 'vca/renders', 'a')), false)
+  })
+
+  it('rejects a tampered bundle without touching the cache', async () => {
+    await exportBundle(source, bundleFile)
+    const unpacked = path.join(dir, 'unpacked')
+    await extractTarGz(bundleFile, unpacked)
+    fs.writeFileSync(path.join(unpacked, 'outputs', contentHash('b'), 'build/renders/a.png'), 'bad')
+    const files = listFiles(unpacked).map((file) => ({ name: posixPath(file), path: path.join(unpacked, file) }))
+    await writeTarGz(bundleFile, files)
+
+    await assert.rejects(importBundle(target, bundleFile), /Bundle failed integrity checks: vca\/renders/)
+    assert.equal(fs.existsSync(path.join(target, 'hashes')), false)
+    assert.deepEqual(fs.readdirSync(path.join(target, 'outputs')), [])
+  })
+
+  it('rejects a truncated bundle', async () => {
+    await exportBundle(source, bundleFile)
+    fs.truncateSync(bundleFile, Math.floor(fs.statSync(bundleFile).size / 2))
+    await assert.rejects(importBundle(target, bundleFile), /Failed to read bundle/)
+  })
+
+  it('keeps cached outputs on conflict but adds a missing pointer', async () => {
+    await exportBundle(source, bundleFile, { patterns: ['vca/renders'] })
+    addEntry(target, 'vca/renders', 'b', { 'a.png': 'local' })
+    fs.rmSync(pointerPath(target, 'vca/renders', 'b'))
+
+    const { imported, skipped } = await importBundle(target, bundleFile)
+
+    assert.deepEqual(imported, [])
+    assert.equal(skipped.length, 1)
+    assert.equal(fs.readFileSync(path.join(outputPath(target, 'b'), 'a.png'), 'utf8'), 'local')
+    assert.equal(fs.existsSync(pointerPath(target, 'vca/renders', 'b')), true)
+  })
+
+  it('replaces cached outputs with the overwrite policy and fails with the fail policy', async () => {
+    await exportBundle(source, bundleFile, { patterns: ['vca/renders'] })
+    addEntry(target, 'vca/renders', 'b', { 'a.png': 'local' })
+
+    await assert.rejects(importBundle(target, bundleFile, { conflict: 'fail' }), /conflicts with cached outputs/)
+    await importBundle(target, bundleFile, { conflict: 'overwrite' })
+    assert.equal(fs.readFileSync(path.join(outputPath(target, 'b'), 'a.png'), 'utf8'), 'new')
+  })
+})
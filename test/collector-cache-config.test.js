@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const {
+  resolveCacheRoot,
+  resolveReportDir,
+  readPlaybookConfig,
+  resolveForcePatterns,
+  findEntryPattern,
+} = require('../extensions/collector-cache-config')
+const { createTempDir } = require('./fixtures')
+
+describe('resolveCacheRoot', () => {
+  let dir, cleanup
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+  })
+
+  afterEach(() => cleanup())
+
+  it('prefers the environment, then the component, then the extension config', () => {
+    const env = { COLLECTOR_CACHE_DIR: 'from-env' }
+    const extensionConfig = { cacheDir: 'from-playbook' }
+    const componentConfig = { cacheDir: 'from-component', entries: [] }
+    assert.deepEqual(resolveCacheRoot(dir, extensionConfig, componentConfig, env),
+      { cacheRoot: path.join(dir, 'from-env'), source: 'COLLECTOR_CACHE_DIR' })
+    assert.deepEqual(resolveCacheRoot(dir, extensionConfig, componentConfig, {}),
+      { cacheRoot: path.join(dir, 'from-component'), source: 'ext.collectorCache.cacheDir' })
+    assert.deepEqual(resolveCacheRoot(dir, extensionConfig, [], {}),
+      { cacheRoot: path.join(dir, 'from-playbook'), source: 'extension config cacheDir' })
+    assert.deepEqual(resolveCacheRoot(dir, {}, {}, {}),
+      { cacheRoot: path.join(dir, '.cache/antora/collector-cache'), source: 'default' })
+  })
+
+  it('creates the cache directory and keeps absolute paths', () => {
+    const absolute = path.join(dir, 'shared', 'cache')
+    assert.equal(resolveCacheRoot(path.join(dir, 'docs'), { cacheDir: absolute }, {}, {}).cacheRoot, absolute)
+    assert.equal(fs.statSync(absolute).isDirectory(), true)
+  })
+
+  it('rejects a cache directory that is a file', () => {
+    fs.writeFileSync(path.join(dir, 'cache'), '')
+    assert.throws(() => resolveCacheRoot(dir, { cacheDir: 'cache' }, {}, {}),
+      /Collector cache directory from extension config cacheDir is not a directory/)
+  })
+})
+
+describe('resolveReportDir', () => {
+  it('prefers the environment over the extension config', () => {
+    assert.equal(resolveReportDir('/docs', { reportDir: 'reports' }, {}), path.resolve('/docs/reports'))
+    assert.equal(resolveReportDir('/docs', { reportDir: 'reports' }, { COLLECTOR_CACHE_REPORT_DIR: '/tmp/reports' }),
+      path.resolve('/tmp/reports'))
+    assert.equal(resolveReportDir('/docs', {}, {}), path.resolve('/docs/build/collector-cache'))
+  })
+})
+
+describe('readPlaybookConfig', () => {
+  let dir, cleanup
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+  })
+
+  afterEach(() => cleanup())
+
+  it('reads the extension config and the components of local content sources', () => {
+    fs.mkdirSync(path.join(dir, 'module', 'docs'), { recursive: true })
+    fs.writeFileSync(path.join(dir, 'module', 'docs', 'antora.yml'),
+      'name: quad-vca\next:\n  collectorCache:\n    cacheDir: /var/cache/collector\n    entries: []\n')
+    fs.writeFileSync(path.join(dir, 'antora-playbook.yml'), [
+      'antora:',
+      '  extensions:',
+      '  - require: ./extensions/collector-cache-extension.js',
+      '    cache_dir: .cache/collector',
+      '    report_dir: reports',
+      'content:',
+      '  sources:',
+      '  - url: ./module',
+      '    start_path: docs',
+      '  - url: https://github.com/example/remote.git',
+      '',
+    ].join('\n'))
+
+    const settings = readPlaybookConfig(path.join(dir, 'antora-playbook.yml'))
+    assert.equal(settings.dir, dir)
+    assert.deepEqual(settings.extensionConfig, { cacheDir: '.cache/collector', reportDir: 'reports' })
+    assert.deepEqual(settings.components, [{
+      name: 'quad-vca',
+      worktree: path.join(dir, 'module'),
+      config: { cacheDir: '/var/cache/collector', entries: [] },
+    }])
+  })
+})
+
+describe('resolveForcePatterns', () => {
+  it('prefers FORCE_COLLECTOR over the force extension option', () => {
+    assert.deepEqual(resolveForcePatterns(['quad-vca/renders'], {}), ['quad-vca/renders'])
+    assert.deepEqual(resolveForcePatterns(['quad-vca/renders'], { FORCE_COLLECTOR: 'false' }), [])
+    assert.deepEqual(resolveForcePatterns(undefined, { FORCE_COLLECTOR: 'true' }), ['*/*'])
+    assert.deepEqual(resolveForcePatterns(true, {}), ['*/*'])
+  })
+
+  it('splits comma-separated patterns and completes component names', () => {
+    assert.deepEqual(resolveForcePatterns(undefined, { FORCE_COLLECTOR: ' quad-vca , */renders,' }),
+      ['quad-vca/*', '*/renders'])
+  })
+})
+
+describe('findEntryPattern', () => {
+  it('returns the first pattern matching the component and key', () => {
+    const patterns = ['quad-vca/bom', '*/renders', 'mixer-*/*']
+    assert.equal(findEntryPattern(patterns, 'quad-vca', 'renders'), '*/renders')
+    assert.equal(findEntryPattern(patterns, 'mixer-4ch', 'ibom'), 'mixer-*/*')
+    assert.equal(findEntryPattern(patterns, 'quad-vca', 'ibom'), undefined)
+  })
+
+  it('does not match / with * or treat other characters as regular expressions', () => {
+    assert.equal(findEntryPattern(['*'], 'quad-vca', 'renders'), undefined)
+    assert.equal(findEntryPattern(['quad.vca/*'], 'quadxvca', 'renders'), undefined)
+  })
+})
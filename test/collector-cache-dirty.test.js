@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { resolveGcPolicy } = require('../extensions/collector-cache-gc')
+const {
+  resolveDirtyPolicy,
+  dirtyCacheRoot,
+  dirtyGcPolicy,
+  collectDirtyGarbage,
+} = require('../extensions/collector-cache-dirty')
+const { createTempDir, addEntry, contentHash } = require('./fixtures')
+
+const DAY = 24 * 60 * 60 * 1000
+
+describe('resolveDirtyPolicy', () => {
+  it('shares the cache by default and isolates with a 7 day maximum age', () => {
+    assert.deepEqual(resolveDirtyPolicy({}, {}), { mode: 'shared', maxAge: 7 * DAY })
+    assert.deepEqual(resolveDirtyPolicy('isolate', {}), { mode: 'isolate', maxAge: 7 * DAY })
+  })
+
+  it('lets the environment override the extension config', () => {
+    const env = { COLLECTOR_CACHE_DIRTY: 'isolate', COLLECTOR_CACHE_DIRTY_MAX_AGE: '2d' }
+    assert.deepEqual(resolveDirtyPolicy({ mode: 'shared', maxAge: '30d' }, env), { mode: 'isolate', maxAge: 2 * DAY })
+  })
+
+  it('rejects an unknown mode', () => {
+    assert.throws(() => resolveDirtyPolicy('separate', {}), /Invalid dirty worktree mode: separate/)
+  })
+})
+
+describe('dirtyGcPolicy', () => {
+  it('uses the shorter of both maximum ages', () => {
+    const dirtyPolicy = { mode: 'isolate', maxAge: 7 * DAY }
+    assert.equal(dirtyGcPolicy({ keepLast: 2 }, dirtyPolicy).maxAge, 7 * DAY)
+    assert.equal(dirtyGcPolicy({ maxAge: DAY }, dirtyPolicy).maxAge, DAY)
+    assert.equal(dirtyGcPolicy({ maxAge: 30 * DAY }, dirtyPolicy).keepLast, undefined)
+  })
+})
+
+describe('collectDirtyGarbage', () => {
+  let cacheRoot, cleanup, expired, recent
+
+  beforeEach(() => {
+    ;({ dir: cacheRoot, cleanup } = createTempDir())
+    expired = addEntry(dirtyCacheRoot(cacheRoot), 'vca/renders', 'a', { 'a.png': 'a' }, { age: 10 * DAY })
+    recent = addEntry(dirtyCacheRoot(cacheRoot), 'vca/renders', 'b', { 'a.png': 'b' }, { age: DAY })
+  })
+
+  afterEach(() => cleanup())
+
+  it('expires isolated dirty outputs without a retention policy for the cache', () => {
+    const gcPolicy = resolveGcPolicy({}, {})
+    assert.equal(gcPolicy.auto, false)
+
+    const stats = collectDirtyGarbage(cacheRoot, gcPolicy, resolveDirtyPolicy('isolate', {}))
+
+    assert.equal(stats.pointersRemoved, 1)
+    assert.equal(fs.existsSync(expired.pointerPath), false)
+    assert.equal(fs.existsSync(path.join(dirtyCacheRoot(cacheRoot), 'outputs', contentHash('a'))), false)
+    assert.equal(fs.existsSync(recent.outputPath), true)
+  })
+
+  it('keeps outputs used by the build', () => {
+    collectDirtyGarbage(cacheRoot, {}, resolveDirtyPolicy('isolate', {}), { keep: new Set([contentHash('a')]) })
+    assert.equal(fs.existsSync(expired.outputPath), true)
+  })
+
+  it('leaves the dirty namespace alone when dirty worktrees share the cache', () => {
+    assert.equal(collectDirtyGarbage(cacheRoot, {}, resolveDirtyPolicy('shared', {})), null)
+    assert.equal(fs.existsSync(expired.pointerPath), true)
+  })
+})
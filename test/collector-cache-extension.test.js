@@ -0,0 +1,207 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { createTempDir, createWorktree, contentAggregate, registerExtension } = require('./fixtures')
+
+const renders = {
+  run: { key: 'renders', command: 'make renders', sources: ['board.kicad_pcb'], cacheDir: 'build/renders' },
+  scan: { dir: 'build/renders', files: '**/*.svg', into: 'modules:ROOT:image$' },
+}
+
+describe('collector cache extension', () => {
+  let dir, worktree, cacheRoot, playbook, cleanup, env
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    dir = temp.dir
+    cleanup = temp.cleanup
+    worktree = path.join(dir, 'module')
+    cacheRoot = path.join(dir, 'cache')
+    playbook = { dir, runtime: {} }
+    createWorktree(worktree, { 'board.kicad_pcb': '(kicad_pcb)' })
+    env = { ...process.env }
+    for (const name of Object.keys(process.env)) {
+      if (name.startsWith('COLLECTOR_CACHE_') || name === 'DRY_RUN') delete process.env[name]
+    }
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    process.env = env
+    cleanup()
+  })
+
+  // Build once, running the collector of every MISS, and return the extension of the build
+  const build = async (config, entries) => {
+    const extension = registerExtension({ cacheDir: cacheRoot, ...config })
+    await extension.emit('contentAggregated', { contentAggregate: contentAggregate(worktree, entries), playbook })
+    if (extension.context.stopped) return extension
+    for (const { run } of entries) {
+      fs.mkdirSync(path.join(worktree, run.cacheDir), { recursive: true })
+      fs.writeFileSync(path.join(worktree, run.cacheDir, 'front.svg'), '<svg/>')
+    }
+    extension.emit('contentClassified')
+    await extension.emit('beforePublish', { playbook })
+    return extension
+  }
+  const extractedBuilds = () => {
+    const extracted = path.join(cacheRoot, 'extracted')
+    return fs.existsSync(extracted) ? fs.readdirSync(extracted) : []
+  }
+
+  const readMisses = () => JSON.parse(fs.readFileSync(path.join(dir, 'reports', 'miss-report.json'), 'utf8')).misses
+
+  describe('cache directories', () => {
+    it('store, look up and scan outputs in the component\'s cacheDir', async () => {
+      const componentCacheRoot = path.join(dir, 'component-cache')
+      const build = async (entries) => {
+        const aggregate = contentAggregate(worktree, entries)
+        aggregate[0].origins[0].descriptor.ext.collectorCache.cacheDir = componentCacheRoot
+        const extension = registerExtension({ cacheDir: cacheRoot })
+        await extension.emit('contentAggregated', { contentAggregate: aggregate, playbook })
+        const { collector } = aggregate[0].origins[0].descriptor.ext
+        // Cached outputs are scanned by a no-op collector entry
+        if (collector.some(({ run }) => run.command !== 'true')) {
+          fs.mkdirSync(path.join(worktree, 'build/renders'), { recursive: true })
+          fs.writeFileSync(path.join(worktree, 'build/renders/front.svg'), '<svg/>')
+        }
+        await extension.emit('beforePublish', { playbook })
+        return collector
+      }
+      const restoring = { ...renders, run: { ...renders.run, restoreToWorktree: ['*.svg'] } }
+
+      await build([restoring])
+      fs.rmSync(path.join(worktree, 'build'), { recursive: true })
+      const [collector] = await build([restoring])
+
+      const [pointer] = fs.readdirSync(path.join(componentCacheRoot, 'hashes', 'modules', 'renders'))
+      const outputDir = path.basename(pointer, '.json')
+      assert.equal(collector.run.command, 'true')
+      assert.equal(collector.scan[0].dir, path.join(componentCacheRoot, 'outputs', outputDir, 'build/renders'))
+      assert.equal(fs.readFileSync(path.join(worktree, 'build/renders/front.svg'), 'utf8'), '<svg/>')
+      assert.equal(fs.existsSync(path.join(cacheRoot, 'hashes')), false)
+    })
+  })
+
+  describe('dependencies', () => {
+    it('run before their dependents and rerun them when they miss', async () => {
+      const bom = {
+        run: { key: 'bom', command: 'make bom', sources: ['bom.csv'], cacheDir: 'build/bom', dependsOn: ['renders'] },
+      }
+      fs.writeFileSync(path.join(worktree, 'bom.csv'), 'R1,10k')
+      const config = { reportDir: 'reports' }
+      await build(config, [bom, renders])
+      await build(config, [bom, renders])
+      assert.deepEqual(readMisses(), [])
+
+      fs.writeFileSync(path.join(worktree, 'board.kicad_pcb'), '(kicad_pcb (edited))')
+      const aggregate = contentAggregate(worktree, [bom, renders])
+      await registerExtension({ cacheDir: cacheRoot, ...config })
+        .emit('contentAggregated', { contentAggregate: aggregate, playbook })
+
+      const { collector } = aggregate[0].origins[0].descriptor.ext
+      assert.deepEqual(collector.map(({ run }) => run.key), ['renders', 'bom'])
+      assert.deepEqual(readMisses().map(({ key, reason }) => [key, reason]),
+        [['renders', 'no cache entry'], ['bom', 'no cache entry']])
+      assert.deepEqual(readMisses()[1].changed, ['board.kicad_pcb'])
+    })
+
+    it('rerun their dependents when they rerun with unchanged sources', async () => {
+      const bom = { run: { ...renders.run, key: 'bom', cacheDir: 'build/bom', dependsOn: ['renders'] } }
+      await build({ reportDir: 'reports' }, [renders, bom])
+      await build({ reportDir: 'reports', force: 'modules/renders' }, [renders, bom])
+
+      assert.deepEqual(readMisses().map(({ key, reason }) => [key, reason]),
+        [['renders', 'forced (modules/renders)'], ['bom', 'dependency renders missed']])
+    })
+  })
+
+  describe('dry runs', () => {
+    const bom = {
+      run: { key: 'bom', command: 'make bom', sources: ['board.kicad_pcb'], cacheDir: 'build/bom' },
+    }
+
+    it('write the plan and stop the build without running collectors', async () => {
+      await build({ reportDir: 'reports' }, [renders])
+      process.env.DRY_RUN = 'true'
+      const exit = mock.method(process, 'exit', () => {})
+      const aggregate = contentAggregate(worktree, [renders, bom])
+      const extension = registerExtension({ cacheDir: cacheRoot, reportDir: 'reports' })
+      await extension.emit('contentAggregated', { contentAggregate: aggregate, playbook })
+
+      assert.equal(extension.context.stopped, true)
+      assert.equal(exit.mock.callCount(), 0)
+      const plan = JSON.parse(fs.readFileSync(path.join(dir, 'reports', 'dry-run-plan.json'), 'utf8'))
+      assert.deepEqual(plan.summary, { entries: 2, hits: 1, misses: 1 })
+      assert.deepEqual(plan.entries.map(({ key, status, reason }) => [key, status, reason]),
+        [['renders', 'HIT', 'cached'], ['bom', 'MISS', 'no cache entry']])
+      assert.equal(fs.existsSync(path.join(cacheRoot, 'hashes', 'modules', 'bom')), false)
+    })
+  })
+
+  describe('cache misses', () => {
+    const config = { dirty: 'isolate', reportDir: 'reports' }
+
+    it('are explained against the clean cache when the dirty worktree cache has no version', async () => {
+      await build(config, [renders])
+      fs.writeFileSync(path.join(worktree, 'board.kicad_pcb'), '(kicad_pcb (edited))')
+      await build(config, [renders])
+
+      const [miss] = readMisses()
+      assert.equal(miss.reason, 'no cache entry')
+      assert.deepEqual(miss.dirtySources, ['board.kicad_pcb'])
+      assert.equal(miss.previous.dirty, undefined)
+      assert.deepEqual(miss.changed, ['board.kicad_pcb'])
+    })
+
+    it('are explained against the dirty worktree cache before the clean cache', async () => {
+      await build(config, [renders])
+      fs.writeFileSync(path.join(worktree, 'board.kicad_pcb'), '(kicad_pcb (edited))')
+      await build(config, [renders])
+      const dirtyHash = readMisses()[0].contentHash
+      fs.writeFileSync(path.join(worktree, 'board.kicad_pcb'), '(kicad_pcb (edited again))')
+      const { logs } = await build(config, [renders])
+
+      const [miss] = readMisses()
+      assert.equal(miss.previous.contentHash, dirtyHash)
+      assert.equal(miss.previous.dirty, true)
+      assert.deepEqual(miss.changed, ['board.kicad_pcb'])
+      const compared = `Compared to ${dirtyHash.substring(0, 12)}... (dirty worktree`
+      assert.ok(logs.some(({ message }) => message.includes(compared)))
+    })
+  })
+
+  describe('archived outputs', () => {
+    it('are removed after the build has scanned them', async () => {
+      await build({ storage: 'archive' }, [renders])
+      const { logs } = await build({ storage: 'archive' }, [renders])
+      assert.ok(logs.some(({ message }) => message.startsWith('Cache HIT for modules/renders')))
+      assert.deepEqual(extractedBuilds(), [])
+    })
+
+    it('are removed when a dry run stops the build', async () => {
+      await build({ storage: 'archive' }, [renders])
+      process.env.DRY_RUN = 'true'
+      const { context, logs } = await build({ storage: 'archive' }, [renders])
+      assert.equal(context.stopped, true)
+      assert.ok(logs.some(({ message }) => message.startsWith('Cache HIT for modules/renders')))
+      assert.deepEqual(extractedBuilds(), [])
+    })
+
+    it('are removed when a failing sourceCommand fails the build', async () => {
+      await build({ storage: 'archive' }, [renders])
+      const bom = {
+        run: {
+          key: 'bom',
+          command: 'make bom',
+          sources: ['board.kicad_pcb'],
+          sourceCommands: [{ command: 'exit 1', onFailure: 'fail' }],
+          cacheDir: 'build/bom',
+        },
+      }
+      await assert.rejects(build({ storage: 'archive' }, [renders, bom]), /sourceCommands failed: modules\/bom/)
+      assert.deepEqual(extractedBuilds(), [])
+    })
+  })
+})
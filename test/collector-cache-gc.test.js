@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { collectGarbage, resolveGcPolicy } = require('../extensions/collector-cache-gc')
+const { createTempDir, addEntry, contentHash } = require('./fixtures')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+describe('resolveGcPolicy', () => {
+  it('disables automatic GC without retention limits', () => {
+    assert.equal(resolveGcPolicy({}, {}).auto, false)
+  })
+
+  it('enables automatic GC when a retention limit is configured', () => {
+    assert.deepEqual(resolveGcPolicy({ keepLast: 2 }, {}), {
+      keepLast: 2,
+      maxSize: undefined,
+      maxAge: undefined,
+      auto: true,
+    })
+    assert.equal(resolveGcPolicy({}, { COLLECTOR_CACHE_GC_MAX_AGE: '30d' }).maxAge, 30 * DAY)
+    assert.equal(resolveGcPolicy({}, { COLLECTOR_CACHE_GC_MAX_SIZE: '2GB' }).auto, true)
+  })
+
+  it('lets auto and COLLECTOR_CACHE_GC override the default', () => {
+    assert.equal(resolveGcPolicy({ keepLast: 2, auto: false }, {}).auto, false)
+    assert.equal(resolveGcPolicy({ auto: true }, {}).auto, true)
+    assert.equal(resolveGcPolicy({ keepLast: 2 }, { COLLECTOR_CACHE_GC: 'false' }).auto, false)
+  })
+
+  it('rejects an invalid keepLast', () => {
+    assert.throws(() => resolveGcPolicy({ keepLast: 0 }, {}), /Invalid keepLast/)
+  })
+})
+
+describe('collectGarbage', () => {
+  let cacheRoot, cleanup
+
+  beforeEach(() => {
+    ;({ dir: cacheRoot, cleanup } = createTempDir())
+  })
+
+  afterEach(() => cleanup())
+
+  const outputExists = (digit) => fs.existsSync(path.join(cacheRoot, 'outputs', contentHash(digit)))
+
+  it('keeps only the latest versions of every entry with keepLast', () => {
+    addEntry(cacheRoot, 'vca/renders', 'a', { 'a.png': 'a' }, { age: 3 * HOUR })
+    addEntry(cacheRoot, 'vca/renders', 'b', { 'a.png': 'b' }, { age: 2 * HOUR })
+    addEntry(cacheRoot, 'vca/renders', 'c', { 'a.png': 'c' }, { age: HOUR })
+    addEntry(cacheRoot, 'vco/ibom', 'd', { 'i.html': 'd' }, { age: 5 * HOUR })
+
+    const stats = collectGarbage(cacheRoot, { keepLast: 1 })
+
+    assert.equal(stats.pointersRemoved, 2)
+    assert.equal(stats.outputsRemoved, 2)
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(outputExists), [false, false, true, true])
+  })
+
+  it('removes versions older than maxAge', () => {
+    const old = addEntry(cacheRoot, 'vco/step', 'a', { 'm.step': 'a' }, { age: 40 * DAY })
+    addEntry(cacheRoot, 'vco/step', 'b', { 'm.step': 'b' }, { age: HOUR })
+
+    collectGarbage(cacheRoot, { maxAge: 30 * DAY })
+
+    assert.equal(fs.existsSync(old.pointerPath), false)
+    assert.deepEqual(['a', 'b'].map(outputExists), [false, true])
+  })
+
+  it('evicts the least recently cached outputs beyond maxSize', () => {
+    addEntry(cacheRoot, 'vca/renders', 'a', { 'a.png': 'x'.repeat(5000) }, { age: 2 * HOUR })
+    addEntry(cacheRoot, 'vcf/renders', 'b', { 'a.png': 'y'.repeat(6000) }, { age: HOUR })
+
+    const stats = collectGarbage(cacheRoot, { maxSize: 7000 })
+
+    assert.deepEqual(['a', 'b'].map(outputExists), [false, true])
+    assert.equal(stats.bytesFreed > 5000, true)
+  })
+
+  it('never evicts kept or locked outputs', () => {
+    addEntry(cacheRoot, 'vca/renders', 'a', { 'a.png': 'a' }, { age: 3 * HOUR })
+    addEntry(cacheRoot, 'vca/renders', 'b', { 'a.png': 'b' }, { age: 2 * HOUR })
+    addEntry(cacheRoot, 'vca/renders', 'c', { 'a.png': 'c' }, { age: HOUR })
+    const lockPath = path.join(cacheRoot, 'locks', `${contentHash('b')}.lock`)
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true })
+    fs.writeFileSync(lockPath, JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      created: new Date().toISOString(),
+    }))
+
+    collectGarbage(cacheRoot, { keepLast: 1 }, { keep: new Set([contentHash('a')]) })
+
+    assert.deepEqual(['a', 'b', 'c'].map(outputExists), [true, true, true])
+  })
+
+  it('removes dangling pointers and unreferenced outputs without retention limits', () => {
+    const dangling = addEntry(cacheRoot, 'vca/renders', 'a', { 'a.png': 'a' })
+    fs.rmSync(path.join(cacheRoot, 'outputs', contentHash('a')), { recursive: true })
+    const unreferenced = addEntry(cacheRoot, 'vca/ibom', 'b', { 'i.html': 'b' })
+    fs.rmSync(unreferenced.pointerPath)
+    addEntry(cacheRoot, 'vco/step', 'c', { 'm.step': 'c' })
+
+    const stats = collectGarbage(cacheRoot, {})
+
+    assert.equal(fs.existsSync(dangling.pointerPath), false)
+    assert.deepEqual(['b', 'c'].map(outputExists), [false, true])
+    assert.equal(stats.pointersRemoved, 1)
+    assert.equal(stats.outputsRemoved, 1)
+  })
+
+  it('removes nothing in a dry run', () => {
+    const old = addEntry(cacheRoot, 'vca/renders', 'a', { 'a.png': 'a' }, { age: 2 * HOUR })
+    addEntry(cacheRoot, 'vca/renders', 'b', { 'a.png': 'b' }, { age: HOUR })
+
+    const stats = collectGarbage(cacheRoot, { keepLast: 1 }, { dryRun: true })
+
+    assert.equal(stats.outputsRemoved, 1)
+    assert.equal(fs.existsSync(old.pointerPath), true)
+    assert.deepEqual(['a', 'b'].map(outputExists), [true, true])
+  })
+})
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { resolveSourceHashMode, computeGitHashes, findDirtySources } = require('../extensions/collector-cache-git')
+const { createTempDir, createWorktree } = require('./fixtures')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+const hashObject = (file) => spawnSync('git', ['hash-object', file], { encoding: 'utf8' }).stdout.trim()
+
+describe('computeGitHashes', () => {
+  let worktree, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    worktree = temp.dir
+    cleanup = temp.cleanup
+    createWorktree(worktree, { 'board.kicad_pcb': '(kicad_pcb)', 'models/knob.step': 'knob' })
+  })
+
+  afterEach(() => cleanup())
+
+  it('fingerprints sources by their git blob ID', async () => {
+    const hashes = await computeGitHashes(worktree, undefined, ['board.kicad_pcb', 'models'],
+      logger, 'quad-vca', 'step')
+    assert.deepEqual(hashes, {
+      'board.kicad_pcb': hashObject(path.join(worktree, 'board.kicad_pcb')),
+      'models/knob.step': hashObject(path.join(worktree, 'models/knob.step')),
+    })
+  })
+
+  it('hashes modified and untracked files with the blob algorithm', async () => {
+    fs.writeFileSync(path.join(worktree, 'board.kicad_pcb'), '(kicad_pcb (edited))')
+    fs.writeFileSync(path.join(worktree, 'models/jack.step'), 'jack')
+    const hashes = await computeGitHashes(worktree, path.join(worktree, '.git'), ['board.kicad_pcb', 'models'],
+      logger, 'quad-vca', 'step')
+    assert.equal(hashes['board.kicad_pcb'], hashObject(path.join(worktree, 'board.kicad_pcb')))
+    assert.equal(hashes['models/jack.step'], hashObject(path.join(worktree, 'models/jack.step')))
+  })
+
+  it('returns null when a source is missing', async () => {
+    assert.equal(await computeGitHashes(worktree, undefined, ['missing.step'], logger, 'quad-vca', 'step'), null)
+  })
+})
+
+describe('findDirtySources', () => {
+  let worktree, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    worktree = temp.dir
+    cleanup = temp.cleanup
+    createWorktree(worktree, { 'board.kicad_pcb': '(kicad_pcb)', 'models/knob.step': 'knob' })
+  })
+
+  afterEach(() => cleanup())
+
+  it('finds modified and untracked sources', async () => {
+    const files = ['board.kicad_pcb', 'models/jack.step', 'models/knob.step']
+    assert.deepEqual(await findDirtySources(worktree, undefined, files.filter((file) => !file.includes('jack'))), [])
+
+    fs.writeFileSync(path.join(worktree, 'models/knob.step'), 'knob v2')
+    fs.writeFileSync(path.join(worktree, 'models/jack.step'), 'jack')
+    assert.deepEqual(await findDirtySources(worktree, undefined, files), ['models/jack.step', 'models/knob.step'])
+  })
+})
+
+describe('resolveSourceHashMode', () => {
+  it('prefers COLLECTOR_CACHE_SOURCE_HASH over the extension option', () => {
+    assert.equal(resolveSourceHashMode(undefined, {}), 'content')
+    assert.equal(resolveSourceHashMode('git', {}), 'git')
+    assert.equal(resolveSourceHashMode('git', { COLLECTOR_CACHE_SOURCE_HASH: 'content' }), 'content')
+    assert.throws(() => resolveSourceHashMode('mtime', {}), /Invalid source hash mode: mtime/)
+  })
+})
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { sortEntries, dependencyMap, resolveDependencySources } = require('../extensions/collector-cache-graph')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+const entry = (key, run = {}) => ({ run: { key, sources: [`${key}.src`], ...run } })
+const keys = (entries) => entries.map(({ run }) => run.key)
+
+describe('sortEntries', () => {
+  it('orders entries after their dependencies and keeps the configured order otherwise', () => {
+    const entries = [
+      entry('renders', { dependsOn: ['step'] }),
+      entry('bom'),
+      entry('step', { dependson: ['models'] }),
+      entry('models'),
+    ]
+    assert.deepEqual(keys(sortEntries(entries)), ['models', 'step', 'renders', 'bom'])
+  })
+
+  it('ignores unknown dependencies', () => {
+    assert.deepEqual(keys(sortEntries([entry('renders', { dependsOn: ['missing'] }), entry('bom')])),
+      ['renders', 'bom'])
+  })
+
+  it('names the entries of a cycle', () => {
+    const entries = ['b', 'c', 'a'].map((dependency, index) => entry('abc'[index], { dependsOn: [dependency] }))
+    assert.throws(() => sortEntries(entries), /Circular dependency between collector-cache entries: a -> b -> c -> a/)
+  })
+})
+
+describe('resolveDependencySources', () => {
+  it('collects the sources and source commands of all transitive dependencies', () => {
+    const entriesMap = dependencyMap([
+      entry('models', { sourceCommands: ['./list-models.sh'] }),
+      entry('step', { dependsOn: ['models'] }),
+      entry('renders', { dependsOn: ['step'] }),
+    ])
+    const resolved = resolveDependencySources(entriesMap, ['step'], new Set(['renders']), logger, 'quad-vca', 'renders')
+    assert.deepEqual(resolved, {
+      sources: ['step.src', 'models.src'],
+      sourceCommands: ['./list-models.sh'],
+      keys: ['step', 'models'],
+    })
+  })
+
+  it('warns about unknown and circular dependencies', () => {
+    const warnings = []
+    const entriesMap = dependencyMap([entry('a', { dependsOn: ['b'] }), entry('b', { dependsOn: ['a', 'missing'] })])
+    const result = resolveDependencySources(entriesMap, ['b'], new Set(['a']),
+      { ...logger, warn: (message) => warnings.push(message) }, 'quad-vca', 'a')
+    assert.deepEqual(result.keys, ['b'])
+    assert.deepEqual(warnings, [
+      'Circular dependency detected: b -> a',
+      'Dependency not found: missing (required by b)',
+    ])
+  })
+})
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const {
+  computeHashes,
+  computeContentHash,
+  computeKeyInputs,
+  hasPatternSources,
+} = require('../extensions/collector-cache-hash')
+const { createTempDir } = require('./fixtures')
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+describe('computeHashes', () => {
+  let dir, cleanup
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+    const files = {
+      'board.kicad_pcb': 'board',
+      'models/knob.step': 'knob',
+      'models/jack.step': 'jack',
+      'models/tmp/knob.step~': 'backup',
+      'models/.gitignore': 'tmp/\n',
+      'scripts/render.py': 'render',
+    }
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true })
+      fs.writeFileSync(path.join(dir, name), content)
+    }
+  })
+
+  afterEach(() => cleanup())
+
+  it('hashes file sources by the path they are given as', () => {
+    assert.deepEqual(computeHashes(dir, ['board.kicad_pcb'], logger), { 'board.kicad_pcb': sha256('board') })
+  })
+
+  it('expands directories and globs, honoring .gitignore files', () => {
+    assert.deepEqual(Object.keys(computeHashes(dir, ['models'], logger)),
+      ['models/.gitignore', 'models/jack.step', 'models/knob.step'])
+    assert.deepEqual(computeHashes(dir, ['**/*.step', 'scripts/'], logger), {
+      'models/jack.step': sha256('jack'),
+      'models/knob.step': sha256('knob'),
+      'scripts/render.py': sha256('render'),
+    })
+  })
+
+  it('applies ignore patterns and can include ignored files', () => {
+    assert.deepEqual(Object.keys(computeHashes(dir, ['models'], logger, 'modules', 'renders', {
+      ignore: ['**/.gitignore', '**/jack.*'],
+      gitignore: false,
+    })), ['models/knob.step', 'models/tmp/knob.step~'])
+  })
+
+  it('returns null when a file is missing or a pattern matches nothing', () => {
+    assert.equal(computeHashes(dir, ['board.kicad_pcb', 'missing.kicad_sch'], logger), null)
+    assert.equal(computeHashes(dir, ['**/*.wrl'], logger), null)
+  })
+
+  it('tells pattern sources from files', () => {
+    assert.equal(hasPatternSources(dir, ['board.kicad_pcb']), false)
+    assert.equal(hasPatternSources(dir, ['board.kicad_pcb', 'models']), true)
+    assert.equal(hasPatternSources(dir, ['**/*.step']), true)
+  })
+})
+
+describe('computeContentHash', () => {
+  const sourceHashes = { 'step.kicad_pcb': sha256('step'), 'render.py': sha256('render') }
+
+  it('hashes the source hashes in path order without key inputs', () => {
+    assert.equal(computeContentHash(sourceHashes), sha256(sha256('render') + sha256('step')))
+    assert.equal(computeContentHash(sourceHashes, null), computeContentHash(sourceHashes))
+  })
+
+  it('changes with the key inputs but not with the order of their keys', () => {
+    const withInputs = computeContentHash(sourceHashes, { command: 'make', env: { A: '1', B: '2' } })
+    assert.notEqual(withInputs, computeContentHash(sourceHashes))
+    assert.equal(computeContentHash(sourceHashes, { env: { B: '2', A: '1' }, command: 'make' }), withInputs)
+    assert.notEqual(computeContentHash(sourceHashes, { command: 'make', env: { A: '1', B: '3' } }), withInputs)
+  })
+
+  it('changes when an expanded source is renamed if paths are included', () => {
+    const renamed = { 'step.kicad_pcb': sha256('step'), 'scripts/render.py': sha256('render') }
+    assert.equal(computeContentHash(renamed), computeContentHash(sourceHashes))
+    assert.notEqual(computeContentHash(renamed, null, { includePaths: true }),
+      computeContentHash(sourceHashes, null, { includePaths: true }))
+  })
+})
+
+describe('computeKeyInputs', () => {
+  let dir, cleanup, env
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+    env = { ...process.env }
+  })
+
+  afterEach(() => {
+    process.env = env
+    cleanup()
+  })
+
+  it('returns null when the entry declares no key inputs', async () => {
+    assert.equal(await computeKeyInputs({ command: 'make' }, dir, logger), null)
+    assert.equal(await computeKeyInputs({ command: 'make', keyInputs: {} }, dir, logger), null)
+  })
+
+  it('includes the command, environment variables and version command output', async () => {
+    process.env.COLLECTOR_TEST_SAMPLES = '64'
+    delete process.env.COLLECTOR_TEST_UNSET
+    const run = {
+      command: 'make renders',
+      keyInputs: {
+        command: true,
+        env: ['COLLECTOR_TEST_SAMPLES', 'COLLECTOR_TEST_UNSET'],
+        versionCommands: ['echo "tool 1.2.3"'],
+      },
+    }
+    assert.deepEqual(await computeKeyInputs(run, dir, logger), {
+      command: 'make renders',
+      env: { COLLECTOR_TEST_SAMPLES: '64', COLLECTOR_TEST_UNSET: null },
+      versions: { 'echo "tool 1.2.3"': 'tool 1.2.3' },
+    })
+  })
+
+  it('reads options normalized to lowercase by Antora', async () => {
+    const run = { command: 'make', keyinputs: { versioncommands: ['echo 2'] } }
+    assert.deepEqual(await computeKeyInputs(run, dir, logger), { versions: { 'echo 2': '2' } })
+  })
+
+  it('records a failing version command instead of failing', async () => {
+    const warnings = []
+    const run = { command: 'make', keyInputs: { versionCommands: ['echo broken >&2; exit 3'] } }
+    const inputs = await computeKeyInputs(run, dir, { ...logger, warn: (message) => warnings.push(message) })
+    assert.equal(inputs.versions['echo broken >&2; exit 3'], 'error: exited with code 3: broken')
+    assert.equal(warnings.length, 1)
+  })
+})
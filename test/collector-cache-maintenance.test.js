@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { cacheStatus, currentContentHashes, verifyCache } = require('../extensions/collector-cache-maintenance')
+const { createTempDir, addEntry, contentHash } = require('./fixtures')
+
+describe('verifyCache', () => {
+  let cacheRoot, cleanup, intact, corrupt, missing
+
+  beforeEach(() => {
+    ;({ dir: cacheRoot, cleanup } = createTempDir())
+    intact = addEntry(cacheRoot, 'vca/renders', 'a', { 'a.png': 'a' })
+    corrupt = addEntry(cacheRoot, 'vco/renders', 'b', { 'a.png': 'b' })
+    missing = addEntry(cacheRoot, 'vcf/renders', 'c', { 'a.png': 'c' })
+    fs.writeFileSync(path.join(corrupt.outputPath, 'a.png'), 'x')
+    fs.rmSync(missing.outputPath, { recursive: true })
+  })
+
+  afterEach(() => cleanup())
+
+  const statuses = (results) => Object.fromEntries(results.map((result) => [result.entries.join(), result.status]))
+
+  it('reports intact, corrupt and missing outputs', async () => {
+    const results = await verifyCache(cacheRoot)
+
+    assert.deepEqual(statuses(results), { 'vca/renders': 'ok', 'vco/renders': 'corrupt', 'vcf/renders': 'missing' })
+    assert.equal(fs.existsSync(corrupt.pointerPath), true)
+    assert.equal(fs.existsSync(missing.pointerPath), true)
+  })
+
+  it('checks only the selected entries', async () => {
+    const results = await verifyCache(cacheRoot, { patterns: ['vco/*'] })
+    assert.deepEqual(statuses(results), { 'vco/renders': 'corrupt' })
+  })
+
+  it('quarantines corrupt outputs and removes broken pointers with repair', async () => {
+    const results = await verifyCache(cacheRoot, { repair: true })
+
+    const repaired = results.filter((result) => result.repaired).map((result) => result.status)
+    assert.deepEqual(repaired.sort(), ['corrupt', 'missing'])
+    assert.equal(fs.existsSync(intact.pointerPath), true)
+    assert.equal(fs.existsSync(corrupt.pointerPath), false)
+    assert.equal(fs.existsSync(missing.pointerPath), false)
+    assert.equal(fs.existsSync(corrupt.outputPath), false)
+    const [quarantined] = fs.readdirSync(path.join(cacheRoot, 'quarantine'))
+    assert.match(quarantined, new RegExp(`^${contentHash('b')}-\\d+$`))
+    assert.equal(fs.readFileSync(path.join(cacheRoot, 'quarantine', quarantined, 'build/renders/a.png'), 'utf8'), 'x')
+
+    assert.deepEqual(statuses(await verifyCache(cacheRoot)), { 'vca/renders': 'ok' })
+  })
+})
+
+describe('cacheStatus', () => {
+  let dir, cleanup, cacheRoot, worktree, components
+
+  const logger = { debug: () => undefined, warn: () => undefined }
+  const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+  beforeEach(() => {
+    ;({ dir, cleanup } = createTempDir())
+    cacheRoot = path.join(dir, 'cache')
+    worktree = path.join(dir, 'vca')
+    fs.mkdirSync(worktree)
+    fs.writeFileSync(path.join(worktree, 'step.py'), 'step')
+    fs.writeFileSync(path.join(worktree, 'render.py'), 'render')
+    components = [{
+      name: 'vca',
+      worktree,
+      config: [
+        { run: { key: 'step', sources: ['step.py'] } },
+        { run: { key: 'renders', sources: ['render.py'], dependsOn: ['step'] } },
+        { run: { key: 'ibom', sources: ['ibom.py'] } },
+        { run: { key: 'bom', sources: [], sourceCommands: ['git ls-files'] } },
+      ],
+    }]
+  })
+
+  afterEach(() => cleanup())
+
+  // Cache outputs for a content hash as the extension does
+  const cache = (id, hash) => {
+    fs.mkdirSync(path.join(cacheRoot, 'outputs', hash, 'build'), { recursive: true })
+    fs.mkdirSync(path.join(cacheRoot, 'hashes', id), { recursive: true })
+    const pointer = { outputDir: hash, scanDir: 'build', timestamp: new Date().toISOString() }
+    fs.writeFileSync(path.join(cacheRoot, 'hashes', id, `${hash}.json`), JSON.stringify(pointer))
+  }
+  const status = async () => {
+    const current = await currentContentHashes(cacheRoot, components, { logger })
+    return Object.fromEntries(cacheStatus(cacheRoot, { current }).entries
+      .map((entry) => [entry.key, entry.current]))
+  }
+
+  it('hashes the sources on disk with those of dependencies', async () => {
+    const { step, renders } = await status()
+    assert.equal(step.contentHash, sha256(sha256('step')))
+    assert.equal(renders.contentHash, sha256(sha256('render') + sha256('step')))
+  })
+
+  it('reports the current hash as cached until a source changes', async () => {
+    cache('vca/step', sha256(sha256('step')))
+    assert.equal((await status()).step.cached, true)
+
+    fs.writeFileSync(path.join(worktree, 'step.py'), 'edited')
+    assert.deepEqual((await status()).step, { contentHash: sha256(sha256('edited')), cached: false })
+  })
+
+  it('explains entries it can not hash', async () => {
+    const { ibom, bom } = await status()
+    assert.deepEqual(ibom, { reason: 'sources missing' })
+    assert.deepEqual(bom, { reason: 'sourceCommands' })
+  })
+
+  it('uses the key inputs recorded with the latest cached version', async () => {
+    components[0].config[0].run.keyInputs = { env: ['BLENDER_SAMPLES'] }
+    assert.deepEqual((await status()).step, { reason: 'key inputs unknown' })
+
+    const inputs = { env: { BLENDER_SAMPLES: '64' } }
+    const hash = sha256(sha256('step') + '\n' + JSON.stringify(inputs))
+    cache('vca/step', hash)
+    const pointerPath = path.join(cacheRoot, 'hashes', 'vca/step', `${hash}.json`)
+    fs.writeFileSync(pointerPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(pointerPath, 'utf8')), inputs }))
+    assert.deepEqual((await status()).step, { contentHash: hash, cached: true })
+  })
+})
@@ -0,0 +1,41 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { manifestPath, writeManifest, readManifest, verifyOutputs } = require('../extensions/collector-cache-manifest')
+const { createTempDir } = require('./fixtures')
+
+describe('writeManifest', () => {
+  let outputPath, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    outputPath = path.join(temp.dir, 'outputs', 'renders')
+    cleanup = temp.cleanup
+    fs.mkdirSync(outputPath, { recursive: true })
+    fs.writeFileSync(path.join(outputPath, 'front.svg'), '<svg/>')
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    cleanup()
+  })
+
+  it('writes a manifest the outputs verify against', () => {
+    writeManifest(outputPath)
+    assert.deepEqual(Object.keys(readManifest(outputPath).files), ['front.svg'])
+    assert.equal(verifyOutputs(outputPath, 'full').ok, true)
+    assert.deepEqual(fs.readdirSync(path.dirname(outputPath)).sort(), ['.renders.manifest.json', 'renders'])
+  })
+
+  it('keeps the previous manifest when writing fails', () => {
+    writeManifest(outputPath)
+    const previous = fs.readFileSync(manifestPath(outputPath), 'utf8')
+    fs.writeFileSync(path.join(outputPath, 'back.svg'), '<svg/>')
+    mock.method(fs, 'renameSync', () => { throw new Error('disk full') })
+
+    assert.throws(() => writeManifest(outputPath), /disk full/)
+    assert.equal(fs.readFileSync(manifestPath(outputPath), 'utf8'), previous)
+    assert.deepEqual(fs.readdirSync(path.dirname(outputPath)).sort(), ['.renders.manifest.json', 'renders'])
+  })
+})
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { resolveMemoEnabled, memoPath, loadHashMemo } = require('../extensions/collector-cache-memo')
+const { createTempDir } = require('./fixtures')
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const DAY = 24 * 60 * 60 * 1000
+
+describe('loadHashMemo', () => {
+  let cacheRoot, file, cleanup
+
+  // Write a file with an mtime outside the racily clean window
+  const writeOld = (filePath, content, mtime = new Date(Date.now() - 60000)) => {
+    fs.writeFileSync(filePath, content)
+    fs.utimesSync(filePath, mtime, mtime)
+  }
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    cacheRoot = path.join(temp.dir, 'cache')
+    file = path.join(temp.dir, 'board.kicad_pcb')
+    cleanup = temp.cleanup
+    writeOld(file, 'board')
+  })
+
+  afterEach(() => cleanup())
+
+  it('reuses the hash of a file whose stat data is unchanged across builds', () => {
+    const memo = loadHashMemo(cacheRoot)
+    assert.equal(memo.hash(file), sha256('board'))
+    memo.save()
+
+    // Same size and mtime: the memo is trusted without reading the file
+    const { mtime } = fs.statSync(file)
+    writeOld(file, 'BOARD', mtime)
+    const warm = loadHashMemo(cacheRoot)
+    assert.equal(warm.hash(file), sha256('board'))
+    assert.deepEqual(warm.stats, { hits: 1, misses: 0 })
+  })
+
+  it('rehashes a file whose size or mtime changed', () => {
+    const memo = loadHashMemo(cacheRoot)
+    memo.hash(file)
+    writeOld(file, 'board v2')
+    assert.equal(memo.hash(file), sha256('board v2'))
+    assert.deepEqual(memo.stats, { hits: 0, misses: 2 })
+  })
+
+  it('does not memoize files modified right before they were hashed', () => {
+    fs.writeFileSync(file, 'board')
+    const memo = loadHashMemo(cacheRoot)
+    memo.hash(file)
+    memo.hash(file)
+    assert.deepEqual(memo.stats, { hits: 0, misses: 2 })
+  })
+
+  it('drops entries unused for 30 days and discards unreadable memos', () => {
+    const stale = { size: 1, mtimeMs: 0, ino: 0, sha256: sha256('x'), used: Date.now() - 31 * DAY }
+    fs.mkdirSync(path.dirname(memoPath(cacheRoot)), { recursive: true })
+    fs.writeFileSync(memoPath(cacheRoot), JSON.stringify({ version: 1, entries: { '/gone.step': stale } }))
+    const memo = loadHashMemo(cacheRoot)
+    memo.hash(file)
+    memo.save()
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(memoPath(cacheRoot), 'utf8')).entries), [file])
+
+    fs.writeFileSync(memoPath(cacheRoot), '{"version":')
+    assert.deepEqual(loadHashMemo(cacheRoot).stats, { hits: 0, misses: 0 })
+  })
+})
+
+describe('resolveMemoEnabled', () => {
+  it('is enabled unless the option or COLLECTOR_CACHE_MEMO is false', () => {
+    assert.equal(resolveMemoEnabled(undefined, {}), true)
+    assert.equal(resolveMemoEnabled(false, {}), false)
+    assert.equal(resolveMemoEnabled(false, { COLLECTOR_CACHE_MEMO: 'true' }), true)
+    assert.equal(resolveMemoEnabled(undefined, { COLLECTOR_CACHE_MEMO: 'false' }), false)
+  })
+})
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const {
+  resolveDedupeEnabled,
+  objectsPath,
+  dedupeDirectory,
+  evictObjects,
+} = require('../extensions/collector-cache-objects')
+const { createTempDir } = require('./fixtures')
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const objectPath = (cacheRoot, content) => {
+  const hash = sha256(content)
+  return path.join(objectsPath(cacheRoot), hash.slice(0, 2), hash)
+}
+
+describe('dedupeDirectory', () => {
+  let cacheRoot, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    cacheRoot = temp.dir
+    cleanup = temp.cleanup
+  })
+
+  afterEach(() => cleanup())
+
+  const writeOutputs = (contentHash, files) => {
+    const dir = path.join(cacheRoot, 'outputs', contentHash, 'build/renders')
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true })
+      fs.writeFileSync(path.join(dir, name), content)
+    }
+    return dir
+  }
+
+  it('stores every file once and links identical files of later outputs to it', () => {
+    const first = writeOutputs('a', { 'front.png': 'front', 'back.png': 'back' })
+    const stored = dedupeDirectory(first, cacheRoot)
+    assert.deepEqual(stored.files, {
+      'back.png': { size: 4, sha256: sha256('back') },
+      'front.png': { size: 5, sha256: sha256('front') },
+    })
+    assert.deepEqual([stored.linked, stored.bytesSaved], [0, 0])
+    assert.equal(fs.statSync(objectPath(cacheRoot, 'front')).ino, fs.statSync(path.join(first, 'front.png')).ino)
+
+    const second = writeOutputs('b', { 'front.png': 'front', 'back.png': 'back v2' })
+    const linked = dedupeDirectory(second, cacheRoot)
+    assert.deepEqual([linked.linked, linked.bytesSaved], [1, 5])
+    assert.equal(fs.statSync(path.join(second, 'front.png')).ino, fs.statSync(path.join(first, 'front.png')).ino)
+    assert.equal(fs.readFileSync(path.join(second, 'back.png'), 'utf8'), 'back v2')
+  })
+
+  it('replaces a stored object of the wrong size', () => {
+    fs.mkdirSync(path.dirname(objectPath(cacheRoot, 'front')), { recursive: true })
+    fs.writeFileSync(objectPath(cacheRoot, 'front'), 'truncated front')
+    const dir = writeOutputs('a', { 'front.png': 'front' })
+    assert.equal(dedupeDirectory(dir, cacheRoot).linked, 0)
+    assert.equal(fs.readFileSync(objectPath(cacheRoot, 'front'), 'utf8'), 'front')
+  })
+})
+
+describe('evictObjects', () => {
+  let cacheRoot, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    cacheRoot = temp.dir
+    cleanup = temp.cleanup
+  })
+
+  afterEach(() => cleanup())
+
+  it('removes the objects of corrupt linked files only', () => {
+    const dir = path.join(cacheRoot, 'outputs', 'a', 'build/renders')
+    fs.mkdirSync(dir, { recursive: true })
+    fs.writeFileSync(path.join(dir, 'front.png'), 'front')
+    fs.writeFileSync(path.join(dir, 'back.png'), 'back')
+    const { files } = dedupeDirectory(dir, cacheRoot)
+    // Corrupting a hardlinked file corrupts its object as well
+    fs.writeFileSync(path.join(dir, 'front.png'), 'FRONT')
+
+    assert.equal(evictObjects(dir, { files }, cacheRoot), 1)
+    assert.deepEqual([fs.existsSync(objectPath(cacheRoot, 'front')), fs.existsSync(objectPath(cacheRoot, 'back'))],
+      [false, true])
+  })
+})
+
+describe('resolveDedupeEnabled', () => {
+  it('is disabled unless the option or COLLECTOR_CACHE_DEDUPE is true', () => {
+    assert.equal(resolveDedupeEnabled(undefined, {}), false)
+    assert.equal(resolveDedupeEnabled(true, {}), true)
+    assert.equal(resolveDedupeEnabled(true, { COLLECTOR_CACHE_DEDUPE: 'false' }), false)
+    assert.equal(resolveDedupeEnabled(undefined, { COLLECTOR_CACHE_DEDUPE: 'true' }), true)
+  })
+})
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { explainMiss, logExplanation } = require('../extensions/collector-cache-report')
+const { createTempDir, addEntry, contentHash } = require('./fixtures')
+
+describe('explainMiss', () => {
+  let cacheRoot, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    cacheRoot = temp.dir
+    cleanup = temp.cleanup
+  })
+
+  afterEach(() => cleanup())
+
+  const keyDir = (root) => path.join(root, 'hashes', 'modules', 'renders')
+  const addPointer = (root, digit, data, age) => {
+    const { pointerPath } = addEntry(root, 'modules/renders', digit, { 'front.svg': '<svg/>' }, { age })
+    fs.writeFileSync(pointerPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(pointerPath, 'utf8')), ...data }))
+  }
+
+  it('returns null when the key was never cached', () => {
+    assert.equal(explainMiss([keyDir(cacheRoot)], { 'board.kicad_pcb': 'a' }, null), null)
+  })
+
+  it('diffs the sources and key inputs against the most recent pointer', () => {
+    addPointer(cacheRoot, 'a', { sources: { 'board.kicad_pcb': '1' } }, 60000)
+    addPointer(cacheRoot, 'b', {
+      sources: { 'board.kicad_pcb': '1', 'knob.step': '2', 'old.step': '3' },
+      inputs: { command: 'make', env: { SAMPLES: '64' } },
+    }, 1000)
+
+    const explanation = explainMiss([keyDir(cacheRoot)],
+      { 'board.kicad_pcb': '1', 'knob.step': '4', 'new.step': '5' },
+      { command: 'make', env: { SAMPLES: '128' } })
+    assert.equal(explanation.previous.contentHash, contentHash('b'))
+    assert.deepEqual(explanation.changed, ['knob.step'])
+    assert.deepEqual(explanation.added, ['new.step'])
+    assert.deepEqual(explanation.removed, ['old.step'])
+    assert.deepEqual(explanation.inputsChanged, ['env.SAMPLES'])
+  })
+
+  it('uses the first key directory that holds a pointer', () => {
+    const dirtyRoot = path.join(cacheRoot, 'dirty')
+    addPointer(cacheRoot, 'a', { sources: { 'board.kicad_pcb': '1' } }, 0)
+    assert.equal(explainMiss([keyDir(dirtyRoot), keyDir(cacheRoot)], {}, null).previous.contentHash, contentHash('a'))
+
+    addPointer(dirtyRoot, 'b', { sources: { 'board.kicad_pcb': '2' }, dirty: true }, 60000)
+    const { previous } = explainMiss([keyDir(dirtyRoot), keyDir(cacheRoot)], {}, null)
+    assert.deepEqual([previous.contentHash, previous.dirty], [contentHash('b'), true])
+  })
+})
+
+describe('logExplanation', () => {
+  const log = (explanation) => {
+    const messages = []
+    logExplanation({ info: (message) => messages.push(message) }, 'modules/renders', explanation)
+    return messages
+  }
+
+  it('logs entries that were never cached', () => {
+    assert.deepEqual(log(null), ['  modules/renders has never been cached before'])
+  })
+
+  it('summarizes the differences and lists the changed sources', () => {
+    const previous = { contentHash: contentHash('a'), timestamp: '2024-05-01T00:00:00.000Z' }
+    const changed = Array.from({ length: 22 }, (_, index) => `model${index}.step`)
+    const messages = log({ previous, changed, added: ['new.step'], removed: [], inputsChanged: ['command'] })
+    assert.equal(messages[0], `  Compared to ${contentHash('a').substring(0, 12)}... (2024-05-01T00:00:00.000Z): ` +
+      '22 changed, 1 added, 0 removed source(s), key inputs changed: command')
+    assert.equal(messages[1], '    ~ model0.step')
+    assert.equal(messages.length, 22)
+    assert.equal(messages[21], '    ... and 3 more (see report)')
+  })
+})
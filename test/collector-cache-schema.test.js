@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { validateCollectorCacheConfig, formatIssue, resolveStrict } = require('../extensions/collector-cache-schema')
+
+const entry = (run) => ({ run: { command: 'make', sources: ['board.kicad_pcb'], cacheDir: 'build/out', ...run } })
+const describeIssues = ({ issues }) => issues.map(({ severity, path, message }) => `${severity} ${path}: ${message}`)
+
+describe('validateCollectorCacheConfig', () => {
+  it('accepts valid entries, with options in camelCase or lowercase', () => {
+    const result = validateCollectorCacheConfig({
+      cacheDir: '.cache/collector',
+      entries: [entry({ key: 'renders' }), entry({ key: 'bom', dependson: ['renders'], storage: 'archive' })],
+    })
+    assert.deepEqual(result.issues, [])
+    assert.equal(result.invalidEntries.size, 0)
+  })
+
+  it('reports missing and mistyped options as errors and skips the entry', () => {
+    const invalid = { run: { key: 'renders', sources: 'board.kicad_pcb' } }
+    const result = validateCollectorCacheConfig([invalid, entry({ key: 'bom', storage: 'zip' })])
+    assert.deepEqual(describeIssues(result), [
+      'error ext.collectorCache[0].run.sources: must be an array of strings, got a string',
+      'error ext.collectorCache[0].run.cacheDir: is required',
+      'error ext.collectorCache[1].run.storage: must be one of directory, archive, got "zip"',
+    ])
+    assert.equal(result.invalidEntries.size, 2)
+    assert.equal(result.invalidEntries.has(invalid), true)
+  })
+
+  it('warns about unknown options with a suggestion, or fails in strict mode', () => {
+    const config = { entries: [{ ...entry({ key: 'renders', dependOn: [] }), sources: [] }] }
+    assert.deepEqual(describeIssues(validateCollectorCacheConfig(config)), [
+      'warning ext.collectorCache.entries[0].run.dependOn: unknown option (did you mean "dependsOn"?)',
+      'warning ext.collectorCache.entries[0].sources: unknown option (did you mean "run.sources"?)',
+    ])
+    assert.equal(validateCollectorCacheConfig(config).invalidEntries.size, 0)
+    assert.equal(validateCollectorCacheConfig(config, { strict: true }).invalidEntries.size, 1)
+  })
+
+  it('reports duplicate keys and dependencies on unknown or invalid entries', () => {
+    const result = validateCollectorCacheConfig([
+      entry({ key: 'renders' }),
+      entry({ key: 'renders' }),
+      entry({ key: 'bom', dependsOn: ['render'] }),
+      entry({ key: 'ibom', dependsOn: ['bom'] }),
+    ])
+    assert.deepEqual(describeIssues(result), [
+      'error ext.collectorCache[1].run.key: duplicate key "renders" (already used by ext.collectorCache[0])',
+      'error ext.collectorCache[2].run.dependsOn[0]: unknown entry "render" (did you mean "renders"?)',
+      'error ext.collectorCache[3].run.dependsOn[0]: depends on invalid entry "bom"',
+    ])
+  })
+
+  it('rejects a configuration that is neither a list nor an object', () => {
+    assert.deepEqual(describeIssues(validateCollectorCacheConfig('renders')), [
+      'error ext.collectorCache: must be an array of entries or an object with entries, got a string',
+    ])
+  })
+})
+
+describe('formatIssue', () => {
+  it('names the component and the entry key', () => {
+    const issue = { severity: 'error', path: 'ext.collectorCache[0].run.key', entryKey: 'renders', message: 'is taken' }
+    assert.equal(formatIssue('quad-vca', issue), 'quad-vca (key: renders): ext.collectorCache[0].run.key: is taken')
+  })
+})
+
+describe('resolveStrict', () => {
+  it('prefers COLLECTOR_CACHE_STRICT over the extension option', () => {
+    assert.equal(resolveStrict(true, {}), true)
+    assert.equal(resolveStrict(true, { COLLECTOR_CACHE_STRICT: 'false' }), false)
+    assert.equal(resolveStrict(undefined, { COLLECTOR_CACHE_STRICT: 'true' }), true)
+    assert.equal(resolveStrict(undefined, {}), false)
+  })
+})
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { resolveSourceCommandDefaults, runSourceCommands } = require('../extensions/collector-cache-source-commands')
+const { createTempDir } = require('./fixtures')
+
+const logger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+describe('runSourceCommands', () => {
+  let worktree, cacheRoot, cleanup
+
+  beforeEach(() => {
+    const temp = createTempDir()
+    worktree = path.join(temp.dir, 'module')
+    cacheRoot = path.join(temp.dir, 'cache')
+    cleanup = temp.cleanup
+    fs.mkdirSync(worktree)
+  })
+
+  afterEach(() => cleanup())
+
+  const run = (sourceCommands, options = {}) => runSourceCommands(worktree, sourceCommands, {
+    defaults: resolveSourceCommandDefaults(),
+    logger,
+    label: 'quad-vca/renders',
+    ...options,
+  })
+
+  it('collects the paths printed by every command', async () => {
+    const result = await run([
+      'printf "models/knob.step\\n\\nmodels/jack.step\\n"',
+      { command: 'echo board.kicad_pcb' },
+    ])
+    assert.deepEqual(result, { sources: ['models/knob.step', 'models/jack.step', 'board.kicad_pcb'], failures: [] })
+  })
+
+  it('reports failing commands with their failure policy', async () => {
+    const { sources, failures } = await run([
+      { command: 'echo kept; echo broken >&2; exit 2', onFailure: 'warn' },
+      'echo ../outside.step',
+      'echo /etc/passwd',
+    ])
+    assert.deepEqual(sources, [])
+    assert.deepEqual(failures.map(({ onFailure, reason }) => [onFailure, reason]), [
+      ['warn', 'exited with code 2'],
+      ['miss', 'printed a path outside the worktree: ../outside.step'],
+      ['miss', 'printed a path outside the worktree: /etc/passwd'],
+    ])
+    assert.equal(failures[0].stderr, 'broken')
+  })
+
+  it('kills commands that time out or print too much', async () => {
+    const { failures } = await run([
+      { command: 'sleep 10 & sleep 10', timeout: 0.2, onFailure: 'fail' },
+      { command: 'yes models/knob.step', maxOutput: '1KB' },
+    ])
+    assert.deepEqual(failures.map(({ onFailure, reason }) => [onFailure, reason]), [
+      ['fail', 'timed out after 200ms'],
+      ['miss', 'output exceeded 1024 bytes'],
+    ])
+  })
+
+  it('reuses the result of a command until one of its inputs changes', async () => {
+    fs.writeFileSync(path.join(worktree, 'list.txt'), 'knob.step\n')
+    const command = { command: 'cat list.txt; echo run >> runs.log', inputs: ['list.txt'] }
+    const runs = () => fs.readFileSync(path.join(worktree, 'runs.log'), 'utf8').split('\n').filter(Boolean).length
+
+    assert.deepEqual((await run([command], { cacheRoot })).sources, ['knob.step'])
+    assert.deepEqual((await run([command], { cacheRoot })).sources, ['knob.step'])
+    assert.equal(runs(), 1)
+
+    fs.writeFileSync(path.join(worktree, 'list.txt'), 'jack.step\n')
+    assert.deepEqual((await run([command], { cacheRoot })).sources, ['jack.step'])
+    assert.equal(runs(), 2)
+  })
+})
+
+describe('resolveSourceCommandDefaults', () => {
+  it('parses durations and sizes and rejects unknown failure policies', () => {
+    assert.deepEqual(resolveSourceCommandDefaults(), { timeout: 60000, onFailure: 'miss', maxOutput: 1024 * 1024 })
+    assert.deepEqual(resolveSourceCommandDefaults({ timeout: '2m', onFailure: 'fail', maxOutput: '4MB' }),
+      { timeout: 120000, onFailure: 'fail', maxOutput: 4 * 1024 * 1024 })
+    assert.equal(resolveSourceCommandDefaults({ timeout: 5 }).timeout, 5000)
+    assert.throws(() => resolveSourceCommandDefaults({ onFailure: 'ignore' }),
+      /Invalid sourceCommands onFailure: ignore/)
+  })
+})
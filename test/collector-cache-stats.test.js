@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const {
+  estimateRunTimes,
+  summarizeStats,
+  logStats,
+  writeJunitReport,
+  formatDuration,
+} = require('../extensions/collector-cache-stats')
+const { createTempDir } = require('./fixtures')
+
+const decision = (component, key, status, reason, stats) => ({ component, key, status, reason, stats })
+const decisions = [
+  decision('quad-vca', 'renders', 'HIT', 'cached', { hashTime: 5, bytes: 2048, timeSaved: 90000 }),
+  decision('quad-vca', 'bom', 'MISS', 'no cache entry', { hashTime: 3, bytes: 100, runTime: 1500 }),
+  decision('mixer', 'renders', 'HIT', 'cached', { hashTime: 2, bytes: 512 }),
+  decision('mixer', 'ibom', 'MISS', 'forced (mixer/*)', { hashTime: 1, runTime: 4000 }),
+]
+
+describe('summarizeStats', () => {
+  it('totals the decisions per component and for the build', () => {
+    const summary = summarizeStats(decisions)
+    assert.deepEqual(summary.totals, {
+      entries: 4,
+      hits: 2,
+      misses: 2,
+      hitRate: 0.5,
+      bytesRestored: 2560,
+      bytesProduced: 100,
+      hashTime: 11,
+      runTime: 5500,
+      timeSaved: 90000,
+      timeSavedUnknown: 1,
+    })
+    assert.deepEqual(summary.components.map(({ component, hits, entries }) => [component, hits, entries]),
+      [['quad-vca', 1, 2], ['mixer', 1, 2]])
+    assert.deepEqual(summary.slowest, [
+      { component: 'mixer', key: 'ibom', runTime: 4000 },
+      { component: 'quad-vca', key: 'bom', runTime: 1500 },
+    ])
+  })
+})
+
+describe('logStats', () => {
+  it('logs the totals and a table per component', () => {
+    const messages = []
+    logStats({ info: (message) => messages.push(message) }, summarizeStats(decisions))
+    assert.equal(messages[0], 'Collector cache report: 4 entries, 2 HIT(s) (50%), 2 MISS(es), saved 1m 30s ' +
+      '(+ 1 hit(s) without a recorded duration)')
+    assert.match(messages[1], /^ {2}Component +Entries +Hit rate/)
+    assert.match(messages[4], /^ {2}Total +2\/4 +50%/)
+    assert.deepEqual(messages.slice(5), [
+      '  Slowest collectors:',
+      '        4.0s  mixer/ibom',
+      '        1.5s  quad-vca/bom',
+    ])
+  })
+})
+
+describe('writeJunitReport', () => {
+  let dir, cleanup
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+  })
+
+  afterEach(() => cleanup())
+
+  it('writes a test suite per component and a test case per entry', () => {
+    const reportPath = path.join(dir, 'reports', 'stats.junit.xml')
+    writeJunitReport(reportPath, summarizeStats(decisions))
+    const xml = fs.readFileSync(reportPath, 'utf8')
+    assert.match(xml, /<testsuites name="collector-cache" tests="4" time="5.500"/)
+    assert.match(xml, /<testsuite name="mixer" tests="2" failures="0" errors="0" skipped="0" time="4.000">/)
+    assert.match(xml, /<testcase classname="quad-vca" name="renders" time="0.000">\n {6}<system-out>HIT \(cached\): /)
+    assert.match(xml, /<system-out>MISS \(forced \(mixer\/\*\)\): 0 B produced, hashing 1ms<\/system-out>/)
+  })
+})
+
+describe('estimateRunTimes', () => {
+  let dir, cleanup
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+  })
+
+  afterEach(() => cleanup())
+
+  it('ends every run when its newest output was written', () => {
+    const output = (name, mtime) => {
+      fs.mkdirSync(path.join(dir, name))
+      fs.writeFileSync(path.join(dir, name, 'out.svg'), '')
+      fs.utimesSync(path.join(dir, name, 'out.svg'), mtime / 1000, mtime / 1000)
+      return path.join(dir, name)
+    }
+    const start = Math.floor(Date.now() / 1000) * 1000 - 10000
+    const outputs = [output('a', start + 2000), undefined, output('c', start + 7000), output('d', start - 60000)]
+    assert.deepEqual(estimateRunTimes(outputs, start, start + 8000), [2000, 0, 5000, 0])
+  })
+})
+
+describe('formatDuration', () => {
+  it('formats milliseconds, seconds, minutes and hours', () => {
+    assert.deepEqual([undefined, 250, 1500, 90000, 7500000].map((ms) => formatDuration(ms)),
+      ['?', '250ms', '1.5s', '1m 30s', '2h 5m'])
+  })
+})
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { execFileSync, spawnSync } = require('child_process')
+const { writeTarGz, readTarGz, extractTarGz } = require('../extensions/collector-cache-tar')
+const { hashFile } = require('../extensions/collector-cache-fs')
+const { createTempDir } = require('./fixtures')
+
+// Paths beyond the 100-byte ustar name field and the 155-byte prefix, and non-ASCII ones
+const FILES = {
+  'bundle.json': '{}',
+  'empty.txt': '',
+  [`${'d'.repeat(60)}/${'n'.repeat(90)}.png`]: 'long name',
+  [`${'d'.repeat(120)}/${'e'.repeat(140)}/${'f'.repeat(110)}.step`]: 'very long name',
+  'Bestückung/Frontplatte – Ansicht.svg': '<svg/>',
+  'large.bin': Buffer.alloc(200 * 1024, 7),
+}
+
+const hasSystemTar = spawnSync('tar', ['--version']).status === 0
+
+describe('collector cache tar archives', () => {
+  let dir, cleanup, sourceDir, archive
+
+  before(async () => {
+    ;({ dir, cleanup } = createTempDir())
+    sourceDir = path.join(dir, 'source')
+    for (const [name, content] of Object.entries(FILES)) {
+      fs.mkdirSync(path.dirname(path.join(sourceDir, name)), { recursive: true })
+      fs.writeFileSync(path.join(sourceDir, name), content)
+    }
+    archive = path.join(dir, 'archive.tar.gz')
+    await writeTarGz(archive, Object.keys(FILES).map((name) => ({ name, path: path.join(sourceDir, name) })))
+  })
+
+  after(() => cleanup())
+
+  const expectedIndex = () => Object.fromEntries(Object.keys(FILES).map((name) => {
+    const filePath = path.join(sourceDir, name)
+    return [name, { size: fs.statSync(filePath).size, sha256: hashFile(filePath) }]
+  }))
+
+  it('round-trips long, non-ASCII and empty files', async () => {
+    assert.deepEqual(await readTarGz(archive), expectedIndex())
+
+    const destination = path.join(dir, 'extracted')
+    assert.deepEqual(await extractTarGz(archive, destination), expectedIndex())
+    for (const [name, content] of Object.entries(FILES)) {
+      assert.deepEqual(fs.readFileSync(path.join(destination, name)), Buffer.from(content))
+    }
+  })
+
+  it('writes files given by content in order', async () => {
+    const file = path.join(dir, 'content.tar.gz')
+    const index = await writeTarGz(file, [
+      { name: 'bundle.json', content: Buffer.from('{"version":1}') },
+      { name: 'empty.txt', path: path.join(sourceDir, 'empty.txt') },
+    ])
+    assert.deepEqual(Object.keys(index), ['bundle.json', 'empty.txt'])
+    assert.equal(index['bundle.json'].size, 13)
+  })
+
+  it('rejects archives truncated in the middle of the stream or between entries', async () => {
+    const truncated = path.join(dir, 'truncated.tar.gz')
+    const data = fs.readFileSync(archive)
+    fs.writeFileSync(truncated, data.subarray(0, Math.floor(data.length / 2)))
+    await assert.rejects(readTarGz(truncated), /Truncated archive/)
+
+    // A complete gzip stream of a tar stream that stops after the first entry
+    fs.writeFileSync(truncated, zlib.gzipSync(zlib.gunzipSync(data).subarray(0, 1024)))
+    await assert.rejects(readTarGz(truncated), /Truncated archive/)
+  })
+
+  it('rejects files that are not archives', async () => {
+    const garbage = path.join(dir, 'garbage.tar.gz')
+    fs.writeFileSync(garbage, 'not an archive'.repeat(100))
+    await assert.rejects(readTarGz(garbage), /Malformed archive/)
+  })
+
+  it('rejects errors of the file sinks', async () => {
+    const failing = () => ({
+      write: () => {
+        throw new Error('disk full')
+      },
+      end: () => undefined,
+    })
+    await assert.rejects(readTarGz(archive, failing), /disk full/)
+  })
+
+  it('can be read by system tar', { skip: !hasSystemTar }, () => {
+    const destination = path.join(dir, 'system-extracted')
+    fs.mkdirSync(destination)
+    execFileSync('tar', ['-xzf', archive, '-C', destination])
+    for (const [name, content] of Object.entries(FILES)) {
+      assert.deepEqual(fs.readFileSync(path.join(destination, name)), Buffer.from(content))
+    }
+  })
+
+  it('reads archives written by system tar', { skip: !hasSystemTar }, async () => {
+    const systemArchive = path.join(dir, 'system.tar.gz')
+    execFileSync('tar', ['-czf', systemArchive, '-C', sourceDir, ...Object.keys(FILES)])
+    assert.deepEqual(await readTarGz(systemArchive), expectedIndex())
+  })
+
+  it('refuses to extract outside of the destination', { skip: !hasSystemTar }, async () => {
+    const evil = path.join(dir, 'evil.tar.gz')
+    execFileSync('tar', ['-czf', evil, '-C', sourceDir, '--absolute-names', '../source/empty.txt'])
+    const destination = path.join(dir, 'evil', 'destination')
+    await assert.rejects(extractTarGz(evil, destination), /Refusing to extract outside/)
+    assert.equal(fs.existsSync(path.join(dir, 'evil', 'source')), false)
+  })
+})
@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { loadConfig, mergeMounts } = require('../bin/lib/config')
+const { createTempDir } = require('./fixtures')
+
+describe('loadConfig', () => {
+  let dir, cleanup
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+    fs.mkdirSync(path.join(dir, 'docs', 'modules'), { recursive: true })
+  })
+
+  afterEach(() => cleanup())
+
+  const writeConfig = (content) => fs.writeFileSync(path.join(dir, '.eurorackbuildrc.yml'), content)
+
+  it('returns no options without a config file', () => {
+    assert.deepEqual(loadConfig(path.join(dir, 'docs'), dir), { file: null, profile: null, options: {} })
+    assert.throws(() => loadConfig(dir, dir, 'ci'), /Profile ci requested but no .eurorackbuildrc.yml found/)
+  })
+
+  it('finds the nearest config up to the git root and resolves paths against it', () => {
+    writeConfig([
+      'playbook: antora-playbook.yml',
+      'mounts: [../eurorack-docs-ui:/eurorack-docs-ui]',
+      'force_collector: [quad-vca/renders]',
+      'port: 8080',
+      '',
+    ].join('\n'))
+    const config = loadConfig(path.join(dir, 'docs', 'modules'), dir)
+    assert.equal(config.file, path.join(dir, '.eurorackbuildrc.yml'))
+    assert.deepEqual(config.options, {
+      playbook: path.join('..', '..', 'antora-playbook.yml'),
+      mounts: [`${path.resolve(dir, '../eurorack-docs-ui')}:/eurorack-docs-ui`],
+      forceCollector: ['quad-vca/renders'],
+      port: 8080,
+    })
+  })
+
+  it('applies the requested or default profile over the settings', () => {
+    writeConfig([
+      'runner: docker',
+      'mounts: [ui:/ui, models:/models]',
+      'default_profile: local',
+      'profiles:',
+      '  local:',
+      '    mounts: [local-ui:/ui]',
+      '  ci:',
+      '    runner: native',
+      '    force_collector: true',
+      '',
+    ].join('\n'))
+    const local = loadConfig(dir, dir)
+    assert.equal(local.profile, 'local')
+    assert.deepEqual(local.options, {
+      runner: 'docker',
+      mounts: [`${path.join(dir, 'local-ui')}:/ui`, `${path.join(dir, 'models')}:/models`],
+    })
+    assert.deepEqual(loadConfig(dir, dir, 'ci').options, {
+      runner: 'native',
+      mounts: [`${path.join(dir, 'ui')}:/ui`, `${path.join(dir, 'models')}:/models`],
+      forceCollector: ['true'],
+    })
+    assert.throws(() => loadConfig(dir, dir, 'release'), /unknown profile release \(available: local, ci\)/)
+  })
+
+  it('reads the eurorack-build key of package.json', () => {
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ 'eurorack-build': { clean: true } }))
+    const config = loadConfig(path.join(dir, 'docs'), dir)
+    assert.equal(config.file, `${path.join(dir, 'package.json')} (eurorack-build)`)
+    assert.deepEqual(config.options, { clean: true })
+  })
+
+  it('rejects unknown and mistyped settings', () => {
+    writeConfig('playbok: antora-playbook.yml\n')
+    assert.throws(() => loadConfig(dir, dir), /unknown setting playbok \(expected one of playbook, /)
+    writeConfig('runner: podman\n')
+    assert.throws(() => loadConfig(dir, dir), /runner must be docker or native/)
+    writeConfig('port: 70000\n')
+    assert.throws(() => loadConfig(dir, dir), /port must be a port number/)
+    writeConfig('mounts: [ui]\n')
+    assert.throws(() => loadConfig(dir, dir), /mounts must be a list of src:dest/)
+    writeConfig('clean: yes please\n')
+    assert.throws(() => loadConfig(dir, dir), /clean must be true or false/)
+  })
+})
+
+describe('mergeMounts', () => {
+  it('replaces earlier mounts with the same destination', () => {
+    assert.deepEqual(mergeMounts(['/a:/ui', '/b:/models'], ['/c:/ui']), ['/c:/ui', '/b:/models'])
+  })
+})
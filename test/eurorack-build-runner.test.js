@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { runBuild, collectorEnv, createRunner } = require('../bin/lib/runner')
+const { createTempDir } = require('./fixtures')
+
+// Stands in for npx: `npx antora` takes a moment, then writes the site or fails
+const STUB_NPX = `#!/bin/sh
+[ "$1" = "--version" ] && exit 0
+sleep 0.2
+[ -n "$STUB_ANTORA_FAIL" ] && exit 1
+mkdir -p build/site
+`
+
+describe('runBuild with the native runner', () => {
+  let dir, cleanup, context, options, env
+
+  beforeEach(() => {
+    ;({ dir, cleanup } = createTempDir())
+    const binDir = path.join(dir, 'bin')
+    fs.mkdirSync(binDir)
+    fs.writeFileSync(path.join(binDir, 'npx'), STUB_NPX, { mode: 0o755 })
+    fs.mkdirSync(path.join(dir, 'node_modules'))
+    fs.writeFileSync(path.join(dir, 'antora-playbook.yml'), '')
+
+    env = { PATH: process.env.PATH, STUB_ANTORA_FAIL: process.env.STUB_ANTORA_FAIL }
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`
+    context = { playbook: 'antora-playbook.yml', gitRoot: dir, workDir: '.', buildDir: 'build' }
+    options = { runner: 'native', mounts: [], forceCollector: [], serve: true, port: 8080 }
+    mock.method(console, 'log', () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name]
+      else process.env[name] = value
+    }
+    cleanup()
+  })
+
+  it('waits for Antora before checking the site', async () => {
+    await runBuild(context, options)
+    assert.equal(fs.existsSync(path.join(dir, 'build/site')), true)
+  })
+
+  it('rejects when Antora fails', async () => {
+    process.env.STUB_ANTORA_FAIL = '1'
+    await assert.rejects(runBuild(context, options), /Command failed: npx antora antora-playbook.yml/)
+  })
+})
+
+describe('collectorEnv', () => {
+  it('passes force patterns and dry runs to the collector cache extension', () => {
+    const env = collectorEnv({ forceCollector: ['quad-vca/renders', '*/bom'], dryRun: true })
+    assert.deepEqual([env.FORCE_COLLECTOR, env.DRY_RUN], ['quad-vca/renders,*/bom', 'true'])
+    assert.equal(collectorEnv({ forceCollector: ['true', 'quad-vca'] }).FORCE_COLLECTOR, 'true')
+    assert.equal(collectorEnv({ forceCollector: [] }).FORCE_COLLECTOR, undefined)
+    assert.throws(() => collectorEnv({ forceCollector: ['quad-vca; rm -rf /'] }), /invalid --force-collector pattern/)
+  })
+})
+
+describe('createRunner', () => {
+  it('rejects unknown runners', () => {
+    assert.equal(typeof createRunner('native').start, 'function')
+    assert.throws(() => createRunner('podman'), /Unknown runner: podman/)
+  })
+})
@@ -0,0 +1,104 @@
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const http = require('http')
+const net = require('net')
+const path = require('path')
+const { serveSite } = require('../bin/lib/serve')
+const { createTempDir } = require('./fixtures')
+
+// A port nothing listens on right now
+const freePort = () => new Promise((resolve) => {
+  const probe = net.createServer().listen(0, () => {
+    const { port } = probe.address()
+    probe.close(() => resolve(port))
+  })
+})
+
+describe('serveSite', () => {
+  let dir, cleanup, server, baseUrl
+
+  before(async () => {
+    ({ dir, cleanup } = createTempDir())
+    const files = {
+      'index.html': '<html><body>Home</body></html>',
+      'quad-vca/index.html': '<html><body>Quad VCA</body></html>',
+      'quad-vca/_attachments/panel.step': 'ISO-10303-21;',
+      '404.html': '<html><body>Not found</body></html>',
+      _redirects: '/vca /quad-vca/ 301\n/old/* /quad-vca/:splat 302\n',
+    }
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true })
+      fs.writeFileSync(path.join(dir, name), content)
+    }
+
+    const port = await freePort()
+    const listening = new Promise((resolve) => mock.method(console, 'log', resolve))
+    server = serveSite(dir, { port, livereload: true })
+    await listening
+    baseUrl = `http://localhost:${port}`
+  })
+
+  after(() => {
+    server.close()
+    mock.restoreAll()
+    cleanup()
+  })
+
+  const get = (url) => new Promise((resolve, reject) => {
+    http.get(baseUrl + url, (res) => {
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => { body += chunk })
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }))
+    }).on('error', reject)
+  })
+
+  it('serves files with their content type', async () => {
+    const response = await get('/quad-vca/_attachments/panel.step')
+    assert.equal(response.status, 200)
+    assert.equal(response.headers['content-type'], 'model/step')
+    assert.equal(response.body, 'ISO-10303-21;')
+  })
+
+  it('serves the index page of directories and redirects to their trailing slash', async () => {
+    assert.match((await get('/quad-vca/')).body, /Quad VCA/)
+    const response = await get('/quad-vca?lang=en')
+    assert.deepEqual([response.status, response.headers.location], [301, '/quad-vca/?lang=en'])
+  })
+
+  it('serves the 404 page of the site for missing pages', async () => {
+    const response = await get('/missing.html')
+    assert.equal(response.status, 404)
+    assert.match(response.body, /Not found/)
+  })
+
+  it('honors the redirects written by Antora', async () => {
+    const exact = await get('/vca')
+    assert.deepEqual([exact.status, exact.headers.location], [301, '/quad-vca/'])
+    const splat = await get('/old/_attachments/panel.step')
+    assert.deepEqual([splat.status, splat.headers.location], [302, '/quad-vca/_attachments/panel.step'])
+  })
+
+  it('injects the livereload script into pages and notifies them on reload', async () => {
+    assert.match((await get('/')).body, /<script>new EventSource\('\/__livereload'\).*<\/script><\/body>/)
+
+    const received = await new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}/__livereload`, (res) => {
+        let events = ''
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => {
+          events += chunk
+          if (events.includes('data: reload')) {
+            req.destroy()
+            resolve(events)
+          } else {
+            // Connected: the page is registered for reloads
+            server.reload()
+          }
+        })
+      }).on('error', reject)
+    })
+    assert.match(received, /data: reload\n\n/)
+  })
+})
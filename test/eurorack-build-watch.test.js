@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { watchDirs, collectorWritePaths, watchTree } = require('../bin/lib/watch')
+const { createTempDir } = require('./fixtures')
+
+describe('watch mode', () => {
+  let dir, cleanup, context
+
+  beforeEach(() => {
+    ({ dir, cleanup } = createTempDir())
+    const project = path.join(dir, 'project')
+    for (const subdir of ['project/docs', 'module/docs', 'ui/build', 'models']) {
+      fs.mkdirSync(path.join(dir, subdir), { recursive: true })
+    }
+    fs.writeFileSync(path.join(dir, 'module/docs/antora.yml'), [
+      'name: quad-vca',
+      'ext:',
+      '  collectorCache:',
+      '    entries:',
+      '    - run: { key: renders, command: make, sources: [board.kicad_pcb], cacheDir: build/renders }',
+      '',
+    ].join('\n'))
+    fs.writeFileSync(path.join(project, 'antora-playbook.yml'), [
+      'antora:',
+      '  extensions:',
+      '  - require: ./extensions/collector-cache-extension.js',
+      '    cache_dir: ../cache',
+      'content:',
+      '  sources:',
+      '  - url: ../module',
+      '    start_path: docs',
+      '  - url: ./docs',
+      '  - url: https://github.com/example/remote.git',
+      'ui:',
+      '  bundle:',
+      '    url: ../ui/build/ui-bundle.zip',
+      '',
+    ].join('\n'))
+    context = { playbook: 'antora-playbook.yml', gitRoot: dir, workDir: 'project', buildDir: 'build' }
+  })
+
+  afterEach(() => cleanup())
+
+  describe('watchDirs', () => {
+    it('watches the project, local content sources, the UI bundle and mount sources', () => {
+      const options = { runner: 'docker', mounts: [`${path.join(dir, 'models')}:/models`, '/missing:/missing'] }
+      assert.deepEqual(watchDirs(context, options), [
+        path.join(dir, 'project'),
+        path.join(dir, 'models'),
+        path.join(dir, 'module'),
+        path.join(dir, 'ui/build'),
+      ])
+      assert.equal(watchDirs(context, { runner: 'native', mounts: options.mounts }).includes(path.join(dir, 'models')),
+        false)
+    })
+  })
+
+  describe('collectorWritePaths', () => {
+    it('lists the cache and report directories and the outputs of local entries', () => {
+      assert.deepEqual(collectorWritePaths(context), [
+        path.join(dir, 'cache'),
+        path.join(dir, 'project/build/collector-cache'),
+        path.join(dir, 'module/build/renders'),
+      ])
+    })
+  })
+
+  describe('watchTree', () => {
+    let watchers = []
+
+    afterEach(() => watchers.forEach((watcher) => watcher.close()))
+
+    it('reports changed files except in ignored directories and paths', async () => {
+      const changed = []
+      const root = path.join(dir, 'module')
+      for (const subdir of ['node_modules', 'build/renders', 'build/ui']) {
+        fs.mkdirSync(path.join(root, subdir), { recursive: true })
+      }
+      watchers = watchTree(root, (file) => changed.push(file), [path.join(root, 'build/renders')])
+
+      fs.writeFileSync(path.join(root, 'node_modules/dependency.js'), '')
+      fs.writeFileSync(path.join(root, 'build/renders/front.svg'), '')
+      fs.writeFileSync(path.join(root, 'build/ui/ui-bundle.zip'), '')
+      fs.writeFileSync(path.join(root, 'docs/antora.yml'), 'name: quad-vca\n')
+      await new Promise((resolve) => setTimeout(resolve, 200))
+
+      assert.deepEqual([...new Set(changed)].sort(), [
+        path.join(root, 'build/ui/ui-bundle.zip'),
+        path.join(root, 'docs/antora.yml'),
+      ])
+    })
+  })
+})
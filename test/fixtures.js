@@ -0,0 +1,118 @@
+/**
+ * Fixtures for the collector cache tests: temporary directories and cache
+ * entries laid out as the extension writes them
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { writeManifest } = require('../extensions/collector-cache-manifest')
+
+/**
+ * Create a temporary directory, removed by the returned cleanup function
+ */
+function createTempDir () {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-cache-test-'))
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) }
+}
+
+/**
+ * Add a cached entry (outputs, manifest and pointer) to a cache directory
+ *
+ * @param {string} cacheRoot - Collector cache directory
+ * @param {string} id - component/key of the entry
+ * @param {string} digit - Hex digit of the entry's content hash (see contentHash)
+ * @param {object} files - Relative paths of the outputs -> contents
+ * @param {object} [options] - { age, scanDir } - age of the pointer in milliseconds
+ * @returns {object} { outputPath, pointerPath }
+ */
+function addEntry (cacheRoot, id, digit, files, { age = 0, scanDir = 'build/renders' } = {}) {
+  const [component, key] = id.split('/')
+  const outputPath = path.join(cacheRoot, 'outputs', contentHash(digit), scanDir)
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(outputPath, name)), { recursive: true })
+    fs.writeFileSync(path.join(outputPath, name), content)
+  }
+  writeManifest(outputPath)
+
+  const pointerPath = path.join(cacheRoot, 'hashes', component, key, `${contentHash(digit)}.json`)
+  fs.mkdirSync(path.dirname(pointerPath), { recursive: true })
+  fs.writeFileSync(pointerPath, JSON.stringify({
+    outputDir: contentHash(digit),
+    scanDir,
+    storage: 'directory',
+    timestamp: new Date(Date.now() - age).toISOString(),
+  }))
+  return { outputPath, pointerPath }
+}
+
+/**
+ * A content hash made of one repeated hex digit
+ */
+function contentHash (digit) {
+  return digit.repeat(64)
+}
+
+/**
+ * Commit files to a new git repository, the worktree of a local content source
+ *
+ * @param {string} dir - Directory of the repository
+ * @param {object} files - Relative paths of the files -> contents
+ */
+function createWorktree (dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true })
+    fs.writeFileSync(path.join(dir, name), content)
+  }
+  const git = (...args) => spawnSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+    { cwd: dir, encoding: 'utf8' })
+  git('init', '-q')
+  git('add', '-A')
+  git('commit', '-q', '-m', 'Initial commit')
+}
+
+/**
+ * Content aggregate with one component from a local worktree, as the content
+ * aggregator hands it to the extension
+ *
+ * @param {string} worktree - Worktree of the component (see createWorktree)
+ * @param {object[]} entries - Collector cache entries of the component
+ */
+function contentAggregate (worktree, entries) {
+  const descriptor = { ext: { collectorCache: { entries } } }
+  return [{ name: 'modules', origins: [{ worktree, gitdir: path.join(worktree, '.git'), descriptor }] }]
+}
+
+/**
+ * Register the collector cache extension with a stand-in for the Antora generator context
+ *
+ * @param {object} config - Extension config
+ * @returns {object} { emit, logs, context } - emit(event, payload) runs the listener of an event;
+ *   logs collects the logged messages and context.stopped tells whether the extension stopped the build
+ */
+function registerExtension (config) {
+  const listeners = new Map()
+  const logs = []
+  const log = (level) => (message) => logs.push({ level, message })
+  const context = {
+    stopped: false,
+    getLogger: () => ({ debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') }),
+    once: (event, listener) => listeners.set(event, listener),
+    on: (event, listener) => listeners.set(event, listener),
+    // The git module of the content aggregator wraps isomorphic-git
+    require: () => require('isomorphic-git'),
+    stop: () => { context.stopped = true },
+  }
+  require('../extensions/collector-cache-extension').register.call(context, { config })
+  return { emit: (event, payload) => listeners.get(event)(payload), logs, context }
+}
+
+module.exports = {
+  createTempDir,
+  addEntry,
+  contentHash,
+  createWorktree,
+  contentAggregate,
+  registerExtension,
+}